@@ -0,0 +1,189 @@
+// lib/cache.js
+// Stale-while-revalidate cache for slow upstream reads (Google Sheets).
+// Entries live in memory and, optionally, in a MongoDB collection so a
+// restarted instance still has a last good copy when the upstream is down.
+// With a shared collection, reads check it first, so a refresh made by one
+// instance (a webhook, say) is served by every other one at once.
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'cache' });
+
+// Past this age a stale entry is no longer served while refreshing in the
+// background; the request waits for the upstream and only falls back to the
+// old copy if that fails.
+const DEFAULT_MAX_STALE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {*} value - Cached value
+ * @property {string} etag - Strong ETag of the serialized value
+ * @property {number} fetchedAt - When the value was loaded (ms since epoch)
+ */
+
+/**
+ * Strong ETag for a JSON-serializable value
+ * @param {*} value
+ * @returns {string}
+ */
+const computeEtag = (value) => {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url');
+    return `"${hash}"`;
+};
+
+/**
+ * Entries kept in process memory
+ */
+function createMemoryStore() {
+    const entries = new Map();
+    return {
+        get: async (key) => entries.get(key) || null,
+        set: async (key, entry) => {
+            entries.set(key, entry);
+        }
+    };
+}
+
+/**
+ * Entries kept in a MongoDB collection, one document per key
+ * Values are stored as JSON text; sheet headers make poor field names.
+ * @param {Function} getCollection - Resolves a MongoDB collection by name
+ * @param {string} collectionName
+ */
+function createMongoStore(getCollection, collectionName) {
+    return {
+        get: async (key) => {
+            const collection = await getCollection(collectionName);
+            const document = await collection.findOne({ _id: key });
+            if (!document) {
+                return null;
+            }
+            return {
+                value: JSON.parse(document.value),
+                etag: document.etag,
+                fetchedAt: document.fetchedAt.getTime()
+            };
+        },
+        set: async (key, { value, etag, fetchedAt }) => {
+            const collection = await getCollection(collectionName);
+            await collection.updateOne(
+                { _id: key },
+                { $set: { value: JSON.stringify(value), etag, fetchedAt: new Date(fetchedAt) } },
+                { upsert: true }
+            );
+        }
+    };
+}
+
+/**
+ * Create a cache
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Persistent store ({get, set}) behind the memory copy
+ * @param {number} [options.maxStaleMs] - Oldest entry served without waiting for a refresh
+ * @param {Function} [options.now] - Clock, for tests
+ */
+function createCache({ store = null, maxStaleMs = DEFAULT_MAX_STALE_MS, now = Date.now } = {}) {
+    const memory = createMemoryStore();
+    const refreshing = new Map();
+
+    /**
+     * The newest copy of an entry: the store's when another instance has
+     * refreshed it since, the memory copy when the store is unreachable
+     */
+    const readEntry = async (key) => {
+        const cached = await memory.get(key);
+        if (!store) {
+            return cached;
+        }
+        let stored;
+        try {
+            stored = await store.get(key);
+        } catch (error) {
+            log.warn('could not read persisted cache entry', { key, err: error });
+            return cached;
+        }
+        if (stored && (!cached || stored.fetchedAt > cached.fetchedAt)) {
+            await memory.set(key, stored);
+            return stored;
+        }
+        return cached;
+    };
+
+    /**
+     * Load a fresh value now, whatever the cached entry's age
+     * Concurrent calls for one key share the same load; on failure the
+     * existing entry is left in place.
+     * @param {string} key
+     * @param {Function} load - Async function producing the value
+     * @returns {Promise<CacheEntry>}
+     */
+    const refresh = (key, load) => {
+        if (refreshing.has(key)) {
+            return refreshing.get(key);
+        }
+
+        const pending = (async () => {
+            const value = await load();
+            const entry = { value, etag: computeEtag(value), fetchedAt: now() };
+            await memory.set(key, entry);
+            if (store) {
+                try {
+                    await store.set(key, entry);
+                } catch (error) {
+                    log.warn('could not persist cache entry', { key, err: error });
+                }
+            }
+            return entry;
+        })().finally(() => refreshing.delete(key));
+
+        refreshing.set(key, pending);
+        return pending;
+    };
+
+    /**
+     * Read through the cache
+     * Fresh entries are returned as is. Stale ones are returned at once while a
+     * background refresh runs, unless older than `maxStaleMs`. When the load
+     * fails the last good copy is returned, marked stale.
+     * @param {string} key
+     * @param {Object} options
+     * @param {number} options.ttlMs - How long an entry stays fresh
+     * @param {Function} options.load - Async function producing the value
+     * @returns {Promise<CacheEntry & {stale: boolean}>}
+     * @throws When nothing is cached and the load fails
+     */
+    const get = async (key, { ttlMs, load }) => {
+        const entry = await readEntry(key);
+        if (!entry) {
+            return { ...(await refresh(key, load)), stale: false };
+        }
+
+        const age = now() - entry.fetchedAt;
+        if (age < ttlMs) {
+            return { ...entry, stale: false };
+        }
+
+        const refreshed = refresh(key, load);
+        refreshed.catch((error) => {
+            log.warn('refresh failed, serving last good copy', { key, ageMs: age, err: error });
+        });
+
+        if (age < ttlMs + maxStaleMs) {
+            return { ...entry, stale: true };
+        }
+        try {
+            return { ...(await refreshed), stale: false };
+        } catch (error) {
+            return { ...entry, stale: true };
+        }
+    };
+
+    return { get, refresh };
+}
+
+module.exports = {
+    computeEtag,
+    createMemoryStore,
+    createMongoStore,
+    createCache
+};
@@ -0,0 +1,354 @@
+// lib/config.js
+// The one place environment variables are read. `getConfig()` loads .env,
+// validates it once and returns a frozen, typed object that server.js hands
+// to every module that needs settings.
+
+const DEFAULT_PORT = 3001;
+const DEFAULT_DEV_ORIGIN = 'http://localhost';
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'silent'];
+const RESOURCE_PUBLISH_TARGETS = ['mongo', 'sheet'];
+const SHEETS_BACKENDS = ['google', 'fixtures'];
+
+class ConfigError extends Error {
+    /**
+     * @param {string[]} errors - One message per invalid or missing setting
+     */
+    constructor(errors) {
+        super(`Invalid configuration: ${errors.join('; ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * @typedef {Object} Config
+ * @property {string} env - NODE_ENV, 'development' when unset
+ * @property {boolean} isProduction
+ * @property {number} port
+ * @property {string[]} corsOrigins - Origins allowed to send credentialed requests
+ * @property {{secret: string}} session
+ * @property {{uri: string, database: string, usersCollection: string, rateLimitCollection: string}} mongo
+ * @property {{url: string, bearerToken: string}} nodebb
+ * @property {{host: string, port: number, user: string, password: string}} smtp
+ * @property {{sheetsApiKey: string, spreadsheetId: string, serviceAccount: Object}} google
+ * @property {{backend: string, fixturesPath: string}} sheets - 'google', or 'fixtures' to run offline from fixture files
+ * @property {{registry: Object[], registryCollection: string, cacheCollection: string, cacheTtlSeconds: number, webhookSecret: string}} content - Sheet-backed contents
+ * @property {{submissionCollection: string, publishTo: string}} resources - Where approved resource submissions go
+ * @property {{targets: Object[], auditCollection: string, legacyTarget: string}} append - Spreadsheet append targets for /append; SHEETS_APPEND_TARGETS is a JSON array of `{name, range, columns, spreadsheetId?}` (see services/sheetAppends.js), and SHEETS_APPEND_LEGACY_TARGET names the one `POST /append` writes to (the built-in 'address-delimiter' by default)
+ * @property {{historyCollection: string, reminderCollection: string, reminderIntervalMinutes: number, renewUrl: string, adminEmail: string, reportCollection: string, expiryIntervalMinutes: number, workGroups: string[]}} membership - Transition history, renewal reminders and expiry; an interval of 0 turns that job off. MEMBERSHIP_WORK_GROUPS is a comma-separated list of the NodeBB groups members may join
+ * @property {{reportCollection: string, reportIntervalMinutes: number, concurrency: number, timeoutMs: number}} links - Link checker; an interval of 0 turns the scheduled report off
+ * @property {{enabled: boolean}} scheduler - Whether this process runs the scheduled jobs; SCHEDULER_ENABLED=false leaves them to another replica
+ * @property {{level: string}} logging
+ * @property {{drainTimeoutMs: number}} shutdown
+ */
+
+/**
+ * Build and validate the configuration from an environment
+ * @param {Object} env - Environment variables, usually process.env
+ * @returns {Config}
+ * @throws {ConfigError} Listing every problem found, not just the first
+ */
+function loadConfig(env) {
+    const errors = [];
+    const nodeEnv = env.NODE_ENV || 'development';
+    const isProduction = nodeEnv === 'production';
+
+    const read = (key) => {
+        const value = env[key];
+        return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+    };
+    const required = (key) => {
+        const value = read(key);
+        if (value === undefined) {
+            errors.push(`${key} is required`);
+        }
+        return value;
+    };
+    const requiredInProduction = (key) => (isProduction ? required(key) : read(key));
+    // Google credentials aren't needed when Sheets is served from fixtures
+    const sheetsBackend = read('SHEETS_BACKEND') || 'google';
+    const requiredForGoogle = (key) => (sheetsBackend === 'google' ? requiredInProduction(key) : read(key));
+    const integer = (key, fallback) => {
+        const value = read(key);
+        if (value === undefined) {
+            return fallback;
+        }
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < 0) {
+            errors.push(`${key} must be a non-negative integer`);
+            return fallback;
+        }
+        return parsed;
+    };
+    const httpUrl = (key, value) => {
+        if (value === undefined) {
+            return value;
+        }
+        try {
+            const url = new URL(value);
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                errors.push(`${key} must be an http(s) URL`);
+            }
+        } catch (error) {
+            errors.push(`${key} must be a valid URL`);
+        }
+        return value;
+    };
+
+    const config = {
+        env: nodeEnv,
+        isProduction,
+        port: integer('PORT', DEFAULT_PORT),
+        corsOrigins: readCorsOrigins(read, isProduction, errors),
+        session: {
+            secret: required('SESSION_COOKIE_SECRET')
+        },
+        mongo: {
+            uri: readMongoUri(read, errors),
+            database: read('MONGO_NODEBB_DATABASE') || 'nodebb',
+            usersCollection: required('MONGO_NODEBB_COLLECTION'),
+            rateLimitCollection: read('MONGO_RATE_LIMIT_COLLECTION') || 'rate_limits'
+        },
+        nodebb: {
+            url: httpUrl('NODEBB_SERVICE_URL', required('NODEBB_SERVICE_URL')),
+            bearerToken: read('NODEBB_BEARER')
+        },
+        smtp: {
+            host: requiredInProduction('BREVO_SMTP_SERVER'),
+            port: integer('BREVO_PORT', 587),
+            user: requiredInProduction('BREVO_SMTP_LOGIN'),
+            password: requiredInProduction('BREVO_SMTP_PASSWORD')
+        },
+        google: {
+            sheetsApiKey: requiredForGoogle('GOOGLE_SHEETS_API_KEY'),
+            spreadsheetId: requiredInProduction('GOOGLE_SPREADSHEET_ID'),
+            serviceAccount: {
+                type: read('GOOGLE_SERVICE_ACCOUNT_TYPE'),
+                project_id: read('GOOGLE_SERVICE_ACCOUNT_PROJECT_ID'),
+                private_key_id: read('GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY_ID'),
+                private_key: requiredForGoogle('GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY'), // remove all '\n' from key file when setting up env
+                client_email: requiredForGoogle('GOOGLE_SERVICE_ACCOUNT_CLIENT_EMAIL'),
+                client_id: read('GOOGLE_SERVICE_ACCOUNT_CLIENT_ID'),
+                auth_uri: read('GOOGLE_SERVICE_ACCOUNT_AUTH_URI'),
+                token_uri: read('GOOGLE_SERVICE_ACCOUNT_TOKEN_URI'),
+                auth_provider_x509_cert_url: read('GOOGLE_SERVICE_ACCOUNT_AUTH_PROVIDER_CERT_URL'),
+                client_x509_cert_url: read('GOOGLE_SERVICE_ACCOUNT_CLIENT_CERT_URL')
+            }
+        },
+        sheets: {
+            backend: sheetsBackend,
+            fixturesPath: sheetsBackend === 'fixtures' ? required('SHEETS_FIXTURES_PATH') : read('SHEETS_FIXTURES_PATH')
+        },
+        content: {
+            registry: readJsonList(read, 'SHEETS_CONTENT_REGISTRY', errors),
+            registryCollection: read('MONGO_CONTENT_REGISTRY_COLLECTION'),
+            cacheCollection: read('MONGO_CONTENT_CACHE_COLLECTION'),
+            cacheTtlSeconds: integer('CONTENT_CACHE_TTL_SECONDS', 300),
+            webhookSecret: read('CONTENT_WEBHOOK_SECRET')
+        },
+        resources: {
+            submissionCollection: read('MONGO_RESOURCE_SUBMISSION_COLLECTION') || 'resource_submissions',
+            publishTo: read('RESOURCE_PUBLISH_TO') || 'mongo'
+        },
+        append: {
+            targets: readJsonList(read, 'SHEETS_APPEND_TARGETS', errors),
+            auditCollection: read('MONGO_APPEND_AUDIT_COLLECTION') || 'append_audit',
+            legacyTarget: read('SHEETS_APPEND_LEGACY_TARGET') || 'address-delimiter'
+        },
+        membership: {
+            historyCollection: read('MONGO_MEMBERSHIP_HISTORY_COLLECTION') || 'membership_history',
+            reminderCollection: read('MONGO_MEMBERSHIP_REMINDER_COLLECTION') || 'membership_reminders',
+            reminderIntervalMinutes: integer('MEMBERSHIP_REMINDER_INTERVAL_MINUTES', 24 * 60),
+            renewUrl: httpUrl('MEMBERSHIP_RENEW_URL', read('MEMBERSHIP_RENEW_URL')),
+            adminEmail: read('MEMBERSHIP_ADMIN_EMAIL') || 'contact@azfarmtoschool.org',
+            reportCollection: read('MONGO_MEMBERSHIP_REPORT_COLLECTION') || 'membership_reports',
+            expiryIntervalMinutes: integer('MEMBERSHIP_EXPIRY_INTERVAL_MINUTES', 60),
+            workGroups: (read('MEMBERSHIP_WORK_GROUPS') || '').split(',').map(group => group.trim()).filter(Boolean)
+        },
+        links: {
+            reportCollection: read('MONGO_LINK_REPORT_COLLECTION') || 'link_reports',
+            reportIntervalMinutes: integer('LINK_REPORT_INTERVAL_MINUTES', 24 * 60),
+            concurrency: integer('LINK_CHECK_CONCURRENCY', 4),
+            timeoutMs: integer('LINK_CHECK_TIMEOUT_MS', 5000)
+        },
+        scheduler: {
+            enabled: read('SCHEDULER_ENABLED') !== 'false'
+        },
+        logging: {
+            level: read('LOG_LEVEL') || 'info'
+        },
+        shutdown: {
+            drainTimeoutMs: integer('SHUTDOWN_TIMEOUT_MS', 15 * 1000)
+        }
+    };
+
+    // Reminder links point at the site itself unless a renewal page is given
+    if (!config.membership.renewUrl) {
+        config.membership.renewUrl = config.corsOrigins[0];
+    }
+    if (config.content.webhookSecret && config.content.webhookSecret.length < 32) {
+        errors.push('CONTENT_WEBHOOK_SECRET must be at least 32 characters');
+    }
+    if (!SHEETS_BACKENDS.includes(config.sheets.backend)) {
+        errors.push(`SHEETS_BACKEND must be one of ${SHEETS_BACKENDS.join(', ')}`);
+    }
+    if (!RESOURCE_PUBLISH_TARGETS.includes(config.resources.publishTo)) {
+        errors.push(`RESOURCE_PUBLISH_TO must be one of ${RESOURCE_PUBLISH_TARGETS.join(', ')}`);
+    }
+    if (config.links.concurrency < 1) {
+        errors.push('LINK_CHECK_CONCURRENCY must be at least 1');
+    }
+    if (!LOG_LEVELS.includes(config.logging.level)) {
+        errors.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return deepFreeze(config);
+}
+
+/**
+ * CORS_ORIGINS is a comma-separated list; PROTOCOL + DOMAIN is still honoured
+ * for existing deployments, and development falls back to localhost.
+ */
+function readCorsOrigins(read, isProduction, errors) {
+    let origins = [];
+    const list = read('CORS_ORIGINS');
+    if (list) {
+        origins = list.split(',').map(origin => origin.trim()).filter(Boolean);
+    } else if (read('PROTOCOL') && read('DOMAIN')) {
+        origins = [read('PROTOCOL') + read('DOMAIN')];
+    }
+
+    for (const origin of origins) {
+        try {
+            const url = new URL(origin);
+            if (url.origin !== origin.replace(/\/$/, '')) {
+                errors.push(`CORS origin ${origin} must not include a path`);
+            }
+        } catch (error) {
+            errors.push(`CORS origin ${origin} is not a valid URL`);
+        }
+    }
+
+    if (origins.length === 0) {
+        if (isProduction) {
+            errors.push('CORS_ORIGINS (or PROTOCOL and DOMAIN) is required');
+        } else {
+            origins = [DEFAULT_DEV_ORIGIN];
+        }
+    }
+    return origins;
+}
+
+/**
+ * A JSON array setting, empty when unset
+ */
+function readJsonList(read, key, errors) {
+    const value = read(key);
+    if (value === undefined) {
+        return [];
+    }
+    try {
+        const list = JSON.parse(value);
+        if (Array.isArray(list)) {
+            return list;
+        }
+    } catch (error) {
+        // Reported below
+    }
+    errors.push(`${key} must be a JSON array`);
+    return [];
+}
+
+/**
+ * MONGO_URI wins; otherwise build a local or Atlas URI from its parts
+ */
+function readMongoUri(read, errors) {
+    if (read('MONGO_URI')) {
+        return read('MONGO_URI');
+    }
+
+    const user = read('MONGO_USERNAME') || read('EXPRESS_MONGO_USER') || read('MONGO_USER');
+    const password = read('MONGO_PASSWORD') || read('EXPRESS_MONGO_PASSWORD');
+    const credentials = user && password ? `${user}:${password}@` : '';
+
+    if (read('MONGO_LOCAL') === 'true') {
+        const host = read('MONGO_HOST') || 'localhost';
+        const port = read('MONGO_PORT') || '27017';
+        return `mongodb://${credentials}${host}:${port}`;
+    }
+
+    // MongoDB Atlas
+    if (!credentials) {
+        errors.push('Set MONGO_URI, MONGO_LOCAL=true, or MongoDB username and password');
+        return undefined;
+    }
+    const host = read('MONGO_HOST') || 'cluster0.example.mongodb.net';
+    return `mongodb+srv://${credentials}${host}`;
+}
+
+const deepFreeze = (object) => {
+    for (const value of Object.values(object)) {
+        if (value && typeof value === 'object') {
+            deepFreeze(value);
+        }
+    }
+    return Object.freeze(object);
+};
+
+const SECRET_PATHS = new Set([
+    'session.secret',
+    'nodebb.bearerToken',
+    'smtp.password',
+    'google.sheetsApiKey',
+    'content.webhookSecret',
+    'google.serviceAccount.private_key',
+    'google.serviceAccount.private_key_id'
+]);
+
+/**
+ * Copy of the config that is safe to print: secrets become '[set]' or
+ * '[missing]' and MongoDB credentials are masked
+ * @param {Config} config
+ * @returns {Object}
+ */
+function summarizeConfig(config, path = '') {
+    const summary = Array.isArray(config) ? [] : {};
+    for (const [key, value] of Object.entries(config)) {
+        const keyPath = path ? `${path}.${key}` : key;
+        if (SECRET_PATHS.has(keyPath)) {
+            summary[key] = value ? '[set]' : '[missing]';
+        } else if (keyPath === 'mongo.uri') {
+            summary[key] = value && value.replace(/\/\/([^:@/]+):([^@]+)@/, '//***:***@');
+        } else if (value && typeof value === 'object') {
+            summary[key] = summarizeConfig(value, keyPath);
+        } else {
+            summary[key] = value === undefined ? null : value;
+        }
+    }
+    return summary;
+}
+
+let cachedConfig = null;
+
+/**
+ * Load .env (once) and return the validated process configuration
+ * @returns {Config}
+ * @throws {ConfigError}
+ */
+function getConfig() {
+    if (!cachedConfig) {
+        require('dotenv').config();
+        cachedConfig = loadConfig(process.env);
+    }
+    return cachedConfig;
+}
+
+module.exports = {
+    ConfigError,
+    loadConfig,
+    getConfig,
+    summarizeConfig
+};
@@ -0,0 +1,92 @@
+// lib/errors.js
+// Error classes carried to the central error handler (middleware/errorHandler.js).
+// Each maps to an HTTP status and a stable `code` the frontend can switch on.
+
+class AppError extends Error {
+    /**
+     * @param {string} message - Safe to show to the client
+     * @param {Object} [options]
+     * @param {number} [options.status=500] - HTTP status
+     * @param {string} [options.code='INTERNAL_ERROR'] - Machine-readable error code
+     * @param {Object} [options.errors] - Per-field messages
+     * @param {Error} [options.cause] - Underlying error, logged but never sent
+     */
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', errors, cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.errors = errors;
+    }
+}
+
+class ValidationError extends AppError {
+    constructor(errors, message = 'Invalid request.') {
+        super(message, { status: 400, code: 'VALIDATION_ERROR', errors });
+    }
+}
+
+class AuthenticationError extends AppError {
+    constructor(message = 'No session found.', code = 'UNAUTHENTICATED') {
+        super(message, { status: 401, code });
+    }
+}
+
+class AuthorizationError extends AppError {
+    constructor(message = 'Not allowed.', code = 'FORBIDDEN') {
+        super(message, { status: 403, code });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Not found.') {
+        super(message, { status: 404, code: 'NOT_FOUND' });
+    }
+}
+
+/**
+ * The request is valid but clashes with the resource's current state
+ */
+class ConflictError extends AppError {
+    constructor(message = 'Conflict.', code = 'CONFLICT') {
+        super(message, { status: 409, code });
+    }
+}
+
+class TooManyRequestsError extends AppError {
+    constructor(message = 'Too many requests, please try again later.') {
+        super(message, { status: 429, code: 'RATE_LIMITED' });
+    }
+}
+
+/**
+ * A dependency (NodeBB, MongoDB, Google, SMTP) failed or timed out
+ */
+class UpstreamError extends AppError {
+    /**
+     * @param {string} service - Name of the dependency, e.g. 'NodeBB'
+     * @param {string} [message] - Client-facing message
+     * @param {Object} [options]
+     * @param {Error} [options.cause] - Underlying error
+     * @param {boolean} [options.timeout] - Report 504 instead of 502
+     */
+    constructor(service, message, { cause, timeout = false } = {}) {
+        super(message || `${service} is unavailable.`, {
+            status: timeout ? 504 : 502,
+            code: timeout ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_ERROR',
+            cause
+        });
+        this.service = service;
+    }
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    AuthenticationError,
+    AuthorizationError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError,
+    UpstreamError
+};
@@ -0,0 +1,101 @@
+// lib/health.js
+// Dependency checks behind /readyz and /status. Each check is timed, and the
+// latest outcome (including the last error seen) is kept per dependency.
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'health' });
+
+const DEFAULT_TIMEOUT_MS = 5000;
+// Readiness probes hit us every few seconds; don't forward every one to the dependencies
+const DEFAULT_CACHE_MS = 10 * 1000;
+
+/**
+ * @typedef {Object} DependencyCheck
+ * @property {string} name - Dependency name, e.g. 'mongodb'
+ * @property {Function} check - Async function that throws when the dependency is unusable
+ * @property {boolean} [critical=true] - Whether the proxy is unready without it
+ * @property {number} [timeoutMs] - Give up after this long
+ */
+
+/**
+ * Reject if `promise` takes longer than `timeoutMs`
+ */
+const withTimeout = (promise, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Create a health monitor over a set of dependency checks
+ * @param {DependencyCheck[]} checks
+ * @param {Object} [options]
+ * @param {number} [options.cacheMs] - Reuse results younger than this for readiness
+ * @param {Function} [options.now] - Clock, for tests
+ */
+function createHealthMonitor(checks, { cacheMs = DEFAULT_CACHE_MS, now = Date.now } = {}) {
+    const states = new Map(checks.map(({ name, critical = true }) => [name, {
+        name,
+        critical,
+        ok: null,
+        latencyMs: null,
+        checkedAt: null,
+        lastError: null
+    }]));
+
+    const runCheck = async ({ name, check, timeoutMs = DEFAULT_TIMEOUT_MS }) => {
+        const state = states.get(name);
+        const startedAt = now();
+        try {
+            await withTimeout(Promise.resolve().then(check), timeoutMs);
+            state.ok = true;
+        } catch (error) {
+            if (state.ok !== false) {
+                log.warn('dependency check failed', { dependency: name, err: error });
+            }
+            state.ok = false;
+            state.lastError = { message: error.message, at: new Date(now()).toISOString() };
+        }
+        state.latencyMs = now() - startedAt;
+        state.checkedAt = now();
+        return state;
+    };
+
+    /**
+     * Check every dependency
+     * @param {Object} [options]
+     * @param {boolean} [options.fresh=false] - Ignore cached results
+     */
+    const checkAll = async ({ fresh = false } = {}) => {
+        await Promise.all(checks.map((dependency) => {
+            const state = states.get(dependency.name);
+            const isCached = !fresh && state.checkedAt !== null && now() - state.checkedAt < cacheMs;
+            return isCached ? state : runCheck(dependency);
+        }));
+        return report();
+    };
+
+    /**
+     * Snapshot of every dependency's last known state
+     */
+    const report = () => {
+        const dependencies = {};
+        for (const state of states.values()) {
+            dependencies[state.name] = {
+                ok: state.ok,
+                critical: state.critical,
+                latencyMs: state.latencyMs,
+                checkedAt: state.checkedAt === null ? null : new Date(state.checkedAt).toISOString(),
+                lastError: state.lastError
+            };
+        }
+        const ready = [...states.values()].every(state => !state.critical || state.ok === true);
+        return { ready, dependencies };
+    };
+
+    return { checkAll, report };
+}
+
+module.exports = { createHealthMonitor };
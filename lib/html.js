@@ -0,0 +1,17 @@
+// lib/html.js
+// Helpers for the HTML emails the services send.
+
+/**
+ * Escape text for an HTML body or a double-quoted attribute
+ * @param {*} value - null and undefined become an empty string
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+module.exports = {
+    escapeHtml
+};
@@ -0,0 +1,130 @@
+// lib/lifecycle.js
+// Graceful shutdown: on SIGTERM/SIGINT stop taking new connections, let
+// in-flight requests finish, then close resources (MongoDB, SMTP, ...) in the
+// reverse order they were registered.
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'lifecycle' });
+
+const DEFAULT_DRAIN_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * Create a lifecycle manager
+ * @param {Object} [options]
+ * @param {number} [options.drainTimeoutMs] - Force-close connections still open after this long
+ * @param {Function} [options.exit] - Called with the exit code once everything is closed
+ */
+function createLifecycle({
+    drainTimeoutMs = DEFAULT_DRAIN_TIMEOUT_MS,
+    exit = (code) => process.exit(code)
+} = {}) {
+    const resources = [];
+    let server = null;
+    let shuttingDown = false;
+    let shutdownPromise = null;
+
+    /**
+     * Register something to close on shutdown
+     * @param {string} name - Used in logs
+     * @param {Function} close - Async function releasing the resource
+     */
+    const register = (name, close) => {
+        resources.push({ name, close });
+    };
+
+    /**
+     * The HTTP server to drain before any resource is closed
+     * @param {import('http').Server} httpServer
+     */
+    const setServer = (httpServer) => {
+        server = httpServer;
+    };
+
+    const isShuttingDown = () => shuttingDown;
+
+    /**
+     * Ask clients on keep-alive connections to reconnect elsewhere once draining
+     */
+    const middleware = (req, res, next) => {
+        if (shuttingDown) {
+            res.set('Connection', 'close');
+        }
+        next();
+    };
+
+    const drainServer = () => new Promise((resolve) => {
+        if (!server || !server.listening) {
+            return resolve();
+        }
+
+        const forceTimer = setTimeout(() => {
+            log.warn('drain timeout reached, closing remaining connections', { drainTimeoutMs });
+            server.closeAllConnections();
+        }, drainTimeoutMs);
+        forceTimer.unref();
+
+        server.close((error) => {
+            clearTimeout(forceTimer);
+            if (error) {
+                log.error('error closing HTTP server', { err: error });
+            }
+            resolve();
+        });
+        // Idle keep-alive sockets would otherwise hold close() open
+        server.closeIdleConnections();
+    });
+
+    /**
+     * Drain requests and close every registered resource; safe to call twice
+     * @param {string} [reason] - Signal or cause, for the logs
+     * @returns {Promise<number>} Exit code
+     */
+    const shutdown = (reason = 'shutdown') => {
+        if (shutdownPromise) {
+            return shutdownPromise;
+        }
+        shuttingDown = true;
+        log.info('shutting down', { reason });
+
+        shutdownPromise = (async () => {
+            let exitCode = 0;
+            await drainServer();
+
+            for (const { name, close } of [...resources].reverse()) {
+                try {
+                    await close();
+                    log.info('closed resource', { resource: name });
+                } catch (error) {
+                    exitCode = 1;
+                    log.error('error closing resource', { resource: name, err: error });
+                }
+            }
+
+            log.info('shutdown complete', { exitCode });
+            return exitCode;
+        })();
+        return shutdownPromise;
+    };
+
+    /**
+     * Shut down and exit on SIGTERM (Docker stop) and SIGINT (Ctrl-C)
+     */
+    const handleSignals = (signals = ['SIGTERM', 'SIGINT']) => {
+        for (const signal of signals) {
+            process.once(signal, () => {
+                shutdown(signal).then(exit);
+            });
+        }
+    };
+
+    return {
+        register,
+        setServer,
+        isShuttingDown,
+        middleware,
+        shutdown,
+        handleSignals
+    };
+}
+
+module.exports = { createLifecycle };
@@ -0,0 +1,156 @@
+// lib/logger.js
+// Structured JSON logger. One line per entry on stdout (stderr for warn/error),
+// tagged with the id of the request being handled so entries from one request
+// (and the NodeBB calls it makes) can be correlated.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Keys whose values are never written out, whatever they contain. Matched on
+// the whole key or its suffix (`sessionCookie`, `api_key`), so keys that merely
+// contain a word (`passed`, `sessionCount`) or a plain cache `key` are logged.
+const SENSITIVE_KEY_PATTERN = /^(.*(password|passwd|secret|token|cookie|(api|private|access|secret)[-_]?key)|authorization|session(_?id)?|email)$/i;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+const settings = {
+    // error | warn | info | debug; anything else (e.g. 'silent') disables output.
+    // server.js applies config.logging.level at boot.
+    level: 'info',
+    write: (level, line) => {
+        const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(line + '\n');
+    }
+};
+
+/**
+ * Replace credentials and personal data with placeholders
+ * @param {*} value - Anything about to be logged
+ * @returns {*} A redacted copy
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return value.replace(EMAIL_PATTERN, REDACTED);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (value instanceof Error) {
+        return serializeError(value, depth);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+/**
+ * Keep the useful parts of an error; axios errors in particular carry the whole
+ * request config (headers, cookies) and must not be dumped as-is
+ */
+function serializeError(error, depth = 0) {
+    const serialized = {
+        name: error.name,
+        message: redact(error.message)
+    };
+    if (error.code !== undefined) serialized.code = error.code;
+    if (error.status !== undefined) serialized.status = error.status;
+    if (error.service) serialized.service = error.service;
+    if (error.response?.status) serialized.responseStatus = error.response.status;
+    if (error.config?.url) serialized.url = redact(error.config.url);
+    if (error.stack) serialized.stack = redact(error.stack);
+    if (error.cause instanceof Error && depth < MAX_DEPTH) {
+        serialized.cause = serializeError(error.cause, depth + 1);
+    }
+    return serialized;
+}
+
+/**
+ * Run `fn` with a request id attached to every log entry and NodeBB call it makes
+ * @param {string} requestId - Id of the request being handled
+ * @param {Function} fn - Continuation, usually Express's `next`
+ */
+function runWithRequestId(requestId, fn) {
+    return requestContext.run({ requestId }, fn);
+}
+
+/**
+ * @returns {string|undefined} Id of the request currently being handled
+ */
+function getRequestId() {
+    return requestContext.getStore()?.requestId;
+}
+
+/**
+ * Override the level or output, e.g. to silence or capture logs in tests
+ * @param {Object} options
+ * @param {string} [options.level] - Minimum level written
+ * @param {Function} [options.write] - Receives `(level, line)`
+ * @returns {Object} The previous settings, to pass back when restoring
+ */
+function configureLogger({ level, write } = {}) {
+    const previous = { ...settings };
+    if (level) settings.level = level;
+    if (write) settings.write = write;
+    return previous;
+}
+
+/**
+ * Create a logger whose entries all carry `bindings`
+ * @param {Object} [bindings] - Fields added to every entry, e.g. `{ module: 'nodebb' }`
+ */
+function createLogger(bindings = {}) {
+    const log = (level, message, fields) => {
+        if (!(settings.level in LEVELS) || LEVELS[level] > LEVELS[settings.level]) {
+            return;
+        }
+
+        const extra = fields instanceof Error ? { err: fields } : fields;
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            ...bindings,
+            msg: redact(message)
+        };
+        const requestId = getRequestId();
+        if (requestId) {
+            entry.requestId = requestId;
+        }
+        Object.assign(entry, redact(extra || {}));
+
+        settings.write(level, JSON.stringify(entry));
+    };
+
+    return {
+        error: (message, fields) => log('error', message, fields),
+        warn: (message, fields) => log('warn', message, fields),
+        info: (message, fields) => log('info', message, fields),
+        debug: (message, fields) => log('debug', message, fields),
+        child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+    };
+}
+
+const logger = createLogger();
+
+module.exports = {
+    logger,
+    createLogger,
+    configureLogger,
+    runWithRequestId,
+    getRequestId,
+    redact
+};
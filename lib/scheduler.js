@@ -0,0 +1,113 @@
+// lib/scheduler.js
+// In-process recurring jobs (link checks, reminders, ...). A job never
+// overlaps itself: a run that is still going when the next one is due is
+// skipped. Timers don't keep the process alive, and stop() waits for running
+// jobs so shutdown doesn't cut them off halfway. A disabled scheduler (on all
+// replicas but one) keeps its jobs for run() but never starts them on a timer.
+const { createLogger } = require('./logger');
+
+const log = createLogger({ module: 'scheduler' });
+
+/**
+ * Create a scheduler
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Run jobs on their timers; run() works either way
+ * @param {Function} [options.setTimer] - setTimeout replacement, for tests
+ * @param {Function} [options.clearTimer] - clearTimeout replacement, for tests
+ */
+function createScheduler({ enabled = true, setTimer = setTimeout, clearTimer = clearTimeout } = {}) {
+    const jobs = new Map();
+    let stopped = false;
+
+    const plan = (job, delayMs) => {
+        if (stopped) return;
+        job.timer = setTimer(() => {
+            job.timer = null;
+            run(job.name).finally(() => plan(job, job.intervalMs));
+        }, delayMs);
+        if (job.timer && typeof job.timer.unref === 'function') {
+            job.timer.unref();
+        }
+    };
+
+    /**
+     * Run a job now, unless it is already running
+     * @param {string} name
+     * @returns {Promise<*>} The task's result, or undefined when skipped or failed
+     */
+    const run = async (name) => {
+        const job = jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job "${name}"`);
+        }
+        if (job.running) {
+            log.warn('job still running, skipped', { job: name });
+            return undefined;
+        }
+
+        const startedAt = Date.now();
+        job.running = (async () => {
+            try {
+                const result = await job.task();
+                log.info('job finished', { job: name, durationMs: Date.now() - startedAt });
+                return result;
+            } catch (error) {
+                log.error('job failed', { job: name, durationMs: Date.now() - startedAt, err: error });
+                return undefined;
+            }
+        })();
+        try {
+            return await job.running;
+        } finally {
+            job.running = null;
+        }
+    };
+
+    /**
+     * Run `task` every `intervalMs`
+     * @param {string} name - Used in logs and by run()
+     * @param {Object} options
+     * @param {number} options.intervalMs - Time between the end of one run and the start of the next
+     * @param {number} [options.firstRunMs] - Delay before the first run; defaults to intervalMs
+     * @param {Function} task - Async function; failures are logged, not thrown
+     */
+    const every = (name, { intervalMs, firstRunMs = intervalMs }, task) => {
+        if (jobs.has(name)) {
+            throw new Error(`Job "${name}" is already scheduled`);
+        }
+        const job = { name, intervalMs, task, timer: null, running: null };
+        jobs.set(name, job);
+        if (!enabled) {
+            log.info('job not scheduled, scheduler disabled', { job: name });
+            return;
+        }
+        plan(job, firstRunMs);
+        log.info('job scheduled', { job: name, intervalMs });
+    };
+
+    /**
+     * Cancel every pending run and wait for the running ones
+     */
+    const stop = async () => {
+        stopped = true;
+        const running = [];
+        for (const job of jobs.values()) {
+            if (job.timer) {
+                clearTimer(job.timer);
+                job.timer = null;
+            }
+            if (job.running) {
+                running.push(job.running);
+            }
+        }
+        await Promise.all(running);
+    };
+
+    return {
+        every,
+        run,
+        stop
+    };
+}
+
+module.exports = { createScheduler };
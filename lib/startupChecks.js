@@ -0,0 +1,50 @@
+// lib/startupChecks.js
+// Checks server.js runs before it accepts traffic: the environment still
+// loads, and the request guards reject what they are meant to. These are quick
+// smoke checks; the full suites live in tests/ and run with `npm test`
+// (including in the Docker build).
+const { loadConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { sanitizeUserInput } = require('../middleware/sanitizeRequests');
+const { validateSchema } = require('../middleware/validateRequest');
+
+const log = createLogger({ module: 'startup' });
+
+const STARTUP_CHECKS = [
+    ['configuration', (env) => {
+        loadConfig(env);
+    }],
+    ['sanitization', () => {
+        const text = sanitizeUserInput('<script>alert(1)</script>&lt;img src=x onerror=alert(1)&gt;ok');
+        if (text !== 'ok') {
+            throw new Error('HTML was not stripped from user input');
+        }
+    }],
+    ['request schema', () => {
+        const { isValid } = validateSchema({ id: 'not-an-id' }, { id: { type: 'objectId', required: true } });
+        if (isValid) {
+            throw new Error('An invalid request passed validation');
+        }
+    }]
+];
+
+/**
+ * Run every startup check, logging each failure
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment variables (defaults to process.env)
+ * @returns {Promise<boolean>} True if every check passes
+ */
+async function runStartupChecks({ env = process.env } = {}) {
+    let allPassed = true;
+    for (const [name, check] of STARTUP_CHECKS) {
+        try {
+            await check(env);
+        } catch (error) {
+            allPassed = false;
+            log.error('startup check failed', { check: name, errors: error.errors, err: error });
+        }
+    }
+    return allPassed;
+}
+
+module.exports = { runStartupChecks };
@@ -0,0 +1,10 @@
+// lib/time.js
+// The network works in Arizona time: event dates, renewal dates and
+// spreadsheet timestamps are all read and shown there.
+
+// Arizona doesn't observe daylight saving time
+const TIME_ZONE = 'America/Phoenix';
+
+module.exports = {
+    TIME_ZONE
+};
@@ -0,0 +1,94 @@
+const { AppError, ValidationError, NotFoundError, UpstreamError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT']);
+
+/**
+ * Wrap an async route handler so rejected promises reach the error handler
+ * @param {Function} handler - Async Express handler
+ * @returns {Function} Express handler
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+/**
+ * Turn anything thrown by a route into an AppError, without leaking internals
+ */
+const normalizeError = (error) => {
+    if (error instanceof AppError) {
+        return error;
+    }
+
+    // express.json() parse failures and oversized bodies
+    if (error.type === 'entity.parse.failed') {
+        return new ValidationError({ body: 'Malformed JSON body' });
+    }
+    if (error.type === 'entity.too.large') {
+        return new AppError('Request body is too large.', { status: 413, code: 'PAYLOAD_TOO_LARGE', cause: error });
+    }
+
+    if (error.isAxiosError) {
+        const timeout = TIMEOUT_CODES.has(error.code);
+        return new UpstreamError('Upstream service', undefined, { cause: error, timeout });
+    }
+
+    if (typeof error.name === 'string' && error.name.startsWith('Mongo')) {
+        return new UpstreamError('MongoDB', 'Database is unavailable.', { cause: error });
+    }
+
+    return new AppError('Internal server error.', { cause: error });
+};
+
+/**
+ * Build the error envelope every route responds with:
+ * `{ success: false, code, message, errors?, correlationId }`
+ */
+const toResponseBody = (error, req) => {
+    const body = {
+        success: false,
+        code: error.code,
+        message: error.message
+    };
+    if (error.errors) {
+        body.errors = error.errors;
+    }
+    body.correlationId = req.id;
+    return body;
+};
+
+/**
+ * Final Express error middleware
+ */
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const error = normalizeError(err);
+    if (error.status >= 500) {
+        logger.error('request failed', {
+            method: req.method,
+            path: req.path,
+            status: error.status,
+            code: error.code,
+            err: error.cause || error
+        });
+    }
+
+    res.status(error.status).json(toResponseBody(error, req));
+};
+
+/**
+ * Catch-all for unmatched routes, placed before errorHandler
+ */
+const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+};
+
+module.exports = {
+    asyncHandler,
+    errorHandler,
+    notFoundHandler,
+    toResponseBody
+};
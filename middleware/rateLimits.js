@@ -0,0 +1,182 @@
+const { rateLimit } = require('express-rate-limit');
+const { TooManyRequestsError } = require('../lib/errors');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Rate limit store backed by a MongoDB collection, so hit counts survive
+ * restarts and are shared between containers.
+ * Each document is keyed by `<prefix><client key>` and expires through a
+ * TTL index on `resetTime`.
+ */
+class MongoRateLimitStore {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getCollection - Resolves a MongoDB collection by name
+     * @param {string} options.collectionName - Collection holding the counters
+     * @param {string} options.prefix - Key prefix, unique per limiter
+     */
+    constructor({ getCollection, collectionName, prefix }) {
+        this.getCollection = getCollection;
+        this.collectionName = collectionName;
+        this.prefix = prefix;
+        this.localKeys = false;
+        this.collection = null;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async resolveCollection() {
+        if (!this.collection) {
+            const collection = await this.getCollection(this.collectionName);
+            await collection.createIndex({ resetTime: 1 }, { expireAfterSeconds: 0 });
+            this.collection = collection;
+        }
+        return this.collection;
+    }
+
+    async get(key) {
+        const collection = await this.resolveCollection();
+        const doc = await collection.findOne({ _id: this.prefix + key });
+        if (!doc || doc.resetTime < new Date()) {
+            return undefined;
+        }
+        return { totalHits: doc.totalHits, resetTime: doc.resetTime };
+    }
+
+    async increment(key) {
+        const collection = await this.resolveCollection();
+        const now = new Date();
+        const expired = { $lt: ['$resetTime', now] };
+
+        // Single atomic pipeline update: start a new window when the old one
+        // has lapsed (or never existed), otherwise bump the counter.
+        const result = await collection.findOneAndUpdate(
+            { _id: this.prefix + key },
+            [{
+                $set: {
+                    totalHits: { $cond: [expired, 1, { $add: ['$totalHits', 1] }] },
+                    resetTime: { $cond: [expired, new Date(now.getTime() + this.windowMs), '$resetTime'] }
+                }
+            }],
+            { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+        );
+
+        return {
+            totalHits: result.value.totalHits,
+            resetTime: result.value.resetTime
+        };
+    }
+
+    async decrement(key) {
+        const collection = await this.resolveCollection();
+        await collection.updateOne(
+            { _id: this.prefix + key, totalHits: { $gt: 0 } },
+            { $inc: { totalHits: -1 } }
+        );
+    }
+
+    async resetKey(key) {
+        const collection = await this.resolveCollection();
+        await collection.deleteOne({ _id: this.prefix + key });
+    }
+}
+
+/**
+ * Build a single limiter and expose its effective settings on the middleware,
+ * so callers (and the startup tests) can inspect them.
+ */
+const createLimiter = (name, settings, options) => {
+    const store = options.getCollection
+        ? new MongoRateLimitStore({
+            getCollection: options.getCollection,
+            collectionName: options.collectionName,
+            prefix: `${name}:`
+        })
+        : undefined;
+
+    const limiter = rateLimit({
+        windowMs: settings.windowMs,
+        limit: settings.max,
+        message: settings.message,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        skipSuccessfulRequests: settings.skipSuccessfulRequests || false,
+        // Never take the whole API down because the counter store is unreachable
+        passOnStoreError: true,
+        // Respond through the central error handler's envelope
+        handler: (req, res, next, limiterOptions) => {
+            const { message } = limiterOptions;
+            next(new TooManyRequestsError(typeof message === 'string' ? message : message?.message));
+        },
+        store
+    });
+
+    limiter.windowMs = settings.windowMs;
+    limiter.max = settings.max;
+    limiter.message = settings.message;
+    return limiter;
+};
+
+/**
+ * Configure rate limiters for the API
+ * @param {Object} [options]
+ * @param {boolean} [options.isProduction=false] - Use production limits
+ * @param {Object|string} [options.message] - Error message (or object with a `message`) reported when a limit is hit
+ * @param {Function} [options.getCollection] - MongoDB collection resolver; in-memory counters are used when omitted
+ * @param {string} [options.collectionName='rate_limits'] - Collection holding the counters
+ * @returns {Object} Limiter middlewares keyed by name
+ */
+function configureLimiters(options = {}) {
+    const {
+        isProduction = false,
+        message = 'Too many requests, please try again later.',
+        getCollection,
+        collectionName = 'rate_limits'
+    } = options;
+
+    const storeOptions = { getCollection, collectionName };
+
+    return {
+        // Username / email availability checks during signup
+        accountCheckLimiter: createLimiter('account-check', {
+            windowMs: 15 * MINUTE,
+            max: isProduction ? 30 : 300,
+            message
+        }, storeOptions),
+
+        // New membership requests (sends email to support)
+        signupLimiter: createLimiter('signup', {
+            windowMs: 60 * MINUTE,
+            max: isProduction ? 5 : 50,
+            message
+        }, storeOptions),
+
+        // Contact-us form (sends email to the network inbox)
+        contactLimiter: createLimiter('contact', {
+            windowMs: 60 * MINUTE,
+            max: isProduction ? 5 : 50,
+            message
+        }, storeOptions),
+
+        // Failed login attempts only, so members aren't locked out by normal use
+        loginLimiter: createLimiter('login', {
+            windowMs: 15 * MINUTE,
+            max: isProduction ? 10 : 100,
+            skipSuccessfulRequests: true,
+            message
+        }, storeOptions),
+
+        // Everything else
+        apiLimiter: createLimiter('api', {
+            windowMs: 15 * MINUTE,
+            max: isProduction ? 500 : 5000,
+            message
+        }, storeOptions)
+    };
+}
+
+module.exports = configureLimiters;
+module.exports.MongoRateLimitStore = MongoRateLimitStore;
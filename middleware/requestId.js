@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { logger, runWithRequestId } = require('../lib/logger');
+
+// Accept ids from a trusted proxy only if they look like ids, never arbitrary text
+const INCOMING_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/;
+
+const accessLog = logger.child({ module: 'http' });
+
+/**
+ * Request id middleware
+ * Reuses an incoming X-Request-Id or generates one, exposes it as `req.id`
+ * and echoes it back so clients can quote it when reporting a problem.
+ * The rest of the request runs with the id in the logging context, and one
+ * access log entry is written when the response finishes.
+ */
+const requestId = (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    runWithRequestId(req.id, () => {
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+            accessLog.info('request completed', {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Math.round(durationMs)
+            });
+        });
+        next();
+    });
+};
+
+module.exports = requestId;
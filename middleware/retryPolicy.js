@@ -0,0 +1,180 @@
+const { createLogger } = require('../lib/logger');
+
+const retryLog = createLogger({ module: 'retry' });
+
+const RETRYABLE_NETWORK_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ENOTFOUND',
+    'UND_ERR_CONNECT_TIMEOUT',
+    'UND_ERR_SOCKET'
+]);
+
+const RETRYABLE_HTTP_STATUSES = new Set([408, 429, 502, 503, 504]);
+
+const RETRYABLE_MONGO_ERRORS = new Set([
+    'MongoNetworkError',
+    'MongoNetworkTimeoutError',
+    'MongoServerSelectionError',
+    'MongoTopologyClosedError',
+    'MongoNotConnectedError'
+]);
+
+const DEFAULT_OPTIONS = {
+    maxRetries: 3,
+    initialDelay: 200,
+    factor: 2,
+    maxDelay: 5000,
+    shouldRetry: () => true,
+    onRetry: null
+};
+
+const DATABASE_OPTIONS = {
+    maxRetries: 3,
+    initialDelay: 100,
+    factor: 2,
+    maxDelay: 2000
+};
+
+const NETWORK_OPTIONS = {
+    maxRetries: 3,
+    initialDelay: 300,
+    factor: 2,
+    maxDelay: 5000
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay before the given retry attempt (1-based), with exponential growth
+ * and up to 20% jitter so parallel callers don't retry in lockstep.
+ */
+const computeDelay = (attempt, { initialDelay, factor, maxDelay }) => {
+    const base = Math.min(initialDelay * Math.pow(factor, attempt - 1), maxDelay);
+    return Math.round(base + base * 0.2 * Math.random());
+};
+
+/**
+ * HTTP status of a failed request, for both axios errors and errors we
+ * raise ourselves from fetch responses.
+ */
+const getStatus = (error) => error?.response?.status ?? error?.status;
+
+/**
+ * Transient network failures: connection resets, timeouts, DNS hiccups and
+ * gateway errors from upstream. Client errors (4xx) are permanent.
+ */
+const isRetryableNetworkError = (error) => {
+    if (!error) return false;
+
+    const status = getStatus(error);
+    if (status !== undefined) {
+        return RETRYABLE_HTTP_STATUSES.has(status);
+    }
+
+    const code = error.code || error.cause?.code;
+    if (code && RETRYABLE_NETWORK_CODES.has(code)) {
+        return true;
+    }
+
+    // Native fetch reports connection failures as a bare TypeError
+    return error.name === 'TypeError' && error.message === 'fetch failed';
+};
+
+/**
+ * Transient MongoDB failures: lost connections, server selection timeouts and
+ * anything the driver itself labels as retryable.
+ */
+const isRetryableDatabaseError = (error) => {
+    if (!error) return false;
+
+    if (RETRYABLE_MONGO_ERRORS.has(error.name)) {
+        return true;
+    }
+
+    if (typeof error.hasErrorLabel === 'function') {
+        return error.hasErrorLabel('RetryableWriteError') ||
+            error.hasErrorLabel('TransientTransactionError');
+    }
+
+    return false;
+};
+
+/**
+ * Run an async operation, retrying with exponential backoff
+ * @param {Function} operation - Async function to run
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries=3] - Total number of attempts
+ * @param {number} [options.initialDelay=200] - Delay before the first retry, in ms
+ * @param {number} [options.factor=2] - Backoff multiplier
+ * @param {number} [options.maxDelay=5000] - Upper bound on a single delay, in ms
+ * @param {Function} [options.shouldRetry] - Decides whether an error is worth retrying
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delay) before each retry
+ * @returns {Promise<*>} Result of the operation; rejects with the last error
+ */
+async function retryOperation(operation, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt >= settings.maxRetries || !settings.shouldRetry(error)) {
+                throw error;
+            }
+
+            const delay = computeDelay(attempt, settings);
+            if (settings.onRetry) {
+                settings.onRetry(error, attempt, delay);
+            }
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Wrap a MongoDB operation so transient database errors are retried
+ * @param {Function} operation - Async function to wrap
+ * @param {Object} [options] - Overrides for retryOperation
+ * @returns {Function} Wrapped function taking the same arguments
+ */
+function withDatabaseRetry(operation, options = {}) {
+    return (...args) => retryOperation(() => operation(...args), {
+        ...DATABASE_OPTIONS,
+        shouldRetry: isRetryableDatabaseError,
+        onRetry: (error, attempt, delay) => {
+            retryLog.warn('database operation failed, retrying', { attempt, delayMs: delay, err: error });
+        },
+        ...options
+    });
+}
+
+/**
+ * Wrap a network operation so timeouts and gateway errors are retried
+ * @param {Function} operation - Async function to wrap
+ * @param {Object} [options] - Overrides for retryOperation
+ * @returns {Function} Wrapped function taking the same arguments
+ */
+function withNetworkRetry(operation, options = {}) {
+    return (...args) => retryOperation(() => operation(...args), {
+        ...NETWORK_OPTIONS,
+        shouldRetry: isRetryableNetworkError,
+        onRetry: (error, attempt, delay) => {
+            retryLog.warn('network request failed, retrying', { attempt, delayMs: delay, err: error });
+        },
+        ...options
+    });
+}
+
+module.exports = {
+    retryOperation,
+    withDatabaseRetry,
+    withNetworkRetry,
+    isRetryableNetworkError,
+    isRetryableDatabaseError
+};
@@ -0,0 +1,140 @@
+const sanitizeHtml = require('sanitize-html');
+
+// Strip every tag; script/style bodies are dropped along with their tags
+const SANITIZE_OPTIONS = {
+    allowedTags: [],
+    allowedAttributes: {},
+    disallowedTagsMode: 'discard'
+};
+
+// Keys that could reach Object.prototype when the body is merged elsewhere
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Request bodies as they arrived, for fields a route declares as raw
+const originalBodies = new WeakMap();
+
+/**
+ * Strip HTML from a single value
+ * @param {*} input - Value to sanitize
+ * @returns {string} Plain text, or an empty string for non-string input
+ */
+function sanitizeUserInput(input) {
+    if (typeof input !== 'string') {
+        return '';
+    }
+
+    // sanitize-html escapes text as HTML; the result is stored and compared
+    // as plain text, so every escape it adds is undone. Decoding can turn
+    // encoded tags (`&lt;img&gt;`) into real ones, so repeat until nothing
+    // changes: what comes out holds no tag the sanitizer would strip.
+    let previous;
+    let text = input;
+    do {
+        previous = text;
+        text = decodeEntities(sanitizeHtml(previous, SANITIZE_OPTIONS));
+    } while (text !== previous);
+    return text;
+}
+
+// Each pass either strips markup or shortens an entity, so this terminates
+const decodeEntities = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * Recursively sanitize every string inside an object or array
+ * @param {*} input - Value to sanitize
+ * @returns {*} A sanitized copy; non-object input is returned as is
+ */
+function sanitizeObject(input) {
+    if (input === null || typeof input !== 'object') {
+        return input;
+    }
+
+    if (Array.isArray(input)) {
+        return input.map(sanitizeValue);
+    }
+
+    const sanitized = {};
+    for (const [key, value] of Object.entries(input)) {
+        if (FORBIDDEN_KEYS.has(key)) {
+            continue;
+        }
+        sanitized[key] = sanitizeValue(value);
+    }
+    return sanitized;
+}
+
+const sanitizeValue = (value) =>
+    typeof value === 'string' ? sanitizeUserInput(value) : sanitizeObject(value);
+
+/**
+ * Middleware: sanitize req.body in place of the parsed JSON body
+ */
+function sanitizeRequestBody(req, res, next) {
+    if (req.body && typeof req.body === 'object') {
+        originalBodies.set(req, req.body);
+        req.body = sanitizeObject(req.body);
+    }
+    next();
+}
+
+/**
+ * Middleware: sanitizeRequestBody everywhere but under the given path prefixes
+ * Bodies sent to the NodeBB proxy are posts and passwords that NodeBB
+ * sanitizes itself, so they are forwarded as written.
+ * @param {...string} prefixes - Mount paths to leave alone, e.g. '/forward/nodebb'
+ * @returns {Function} Express middleware
+ */
+function sanitizeRequestBodyExcept(...prefixes) {
+    return (req, res, next) => {
+        const skip = prefixes.some(prefix => req.path === prefix || req.path.startsWith(`${prefix}/`));
+        return skip ? next() : sanitizeRequestBody(req, res, next);
+    };
+}
+
+/**
+ * Route middleware: restore the listed body fields to their unsanitized
+ * values, e.g. passwords that must reach NodeBB byte for byte.
+ * Nested fields use dot notation ('user.password').
+ * @param {...string} fields - Body fields to keep raw
+ * @returns {Function} Express middleware
+ */
+function allowRawFields(...fields) {
+    return (req, res, next) => {
+        const original = originalBodies.get(req);
+        if (original) {
+            for (const field of fields) {
+                restoreField(original, req.body, field.split('.'));
+            }
+        }
+        next();
+    };
+}
+
+const restoreField = (source, target, path) => {
+    const [key, ...rest] = path;
+    if (!source || typeof source !== 'object' || !target || typeof target !== 'object') {
+        return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(source, key) || FORBIDDEN_KEYS.has(key)) {
+        return;
+    }
+
+    if (rest.length === 0) {
+        target[key] = source[key];
+    } else {
+        restoreField(source[key], target[key], rest);
+    }
+};
+
+module.exports = {
+    sanitizeUserInput,
+    sanitizeObject,
+    sanitizeRequestBody,
+    sanitizeRequestBodyExcept,
+    allowRawFields
+};
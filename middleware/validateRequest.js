@@ -0,0 +1,279 @@
+const { ObjectId } = require('mongodb');
+const { ValidationError } = require('../lib/errors');
+
+const BOOLEAN_STRINGS = { true: true, false: false, '1': true, '0': false };
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const LOCATIONS = ['params', 'query', 'body'];
+const STRING_TYPES = new Set(['string', 'email', 'url', 'date', 'objectId']);
+
+/**
+ * A validation rule
+ * @typedef {Object} Rule
+ * @property {string} type - string, email, url, date, objectId, boolean, number, integer, array, object or any
+ * @property {boolean} [required] - Reject missing values (and empty strings)
+ * @property {*} [default] - Value (or factory) used when the field is missing
+ * @property {string} [message] - Error reported instead of the generic one
+ * @property {boolean} [trim=true] - Trim strings before checking them
+ * @property {number} [minLength] / [maxLength] - String length bounds
+ * @property {RegExp} [pattern] - String format
+ * @property {number} [min] / [max] - Number bounds
+ * @property {Array} [enum] - Allowed values
+ * @property {Rule} [items] - Rule for array items
+ * @property {number} [minItems] / [maxItems] - Array length bounds
+ * @property {Object<string, Rule>} [fields] - Rules for object keys
+ * @property {string} [unknown='strip'] - Undeclared object keys: strip, reject or allow
+ * @property {Set<string>} [forbidden] - Object keys that are always rejected
+ * @property {number} [minKeys] - Minimum number of accepted object keys
+ */
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * A schema is either a single rule (has a string `type`) or a map of field rules
+ */
+const isRule = (schema) => isPlainObject(schema) && typeof schema.type === 'string';
+
+const toRule = (schema) => isRule(schema)
+    ? schema
+    : { type: 'object', fields: schema, required: true };
+
+const joinPath = (path, key) => path ? `${path}.${key}` : String(key);
+
+/**
+ * Coerce a scalar to the rule's type. Returns { value } or { error }.
+ */
+const coerceScalar = (value, rule) => {
+    switch (rule.type) {
+        case 'any':
+            return { value };
+        case 'string':
+        case 'email':
+        case 'url':
+        case 'date':
+        case 'objectId': {
+            if (typeof value === 'number') value = String(value);
+            if (typeof value !== 'string') return { error: 'Must be a string' };
+            if (rule.trim !== false) value = value.trim();
+            if (value === '') return { value };
+
+            if (rule.type === 'email' && !EMAIL_PATTERN.test(value)) {
+                return { error: 'Must be a valid email address' };
+            }
+            if (rule.type === 'url') {
+                let url;
+                try {
+                    url = new URL(value);
+                } catch (error) {
+                    return { error: 'Must be a valid URL' };
+                }
+                if (!['http:', 'https:'].includes(url.protocol)) {
+                    return { error: 'Must be an http or https URL' };
+                }
+            }
+            if (rule.type === 'date' && Number.isNaN(Date.parse(value))) {
+                return { error: 'Must be a valid date' };
+            }
+            if (rule.type === 'objectId' && !ObjectId.isValid(value)) {
+                return { error: 'Must be a valid id' };
+            }
+            return { value };
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return { value };
+            const key = String(value).toLowerCase();
+            if (hasOwn(BOOLEAN_STRINGS, key)) return { value: BOOLEAN_STRINGS[key] };
+            return { error: 'Must be a boolean' };
+        }
+        case 'number':
+        case 'integer': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'Must be a number' };
+            if (rule.type === 'integer' && !Number.isInteger(number)) return { error: 'Must be an integer' };
+            return { value: number };
+        }
+        default:
+            return { error: `Unsupported type ${rule.type}` };
+    }
+};
+
+/**
+ * Bounds and enumerations shared by every type
+ */
+const checkConstraints = (value, rule) => {
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `Must be one of: ${rule.enum.join(', ')}`;
+    }
+    if (typeof value === 'string') {
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            return `Must be at least ${rule.minLength} characters`;
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            return `Must be at most ${rule.maxLength} characters`;
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return 'Has an invalid format';
+        }
+    }
+    if (typeof value === 'number') {
+        if (rule.min !== undefined && value < rule.min) return `Must be at least ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `Must be at most ${rule.max}`;
+    }
+    if (Array.isArray(value)) {
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            return `Must have at least ${rule.minItems} items`;
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            return `Must have at most ${rule.maxItems} items`;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Validate a value against a rule, collecting errors keyed by field path
+ * @returns {*} The coerced value (undefined when absent or invalid)
+ */
+const validateValue = (value, rule, path, errors) => {
+    // An empty string is a value for string fields (clearing a profile field),
+    // but counts as absent for everything else
+    const isAbsent = value === undefined || value === null ||
+        (value === '' && !STRING_TYPES.has(rule.type));
+
+    if (isAbsent) {
+        if (rule.default !== undefined) {
+            return typeof rule.default === 'function' ? rule.default() : rule.default;
+        }
+        if (rule.required) {
+            errors[path || 'body'] = rule.message || 'Is required';
+        }
+        return undefined;
+    }
+
+    let result;
+    if (rule.type === 'array') {
+        if (!Array.isArray(value)) {
+            errors[path] = rule.message || 'Must be an array';
+            return undefined;
+        }
+        result = value.map((item, index) =>
+            validateValue(item, { required: true, ...rule.items }, joinPath(path, index), errors));
+    } else if (rule.type === 'object') {
+        if (!isPlainObject(value)) {
+            errors[path || 'body'] = rule.message || 'Must be an object';
+            return undefined;
+        }
+        result = validateObject(value, rule, path, errors);
+    } else {
+        const scalar = coerceScalar(value, rule);
+        if (scalar.error) {
+            errors[path] = rule.message || scalar.error;
+            return undefined;
+        }
+        result = scalar.value;
+
+        if (result === '' && rule.required) {
+            errors[path] = rule.message || 'Is required';
+            return undefined;
+        }
+    }
+
+    const constraintError = checkConstraints(result, rule);
+    if (constraintError) {
+        errors[path || 'body'] = constraintError;
+        return undefined;
+    }
+    return result;
+};
+
+/**
+ * Validate an object's declared fields. Keys the rule doesn't declare are
+ * stripped by default, or handled according to `rule.unknown`:
+ * 'reject' reports them, 'allow' passes them through unchanged.
+ * Keys listed in `rule.forbidden` are always reported.
+ */
+const validateObject = (input, rule, path, errors) => {
+    const fields = rule.fields || {};
+    const output = {};
+
+    for (const [key, fieldRule] of Object.entries(fields)) {
+        const value = validateValue(input[key], fieldRule, joinPath(path, key), errors);
+        if (value !== undefined) {
+            output[key] = value;
+        }
+    }
+
+    for (const key of Object.keys(input)) {
+        if (hasOwn(fields, key)) continue;
+
+        if (rule.forbidden && rule.forbidden.has(key)) {
+            errors[joinPath(path, key)] = 'Field cannot be modified';
+        } else if (rule.unknown === 'reject') {
+            errors[joinPath(path, key)] = 'Unknown field';
+        } else if (rule.unknown === 'allow') {
+            output[key] = input[key];
+        }
+    }
+
+    if (rule.minKeys !== undefined && Object.keys(output).length < rule.minKeys &&
+        Object.keys(errors).length === 0) {
+        errors[path || 'body'] = rule.message || 'No fields to update';
+    }
+
+    return output;
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} input - Value to check
+ * @param {Object} schema - A rule, or a map of field rules
+ * @returns {{ isValid: boolean, errors: Object, value: * }}
+ */
+const validateSchema = (input, schema) => {
+    const errors = {};
+    const value = validateValue(input, toRule(schema), '', errors);
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors,
+        value
+    };
+};
+
+/**
+ * Middleware: validate and coerce req.params, req.query and req.body.
+ * Invalid requests are passed on as a ValidationError (400 with per-field
+ * `errors`); valid ones continue with the coerced values in place of the originals.
+ * @param {Object} schemas
+ * @param {Object} [schemas.params] - Rules for route parameters
+ * @param {Object} [schemas.query] - Rules for the query string (unknown keys are ignored)
+ * @param {Object} [schemas.body] - Rules for the JSON body
+ * @returns {Function} Express middleware
+ */
+const validateRequest = (schemas) => (req, res, next) => {
+    const errors = {};
+    const values = {};
+
+    for (const location of LOCATIONS) {
+        if (!schemas[location]) continue;
+
+        const rule = toRule(schemas[location]);
+        const input = req[location] === undefined && rule.type === 'object' ? {} : req[location];
+        const result = validateSchema(input, location === 'query' ? { unknown: 'allow', ...rule } : rule);
+        Object.assign(errors, result.errors);
+        values[location] = result.value;
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return next(new ValidationError(errors));
+    }
+
+    for (const [location, value] of Object.entries(values)) {
+        req[location] = value;
+    }
+    next();
+};
+
+module.exports = {
+    validateRequest,
+    validateSchema
+};
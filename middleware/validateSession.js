@@ -1,26 +1,119 @@
+const crypto = require('crypto');
 const { nodeBB } = require('../third_party/nodebb');
+const { AuthenticationError, AuthorizationError, UpstreamError } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger({ module: 'session' });
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// How long an admin check against NodeBB is trusted before asking again
+const ROLES_CACHE_TTL = 5 * 60 * 1000;
 
 /**
- * Session validation middleware
- * Ensures user session and CSRF token are present
+ * The logged-in member, as attached to `req.currentUser`
+ * @typedef {Object} CurrentUser
+ * @property {number} uid - NodeBB user id
+ * @property {string} username - NodeBB username
+ * @property {boolean} validEmail - Whether the member confirmed their email
+ * @property {string[]} roles - Roles cached in the session, e.g. ['admin']
  */
-const validateSession = async (req, res, next) => {
+
+/**
+ * Build the current-user context from what `/user/login` stored in the session
+ * @returns {CurrentUser}
+ */
+const attachCurrentUser = (req) => {
+    const { uid, username, validEmail, roles } = req.session.user;
+    req.currentUser = {
+        uid,
+        username,
+        validEmail: validEmail === true,
+        roles: Array.isArray(roles) ? [...roles] : []
+    };
+    return req.currentUser;
+};
+
+/**
+ * Roles cached by a previous admin check, or null once they are stale
+ */
+const getCachedRoles = (session) => {
+    const { roles, rolesCheckedAt } = session.user;
+    if (!Array.isArray(roles) || !rolesCheckedAt || Date.now() - rolesCheckedAt > ROLES_CACHE_TTL) {
+        return null;
+    }
+    return roles;
+};
+
+/**
+ * Constant-time comparison of the session token with the one the client sent
+ */
+const tokensMatch = (expected, provided) => {
+    if (typeof expected !== 'string' || typeof provided !== 'string') {
+        return false;
+    }
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(provided);
+    return expectedBuffer.length === providedBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+};
+
+/**
+ * Synchronizer-token check: state-changing requests must echo the
+ * NodeBB-issued token stored in the session at login.
+ */
+const hasValidCsrfToken = (req) => {
+    if (SAFE_METHODS.has(req.method)) {
+        return true;
+    }
+    return tokensMatch(req.session.csrfToken, req.get('x-csrf-token'));
+};
+
+/**
+ * CSRF middleware for routes that act on the session without requiring one,
+ * such as the NodeBB proxy. Requests without a session are passed through.
+ */
+const requireCsrfToken = (req, res, next) => {
+    if (!req.session || !req.session.csrfToken || hasValidCsrfToken(req)) {
+        return next();
+    }
+
+    return next(new AuthorizationError("Invalid CSRF token.", 'CSRF_INVALID'));
+};
+
+/**
+ * Checks shared by member and admin routes
+ * @returns {Error|null} The reason to reject the request, if any
+ */
+const checkSession = (req) => {
     // Check for user session
-    if (!req.session.user) {
-        return res.status(401).json({
-            success: false,
-            message: "No session found."
-        });
+    if (!req.session || !req.session.user) {
+        return new AuthenticationError("No session found.");
     }
 
     // Check for CSRF token
     if (!req.session.csrfToken) {
-        return res.status(401).json({
-            success: false,
-            message: "Could not authenticate session."
-        });
+        return new AuthenticationError("Could not authenticate session.");
     }
 
+    if (!hasValidCsrfToken(req)) {
+        return new AuthorizationError("Invalid CSRF token.", 'CSRF_INVALID');
+    }
+
+    return null;
+};
+
+/**
+ * Session validation middleware
+ * Ensures user session is present and state-changing requests carry its CSRF token
+ */
+const validateSession = async (req, res, next) => {
+    const sessionError = checkSession(req);
+    if (sessionError) {
+        return next(sessionError);
+    }
+
+    attachCurrentUser(req);
     next();
 };
 
@@ -30,20 +123,21 @@ const validateSession = async (req, res, next) => {
  */
 const validateAdminSession = async (req, res, next) => {
     // First validate basic session requirements
-    if (!req.session.user) {
-        return res.status(401).json({
-            success: false,
-            message: "No session found."
-        });
+    const sessionError = checkSession(req);
+    if (sessionError) {
+        return next(sessionError);
     }
 
-    if (!req.session.csrfToken) {
-        return res.status(401).json({
-            success: false,
-            message: "Could not authenticate session."
-        });
+    const cachedRoles = getCachedRoles(req.session);
+    if (cachedRoles) {
+        attachCurrentUser(req);
+        if (cachedRoles.includes('admin')) {
+            return next();
+        }
+        return next(new AuthorizationError("Could not certify administrator."));
     }
 
+    let isAdmin;
     try {
         const response = await nodeBB.api.get('/api/admin/manage/admins-mods', {
             headers: {
@@ -54,42 +148,34 @@ const validateAdminSession = async (req, res, next) => {
         const adminData = response.data;
 
         // Check if user is an admin
-        const isAdmin = adminData.admins.members.some(
+        isAdmin = adminData.admins.members.some(
             (admin) => admin.username === req.session.user.username
         );
-
-        if (isAdmin) {
-            next();
-        } else {
-            res.status(403).json({
-                success: false,
-                error: "Could not certify administrator."
-            });
-        }
     } catch (error) {
-        console.error('Admin session validation error:', error.message);
-
-        if (error.response) {
-            return res.status(error.response.status).json({
-                success: false,
-                error: "Error validating admin session.",
-                details: error.response.data
-            });
-        } else if (error.request) {
-            return res.status(504).json({
-                success: false,
-                error: "Server timeout while validating admin session."
-            });
-        } else {
-            return res.status(500).json({
-                success: false,
-                error: "Internal error while validating admin session.",
-            });
+        // NodeBB refuses the admin page to non-admins
+        if (error.response && [401, 403].includes(error.response.status)) {
+            log.warn('admin check refused by NodeBB', { uid: req.session.user.uid, status: error.response.status });
+            return next(new AuthorizationError("Could not certify administrator."));
         }
+        return next(new UpstreamError('NodeBB', "Error validating admin session.", {
+            cause: error,
+            timeout: !error.response && !!error.request
+        }));
+    }
+
+    // Cache the outcome so admin pages don't hit NodeBB on every request
+    req.session.user.roles = isAdmin ? ['admin'] : [];
+    req.session.user.rolesCheckedAt = Date.now();
+    attachCurrentUser(req);
+
+    if (!isAdmin) {
+        return next(new AuthorizationError("Could not certify administrator."));
     }
+    next();
 };
 
 module.exports = {
     validateSession,
-    validateAdminSession
+    validateAdminSession,
+    requireCsrfToken
 };
\ No newline at end of file
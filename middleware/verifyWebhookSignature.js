@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { AuthenticationError } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger({ module: 'webhook' });
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+// Signed requests older (or further in the future) than this are replays or clock trouble
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Signature for a webhook body, as the sender computes it:
+ * `sha256=` + hex HMAC-SHA256 of `${timestamp}.${rawBody}` keyed with the shared secret
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix seconds, also sent in X-Webhook-Timestamp
+ * @param {Buffer|string} rawBody - Request body exactly as sent
+ * @returns {string}
+ */
+const signWebhook = (secret, timestamp, rawBody) => {
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(`${timestamp}.`);
+    hmac.update(rawBody || '');
+    return `sha256=${hmac.digest('hex')}`;
+};
+
+const signaturesMatch = (expected, provided) => {
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(provided);
+    return expectedBuffer.length === providedBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+};
+
+/**
+ * Middleware accepting only requests signed with the shared secret
+ * Needs `req.rawBody`, kept by the express.json `verify` hook in server.js.
+ * @param {Object} options
+ * @param {string} options.secret - Shared secret
+ * @param {number} [options.toleranceSeconds] - Accepted clock skew
+ * @param {Function} [options.now] - Clock, for tests
+ */
+function verifyWebhookSignature({ secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now }) {
+    return (req, res, next) => {
+        const signature = req.get(SIGNATURE_HEADER);
+        const timestamp = Number(req.get(TIMESTAMP_HEADER));
+
+        if (!signature || !Number.isInteger(timestamp)) {
+            return next(new AuthenticationError('Missing webhook signature.', 'WEBHOOK_SIGNATURE_INVALID'));
+        }
+        if (Math.abs(now() / 1000 - timestamp) > toleranceSeconds) {
+            log.warn('webhook timestamp outside tolerance', { path: req.path, timestamp });
+            return next(new AuthenticationError('Webhook timestamp is too old.', 'WEBHOOK_SIGNATURE_INVALID'));
+        }
+        if (!signaturesMatch(signWebhook(secret, timestamp, req.rawBody), signature)) {
+            log.warn('webhook signature mismatch', { path: req.path });
+            return next(new AuthenticationError('Invalid webhook signature.', 'WEBHOOK_SIGNATURE_INVALID'));
+        }
+        next();
+    };
+}
+
+module.exports = {
+    signWebhook,
+    verifyWebhookSignature
+};
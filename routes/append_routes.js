@@ -0,0 +1,54 @@
+// append_routes.js
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validateRequest } = require("../middleware/validateRequest");
+const { validateSession } = require("../middleware/validateSession");
+const { MAX_ROWS } = require("../services/sheetAppends");
+
+const appendTargetSchema = {
+    params: {
+        target: { type: "string", required: true, maxLength: 100 },
+    },
+    body: {
+        // Checked against the target's columns by the service
+        rows: { type: "array", required: true, items: { type: "any", required: true }, minItems: 1, maxItems: MAX_ROWS },
+        dryRun: { type: "boolean", required: false, default: false },
+    },
+};
+
+const legacyAppendSchema = {
+    body: {
+        values: { type: "array", required: true, items: { type: "any", required: false }, minItems: 1, maxItems: 100 },
+        dryRun: { type: "boolean", required: false, default: false },
+    },
+};
+
+/**
+ * Setup spreadsheet append routes
+ * Rows go to named targets declared in config (SHEETS_APPEND_TARGETS). The
+ * original `POST /append` still takes a single `values` row and writes it to
+ * the legacy target (the built-in "Address Delimiter" one unless configured),
+ * now checked against that target's columns.
+ * @param {Object} app - Express app instance
+ * @param {Object} options
+ * @param {Object} options.appends - Service from services/sheetAppends.js
+ * @param {string} options.legacyTarget - Target used by `POST /append`
+ */
+function setupAppendRoutes(app, { appends, legacyTarget }) {
+    app.get("/append/targets", validateSession, (req, res) => {
+        res.json({ targets: appends.list() });
+    });
+
+    app.post("/append/:target", validateSession, validateRequest(appendTargetSchema), asyncHandler(async (req, res) => {
+        const { rows, dryRun } = req.body;
+        res.json(await appends.append(req.params.target, rows, { uid: req.currentUser.uid, dryRun }));
+    }));
+
+    app.post("/append", validateSession, validateRequest(legacyAppendSchema), asyncHandler(async (req, res) => {
+        const { values, dryRun } = req.body;
+        const result = await appends.append(legacyTarget, [values], { uid: req.currentUser.uid, dryRun });
+
+        res.json({ message: dryRun ? "Dry run, nothing appended" : "Data appended", data: result });
+    }));
+}
+
+module.exports = setupAppendRoutes;
@@ -0,0 +1,56 @@
+// calendar_routes.js
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validateRequest } = require("../middleware/validateRequest");
+const { ValidationError } = require("../lib/errors");
+const { parseEvents, filterEvents, toJson, toICalendar } = require("../services/calendar");
+
+const CALENDAR_NAME = "AZ Farm to School Network Events";
+
+const calendarQuerySchema = {
+    query: {
+        from: { type: "date", required: false },
+        to: { type: "date", required: false },
+        category: { type: "string", required: false, maxLength: 100 },
+        upcoming: { type: "boolean", required: false, default: false },
+    },
+};
+
+/**
+ * Events from the calendar sheet, filtered by the request's query
+ */
+const readEvents = async (contentService, query) => {
+    const { from, to, category, upcoming } = query;
+    if (from && to && new Date(from) > new Date(to)) {
+        throw new ValidationError({ to: "Must not be before from" });
+    }
+
+    const content = await contentService.read("calendar");
+    const events = filterEvents(parseEvents(content.value), { from, to, category, upcoming });
+    return { content, events };
+};
+
+/**
+ * Setup calendar routes
+ * `/calendar` returns parsed events as JSON and `/calendar.ics` the same
+ * events as a feed calendar apps can subscribe to. Both accept `from`, `to`,
+ * `category` and `upcoming`.
+ * @param {Object} app - Express app instance
+ * @param {Object} options
+ * @param {Object} options.contentService - Service from services/sheetsContent.js
+ */
+function setupCalendarRoutes(app, { contentService }) {
+    app.get("/calendar", validateRequest(calendarQuerySchema), asyncHandler(async (req, res) => {
+        const { events } = await readEvents(contentService, req.query);
+        res.json(events.map(toJson));
+    }));
+
+    app.get("/calendar.ics", validateRequest(calendarQuerySchema), asyncHandler(async (req, res) => {
+        const { content, events } = await readEvents(contentService, req.query);
+
+        res.set("Content-Type", "text/calendar; charset=utf-8");
+        res.set("Content-Disposition", 'inline; filename="calendar.ics"');
+        res.send(toICalendar(events, { name: CALENDAR_NAME, updatedAt: content.fetchedAt }));
+    }));
+}
+
+module.exports = setupCalendarRoutes;
@@ -0,0 +1,93 @@
+// content_routes.js
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validateRequest } = require("../middleware/validateRequest");
+const { validateAdminSession } = require("../middleware/validateSession");
+const { verifyWebhookSignature } = require("../middleware/verifyWebhookSignature");
+const { createLogger } = require("../lib/logger");
+
+const log = createLogger({ module: "content-routes" });
+
+const contentName = { type: "string", required: true, maxLength: 100, pattern: /^[a-z0-9][a-z0-9-]*$/ };
+const contentNames = { type: "array", required: false, items: contentName, minItems: 1, maxItems: 50 };
+
+const contentNameSchema = {
+    params: {
+        name: contentName,
+    },
+};
+
+const refreshSchema = {
+    body: {
+        names: contentNames,
+    },
+};
+
+const webhookSchema = {
+    body: {
+        names: contentNames,
+        spreadsheetId: { type: "string", required: false, maxLength: 200 },
+    },
+};
+
+/**
+ * Handler answering with a cached content
+ * Clients revalidate with If-None-Match and get a 304 while the copy is unchanged;
+ * `X-Content-Stale` marks a copy past its TTL, either being refreshed in the
+ * background or kept because Google Sheets could not be reached.
+ * @param {Object} contentService - Service from services/sheetsContent.js
+ * @param {Function} getName - (req) => content name
+ */
+const serveContent = (contentService, getName) => asyncHandler(async (req, res) => {
+    const content = await contentService.read(getName(req));
+
+    res.set("ETag", content.etag);
+    res.set("Last-Modified", new Date(content.fetchedAt).toUTCString());
+    res.set("Cache-Control", "no-cache");
+    if (content.stale) {
+        res.set("X-Content-Stale", "true");
+    }
+    // res.json answers 304 itself when the request's If-None-Match matches
+    res.json(content.value);
+});
+
+/**
+ * Setup content routes
+ * `/content/:name` serves any sheet registered with the content service.
+ * Admins refresh cached copies with `POST /content/refresh`; the spreadsheets'
+ * Apps Script on-edit trigger does the same through the signed webhook.
+ * @param {Object} app - Express app instance
+ * @param {Object} options
+ * @param {Object} options.contentService - Service from services/sheetsContent.js
+ * @param {string} [options.webhookSecret] - Enables `POST /content/webhook` when set
+ */
+function setupContentRoutes(app, { contentService, webhookSecret }) {
+    app.get("/content", (req, res) => {
+        res.json({ contents: contentService.names() });
+    });
+
+    // Refresh the named contents, or all of them when no names are given
+    app.post("/content/refresh", validateAdminSession, validateRequest(refreshSchema), asyncHandler(async (req, res) => {
+        const results = await contentService.refresh({ names: req.body.names });
+        log.info("content refreshed", { uid: req.currentUser.uid, source: "admin", results });
+
+        res.json({ success: results.every(result => result.ok), results });
+    }));
+
+    if (webhookSecret) {
+        // Apps Script sends the spreadsheet it belongs to; answer at once and refresh behind
+        app.post("/content/webhook", verifyWebhookSignature({ secret: webhookSecret }), validateRequest(webhookSchema), (req, res) => {
+            const { names, spreadsheetId } = req.body;
+            // Unknown names are a 404 rather than a failure nobody sees
+            (names || []).forEach(contentService.getEntry);
+
+            contentService.refresh({ names, spreadsheetId }).then(results => {
+                log.info("content refreshed", { source: "webhook", spreadsheetId, results });
+            });
+            res.status(202).json({ success: true });
+        });
+    }
+
+    app.get("/content/:name", validateRequest(contentNameSchema), serveContent(contentService, (req) => req.params.name));
+}
+
+module.exports = { setupContentRoutes, serveContent };
@@ -0,0 +1,55 @@
+// health_routes.js
+const { validateAdminSession } = require("../middleware/validateSession");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+const startedAt = Date.now();
+
+/**
+ * Setup health routes
+ * `/healthz` answers as long as the process is serving requests, `/readyz`
+ * only when the critical dependencies are reachable, and `/status` gives
+ * admins the per-dependency detail.
+ * @param {Object} app - Express app instance
+ * @param {Object} options
+ * @param {Object} options.healthMonitor - Monitor from lib/health.js
+ * @param {Object} [options.lifecycle] - Lifecycle from lib/lifecycle.js; unready while shutting down
+ */
+function setupHealthRoutes(app, { healthMonitor, lifecycle }) {
+    app.get("/healthz", (req, res) => {
+        res.status(200).json({
+            status: "ok",
+            uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+        });
+    });
+
+    app.get("/readyz", asyncHandler(async (req, res) => {
+        // Take the instance out of rotation as soon as draining starts
+        if (lifecycle && lifecycle.isShuttingDown()) {
+            return res.status(503).json({ status: "shutting down" });
+        }
+
+        const { ready, dependencies } = await healthMonitor.checkAll();
+
+        const checks = {};
+        for (const [name, state] of Object.entries(dependencies)) {
+            checks[name] = state.ok ? "ok" : "failing";
+        }
+
+        res.status(ready ? 200 : 503).json({
+            status: ready ? "ready" : "not ready",
+            checks,
+        });
+    }));
+
+    app.get("/status", validateAdminSession, asyncHandler(async (req, res) => {
+        const { ready, dependencies } = await healthMonitor.checkAll({ fresh: true });
+
+        res.status(200).json({
+            status: ready ? "ready" : "not ready",
+            uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+            dependencies,
+        });
+    }));
+}
+
+module.exports = setupHealthRoutes;
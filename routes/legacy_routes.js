@@ -1,200 +1,87 @@
 // legacy_routes.js
-const { google } = require("googleapis");
-const axios = require("axios");
 const { validateSession, validateAdminSession } = require('../middleware/validateSession');
 const dayjs = require("dayjs");
 const {ObjectId} = require("mongodb");
-const {getNodeBBServiceUrl} = require("../third_party/nodebb");
+const { nodeBB } = require("../third_party/nodebb");
+const { validateRequest } = require("../middleware/validateRequest");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { serveContent } = require("./content_routes");
+const { NotFoundError, UpstreamError, ValidationError } = require("../lib/errors");
+const { escapeHtml } = require("../lib/html");
+const schemas = require("./legacy_validation");
 
-const mongoEnv = process.env.MONGO_NODEBB_DATABASE || 'nodebb';
+/**
+ * Send an email through the app's nodemailer transporter
+ * @param {Object} req - Express request
+ * @param {Object} message - Nodemailer message
+ * @returns {Promise<Object>} Delivery info
+ */
+const sendMail = async (req, message) => {
+    try {
+        return await req.app.locals.transporter.sendMail(message);
+    } catch (error) {
+        throw new UpstreamError("SMTP", "Could not send email.", { cause: error });
+    }
+};
 
 /**
  * Setup Legacy Routes
  * @param {Object} app - Express app instance
  * @param {Object} options - Configuration options
- * @param {Object} options.jwtClient - Google JWT client
- * @param {string} options.spreadsheetId - Google spreadsheet ID
- * @param {string} options.range - Google spreadsheet range
- * @param {Object} options.mongoClient - MongoDB client
+ * @param {Object} options.config - Validated config from lib/config.js
+ * @param {Function} options.getCollection - Resolves a MongoDB collection by name
+ * @param {Object} options.contentService - Sheet-backed content from services/sheetsContent.js
+ * @param {Object} options.resourceSubmissions - Moderation queue from services/resourceSubmissions.js
  */
-function setupLegacyRoutes(app, { jwtClient, spreadsheetId, range, mongoClient }) {
-
-    app.post("/append", validateSession, async (req, res) => {
-        try {
-            const values = req.body.values;
-
-            await jwtClient.authorize();
-            const sheets = google.sheets({ version: "v4", auth: jwtClient });
-
-            const response = await sheets.spreadsheets.values.append({
-                spreadsheetId: spreadsheetId,
-                range: range,
-                valueInputOption: "RAW",
-                insertDataOption: "INSERT_ROWS",
-                resource: {
-                    values: [values],
-                },
-            });
-
-            res.json({ message: "Data appended", data: response.data });
-        } catch (error) {
-            res.status(500).json({ message: `An error occurred: ${error}` });
-        }
-    });
+function setupLegacyRoutes(app, { config, getCollection, contentService, resourceSubmissions }) {
 
-    app.post("/fetch-headers", async (req, res) => {
-        const { fetchedResources } = req.body;
-
-        const fetchHeaders = async (resource) => {
-            try {
-                const response = await axios.head(resource.Link);
-                return { resource, headers: response.headers };
-            } catch (error) {
-                console.error(
-                    `Error fetching headers for ${resource.Link}: ${error.message}`
-                );
-                return { resource, error: error.message };
-            }
-        };
-
-        const results = await Promise.all(fetchedResources.map(fetchHeaders));
-        res.json(results);
-    });
-
-    app.put("/user", validateSession, async (req, res) => {
-        const userId = req.uid;
+    app.put("/user", validateSession, validateRequest(schemas.profileSchema), asyncHandler(async (req, res) => {
+        const userId = req.currentUser.uid;
         const userKey = `user:${userId}`;
         const updateData = req.body;
 
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("objects");
+        const collection = await getCollection("objects");
 
-            const result = await collection.updateOne(
-                { _key: userKey },
-                { $set: updateData }
-            );
-
-            if (result.matchedCount > 0) {
-                const updatedUser = await collection.findOne({ _key: userKey });
-                res
-                    .status(200)
-                    .json({ message: "User updated successfully", user: updatedUser });
-            } else {
-                res.status(404).json({ message: "User not found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error updating user" });
-        }
-    });
-
-    app.get("/isAdmin", validateAdminSession, (req, res) => {
-        res.status(200);
-    });
-
-    app.put("/submit-form", validateSession, async (req, res) => {
-        const userId = req.uid;
-        const userKey = `user:${userId}`;
-        let updateData = req.body.user;
-
-        updateData.memberstatus = "pending";
-        updateData.showlocation = true;
-        updateData.appearonmap = true;
-        updateData.appearoncontactlist = true;
-
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const usersCollection = database.collection("objects");
-
-            // Update User
-            const userResult = await usersCollection.updateOne(
-                { _key: userKey },
-                { $set: updateData }
-            );
+        const result = await collection.updateOne(
+            { _key: userKey },
+            { $set: updateData }
+        );
 
-            if (userResult.matchedCount > 0) {
-                const updatedUser = await usersCollection.findOne({ _key: userKey });
-                res.status(200).json({
-                    message: "User and organizations updated successfully",
-                    user: updatedUser,
-                });
-            } else {
-                res.status(404).json({ message: "User not found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error updating user and organizations" });
+        if (result.matchedCount === 0) {
+            throw new NotFoundError("User not found");
         }
-    });
 
-    app.put("/renew-membership", validateSession, async (req, res) => {
-        const userId = req.uid;
-        const userKey = `user:${userId}`;
-        let updateData = req.body.user;
+        const updatedUser = await collection.findOne({ _key: userKey });
+        res
+            .status(200)
+            .json({ message: "User updated successfully", user: updatedUser });
+    }));
 
-        // Add the memberStatus to the updateData
-        updateData.memberstatus = "pending";
-        updateData.renewdate = dayjs().add(1, "year");
-
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const usersCollection = database.collection("objects");
-
-// Update User
-            const userResult = await usersCollection.updateOne(
-                { _key: userKey },
-                { $set: updateData }
-            );
-
-            if (userResult.matchedCount > 0) {
-                const updatedUser = await usersCollection.findOne({ _key: userKey });
-                res.status(200).json({
-                    message: "User and organizations updated successfully",
-                    user: updatedUser,
-                });
-            } else {
-                res.status(404).json({ message: "User not found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error updating user and organizations" });
-        }
+    app.get("/isAdmin", validateAdminSession, (req, res) => {
+        res.status(200).json({ success: true, isAdmin: true });
     });
 
-    app.get("/user-settings", validateSession, async (req, res) => {
-        const userId = req.uid;
+    app.get("/user-settings", validateSession, asyncHandler(async (req, res) => {
+        const userId = req.currentUser.uid;
         const userKey = `user:${userId}:settings`;
 
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("objects");
+        const collection = await getCollection("objects");
 
-            const userSettings = await collection.findOne({ _key: userKey });
+        const userSettings = await collection.findOne({ _key: userKey });
 
-            if (userSettings) {
-                res.status(200).json(userSettings);
-            } else {
-                res.status(404).json({ message: "User settings not found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error connecting to the database" });
+        if (!userSettings) {
+            throw new NotFoundError("User settings not found");
         }
-    });
 
-    app.put("/user-settings", validateSession, async (req, res) => {
-        const userId = req.uid;
-        console.log(userId);
+        res.status(200).json(userSettings);
+    }));
+
+    app.put("/user-settings", validateSession, validateRequest(schemas.userSettingsSchema), asyncHandler(async (req, res) => {
+        const userId = req.currentUser.uid;
 
-        console.log(req.body);
         try {
-            await axios.put(
-                `${getNodeBBServiceUrl()}/api/v3/users/` + userId + "/settings",
+            await nodeBB.api.put(
+                `/api/v3/users/${userId}/settings`,
                 {
                     settings: {
                         showemail: req.body.showemail.toString(),
@@ -203,340 +90,137 @@ function setupLegacyRoutes(app, { jwtClient, spreadsheetId, range, mongoClient }
                 },
                 {
                     headers: {
-                        Authorization: "Bearer " + process.env.NODEBB_BEARER,
+                        Authorization: "Bearer " + config.nodebb.bearerToken,
                     },
                 }
             );
         } catch (error) {
-            res.status(500).json({ message: "Error updating user settings" });
+            throw new UpstreamError("NodeBB", "Error updating user settings", { cause: error });
         }
-    });
 
-    app.get("/notifications", validateSession, async (req, res) => {
+        res.status(200).json({ message: "User settings updated successfully" });
+    }));
+
+    app.get("/notifications", validateSession, asyncHandler(async (req, res) => {
+        let response;
         try {
-            const response = await axios.get(
-                `${getNodeBBServiceUrl()}/api/notifications`,
+            response = await nodeBB.api.get(
+                `/api/notifications`,
                 {
                     headers: {
                         Cookie: req.headers.cookie,
                     },
                 }
             );
-
-            let chatNotificationCount = response.data.notifications?.filter(
-                (notification) =>
-                    notification.type === "new-chat" && notification.read === false
-            ).length;
-
-            res.json({ chat_notifications_count: chatNotificationCount });
         } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error retrieving notifications" });
-        }
-    });
-
-    app.get("/about", async (req, res) => {
-        const spreadsheetId = "1ZDgVdMu75baR1z8m8QK3ti-ZO4KIrQmw244VSKt3S6c";
-        const tabName = "People";
-        const apiKey = process.env.GOOGLE_SHEETS_API_KEY;
-
-        const url =
-            "https://sheets.googleapis.com/v4/spreadsheets/" +
-            spreadsheetId +
-            "/values/" +
-            tabName +
-            "?alt=json&key=" +
-            apiKey;
-
-        try {
-            let response = await fetch(url);
-            let data = await response.json();
-            const output = data.values;
-            const categories = output[0];
-            const bios = output.map((bio) =>
-                categories.reduce(
-                    (obj, key, index) => ({ ...obj, [key]: bio[index] }),
-                    {}
-                )
-            );
-            res.json(bios);
-        } catch (err) {
-            res.status(500).json({ message: err.toString() });
-        }
-    });
-
-    app.get("/calendar", async (req, res) => {
-        const spreadsheetId = "1RnFunyp964dHo4bxBpadqWa3NOK0Ycvaw5sfi1frxms";
-        const tabName = "Events";
-        const apiKey = process.env.GOOGLE_SHEETS_API_KEY;
-
-        const url =
-            "https://sheets.googleapis.com/v4/spreadsheets/" +
-            spreadsheetId +
-            "/values/" +
-            tabName +
-            "?alt=json&key=" +
-            apiKey;
-
-        try {
-            let response = await fetch(url);
-            let data = await response.json();
-            const output = data.values;
-            const categories = output[0];
-            const events = output.map((event) =>
-                categories.reduce(
-                    (obj, key, index) => ({ ...obj, [key]: event[index] }),
-                    {}
-                )
-            );
-            res.json(events);
-        } catch (err) {
-            res.status(500).json({ message: err.toString() });
+            throw new UpstreamError("NodeBB", "Error retrieving notifications", { cause: error });
         }
-    });
-
-    app.get("/faq", async (req, res) => {
-        const spreadsheetId = "1SV7r85mu_yhLPks3Nfy2d_BcQYGYK9qmKXbHYo2loRc";
-        const tabName = "Questions";
-        const apiKey = process.env.GOOGLE_SHEETS_API_KEY;
 
-        const url =
-            "https://sheets.googleapis.com/v4/spreadsheets/" +
-            spreadsheetId +
-            "/values/" +
-            tabName +
-            "?alt=json&key=" +
-            apiKey;
+        let chatNotificationCount = response.data.notifications?.filter(
+            (notification) =>
+                notification.type === "new-chat" && notification.read === false
+        ).length;
 
-        try {
-            let response = await fetch(url);
-            let data = await response.json();
-            const output = data.values;
-            const categories = output[0];
-            const questions = output.map((question) =>
-                categories.reduce(
-                    (obj, key, index) => ({ ...obj, [key]: question[index] }),
-                    {}
-                )
-            );
-            res.json(questions);
-        } catch (err) {
-            res.status(500).json({ message: err.toString() });
-        }
-    });
+        res.json({ chat_notifications_count: chatNotificationCount });
+    }));
 
-    app.get("/map-data", async (req, res) => {
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const orgsCollection = database.collection("organizations");
+    app.get("/about", serveContent(contentService, () => "about"));
 
-            const organizations = await orgsCollection.find().toArray();
 
-            res.json(organizations);
-        } catch (error) {
-            console.error(error);
-            res.status(500).send("Error occurred while fetching data");
-        }
-    });
+    app.get("/faq", serveContent(contentService, () => "faq"));
 
-    app.get("/location-filters", async (req, res) => {
-        const spreadsheetId = "10Cc6iblTC3BAltl0479euAr_4v3Zx-saS0Ty8c4PcKQ";
-        const tabName = "Profile Tags";
-        const apiKey = process.env.GOOGLE_SHEETS_API_KEY;
+    app.get("/map-data", asyncHandler(async (req, res) => {
+        const orgsCollection = await getCollection("organizations");
 
-        const url =
-            "https://sheets.googleapis.com/v4/spreadsheets/" +
-            spreadsheetId +
-            "/values/" +
-            tabName +
-            "?alt=json&key=" +
-            apiKey;
+        const organizations = await orgsCollection.find().toArray();
 
-        try {
-            let response = await fetch(url);
-            let data = await response.json();
-            const output = data.values;
-            output.shift();
-            const organizedTags = {
-                siteTags: [],
-                userTags: [],
-            };
+        res.json(organizations);
+    }));
 
-            output.forEach((tagRow) => {
-                const [siteTagName, siteTagDescription, userTagName, userTagDescription] =
-                    tagRow;
+    app.get("/location-filters", serveContent(contentService, () => "location-filters"));
 
-                if (siteTagName && siteTagName !== "") {
-                    organizedTags.siteTags.push({
-                        tagName: siteTagName,
-                        description: siteTagDescription,
-                    });
-                }
+    app.get("/communities-of-practice", serveContent(contentService, () => "communities-of-practice"));
 
-                if (userTagName && userTagName !== "") {
-                    organizedTags.userTags.push({
-                        tagName: userTagName,
-                        description: userTagDescription,
-                    });
-                }
-            });
 
-            res.json(organizedTags);
-        } catch (err) {
-            console.log(err);
-            res.status(500).json({ message: err.toString() });
-        }
-    });
-
-    app.get("/communities-of-practice", async (req, res) => {
-        const spreadsheetId = "1bwVvs64UELc_GU94NhmNcgLSGdRAU3G6iHsHCgqt6wI";
-        const tabName = "COP";
-        const apiKey = process.env.GOOGLE_SHEETS_API_KEY;
-
-        const url =
-            "https://sheets.googleapis.com/v4/spreadsheets/" +
-            spreadsheetId +
-            "/values/" +
-            tabName +
-            "?alt=json&key=" +
-            apiKey;
-
-        try {
-            let response = await fetch(url);
-            let data = await response.json();
-            const output = data.values;
-            const COP = output.flat();
-            res.json(COP);
-        } catch (err) {
-            console.log(err);
-            res.status(500).json({ message: err.toString() });
-        }
-    });
-
-    app.get("/resources", async (req, res) => {
-        const spreadsheetId = "1khoNt12y2nRQQF-9dB3OILUXyvGQkSvl_WLgfODEAsY";
-        const tabName = "Resources Compiled";
-        const apiKey = process.env.GOOGLE_SHEETS_API_KEY;
-
-        const url =
-            "https://sheets.googleapis.com/v4/spreadsheets/" +
-            spreadsheetId +
-            "/values/" +
-            tabName +
-            "?alt=json&key=" +
-            apiKey;
-
-        try {
-            let response = await fetch(url);
-            let data = await response.json();
-            const output = data.values.map((row) =>
-                row.filter((cell, index) => (index % 2 !== 0))
-            );
-            const categories = output[0];
-            const resources = output
-                .slice(3)
-                .map((resource) =>
-                    categories.reduce(
-                        (obj, key, index) => ({ ...obj, [key]: resource[index] }),
-                        {}
-                    )
-                );
-            res.json(resources);
-        } catch (err) {
-            res.status(500).json({ message: err.toString() });
-        }
-    });
-
-    app.post("/contact-list-users", async (req, res) => {
+    app.post("/contact-list-users", asyncHandler(async (req, res) => {
         //Base search params will find only user accounts with the settings object
         const jsonSearchParams = {
             appearoncontactlist: true,
             memberstatus: "verified",
         };
 
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("objects");
-
-            const result = await collection.find(jsonSearchParams).toArray();
-
-            const filteredMembers = result.filter((user) => {
-                if (user.renewdate) {
-                    const renewDate = dayjs(user.renewdate);
-                    return dayjs().isBefore(renewDate);
-                } else {
-                    return false;
-                }
-            });
+        const collection = await getCollection("objects");
+
+        const result = await collection.find(jsonSearchParams).toArray();
+
+        const filteredMembers = result.filter((user) => {
+            if (user.renewdate) {
+                const renewDate = dayjs(user.renewdate);
+                return dayjs().isBefore(renewDate);
+            } else {
+                return false;
+            }
+        });
 
-            const memberUids = filteredMembers.map((user) => user.uid);
+        const memberUids = filteredMembers.map((user) => user.uid);
 
-            // Create an array of keys for fetching user settings
-            const userSettingsKeys = memberUids.map((uid) => `user:${uid}:settings`);
+        // Create an array of keys for fetching user settings
+        const userSettingsKeys = memberUids.map((uid) => `user:${uid}:settings`);
 
-            // Fetch settings for these users
-            const userSettings = await collection
-                .find({ _key: { $in: userSettingsKeys } })
-                .toArray();
+        // Fetch settings for these users
+        const userSettings = await collection
+            .find({ _key: { $in: userSettingsKeys } })
+            .toArray();
 
-            const mergedData = filteredMembers.map((member) => {
-                const memberSettings = userSettings.find(
-                    (setting) => setting._key === `user:${member.uid}:settings`
-                );
-                return {
-                    ...member,
-                    settings: memberSettings ? memberSettings : {},
-                };
-            });
+        const mergedData = filteredMembers.map((member) => {
+            const memberSettings = userSettings.find(
+                (setting) => setting._key === `user:${member.uid}:settings`
+            );
+            return {
+                ...member,
+                settings: memberSettings ? memberSettings : {},
+            };
+        });
 
-            //Return user data as JSON string
-            res.status(200).json({ response: JSON.stringify(mergedData) });
-        } catch (error) {
-            console.log(error);
-            res.status(500).json({ message: "Error finding users" });
-        }
-    });
+        //Return user data as JSON string
+        res.status(200).json({ response: JSON.stringify(mergedData) });
+    }));
 
-    app.post("/get-organization-members", async (req, res) => {
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("organizations");
-            const userCollection = database.collection("objects");
+    app.post("/get-organization-members", validateRequest(schemas.organizationIdSchema), asyncHandler(async (req, res) => {
+        const collection = await getCollection("organizations");
+        const userCollection = await getCollection("objects");
 
-            // Get the orgId from the request body
-            const { orgId } = req.body;
-            const _id = new ObjectId(orgId);
+        // Get the orgId from the request body
+        const { orgId } = req.body;
+        const _id = new ObjectId(orgId);
 
-            // Fetch the organization to get member UIDs
-            const organization = await collection.findOne({ _id: _id });
+        // Fetch the organization to get member UIDs
+        const organization = await collection.findOne({ _id: _id });
 
-            const memberUids = organization.members.map((member) => member.uid);
+        if (!organization) {
+            throw new NotFoundError("Organization not found");
+        }
 
-            // Define the conditions for the query
-            const query = {
-                uid: { $in: memberUids },
-                appearonmap: true,
-            };
+        const memberUids = organization.members.map((member) => member.uid);
 
-            // Fetch user details using the member UIDs and the conditions
-            const membersDetails = await userCollection.find(query).toArray();
+        // Define the conditions for the query
+        const query = {
+            uid: { $in: memberUids },
+            appearonmap: true,
+        };
 
-            const filteredMembers = membersDetails.filter((user) => {
-                const renewDate = dayjs(user.renewdate);
-                return dayjs().isBefore(renewDate);
-            });
+        // Fetch user details using the member UIDs and the conditions
+        const membersDetails = await userCollection.find(query).toArray();
 
-            res.status(200).json(filteredMembers);
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Internal Server Error" });
-        }
-    });
+        const filteredMembers = membersDetails.filter((user) => {
+            const renewDate = dayjs(user.renewdate);
+            return dayjs().isBefore(renewDate);
+        });
+
+        res.status(200).json(filteredMembers);
+    }));
 
-    app.post("/send-contact-email", async (req, res) => {
+    app.post("/send-contact-email", validateRequest(schemas.contactEmailSchema), asyncHandler(async (req, res) => {
         const fullName = req.body.fullName;
         const email = req.body.email;
         const comments = req.body.comments;
@@ -556,322 +240,24 @@ function setupLegacyRoutes(app, { jwtClient, spreadsheetId, range, mongoClient }
             current.getSeconds();
         let dateTime = cDate + " " + cTime;
 
-        let info = await req.app.local.transporter.sendMail({
+        let info = await sendMail(req, {
             from: '"[Contact-Us]" <contact-us@azfarmtoschool.org>',
             to: "contact@azfarmtoschool.org",
             subject: "New Contact-Us Message",
             html:
                 "<html lang='en'><body><br><table style='border:0; vertical-align:top;'><tr><td valign='top'><strong>Name : </strong></td><td>" +
-                fullName +
+                escapeHtml(fullName) +
                 "</td></tr><tr><td valign='top'><strong>Email: </strong></td><td>" +
-                email +
+                escapeHtml(email) +
                 "</td></tr><tr><td  valign='top'><strong>Timestamp: </strong></td><td>" +
                 dateTime +
                 "</td></tr><tr><td  valign='top'><strong>Questions/Comments: </strong></td><td>" +
-                comments +
+                escapeHtml(comments) +
                 "</td></tr></table></body></html>",
         });
 
         res.send(info);
-    });
-
-    async function addUserToGroups(req, userId, groups) {
-        const userKey = `user:${userId}`;
-
-        const configResponse = await axios.get(
-            `${getNodeBBServiceUrl()}/api/config`,
-            {
-                headers: {
-                    "Content-Type": "application/json",
-                    Cookie: req.headers.cookie,
-                },
-            }
-        );
-
-        const csrfToken = configResponse.data.csrf_token;
-
-        const groupSlugs = groups.map((group) =>
-            group.toLowerCase().replace(/\s+/g, "-")
-        );
-
-        const groupAddPromises = groupSlugs.map((groupSlug) => {
-            return fetch(
-                `${getNodeBBServiceUrl()}/api/v3/groups/${groupSlug}/membership/${userId}`,
-                {
-                    method: "PUT",
-                    headers: {
-                        Accept: "application/json",
-                        "Content-Type": "application/json",
-                        "X-CSRF-Token": csrfToken,
-                        Cookie: req.headers.cookie,
-                    },
-                    credentials: "include",
-                }
-            )
-                .then((response) => {
-                    if (!response.ok) {
-                        throw new Error(
-                            `Error adding user to group ${groupSlug}: ${response.statusText}`
-                        );
-                    }
-                })
-                .catch((error) => {
-                    console.log(error);
-                });
-        });
-
-        await mongoClient.connect();
-        const database = mongoClient.db(mongoEnv);
-        const collection = database.collection("objects");
-
-        const user = await collection.findOne({ _key: userKey });
-
-        // convert the groupTitle string back to an array
-        let currentGroups = JSON.parse(user.groupTitle || "[]");
-
-        if (currentGroups[0] === "") {
-            currentGroups = [];
-        }
-
-        // combine currentGroups and newGroups into one array, filtering out duplicates
-        const updatedGroups = Array.from(new Set([...currentGroups, ...groups]));
-
-        // convert updatedGroups back to a string
-        const updatedGroupTitle = JSON.stringify(updatedGroups);
-
-        // update groupTitle in the database
-        const updateResult = await collection.updateOne(
-            { _key: userKey },
-            { $set: { groupTitle: updatedGroupTitle, groups: groups } }
-        );
-
-        // handle result of update operation
-        if (updateResult.modifiedCount !== 1) {
-            console.error("Failed to update groupTitle for user", userKey);
-        }
-
-        await Promise.all(groupAddPromises);
-    }
-
-    async function removeUserFromGroups(req, userId, groups) {
-        const userKey = `user:${userId}`;
-
-        const configResponse = await axios.get(
-            `${getNodeBBServiceUrl()}/api/config`,
-            {
-                headers: {
-                    "Content-Type": "application/json",
-                    Cookie: req.headers.cookie,
-                },
-            }
-        );
-
-        const csrfToken = configResponse.data.csrf_token;
-
-        const groupSlugs = groups.map((group) =>
-            group.toLowerCase().replace(/\s+/g, "-")
-        );
-
-        const groupAddPromises = groupSlugs.map((groupSlug) => {
-            return fetch(
-                `${getNodeBBServiceUrl()}/api/v3/groups/${groupSlug}/membership/${userId}`,
-                {
-                    method: "DELETE",
-                    headers: {
-                        Accept: "application/json",
-                        "Content-Type": "application/json",
-                        "x-csrf-token": csrfToken,
-                        Cookie: req.headers.cookie,
-                    },
-                }
-            ).then((response) => {
-                if (!response.ok) {
-                    throw new Error(
-                        `Error removing user to group ${groupSlug}: ${response.statusText}`
-                    );
-                }
-            });
-        });
-
-        await mongoClient.connect();
-        const database = mongoClient.db(mongoEnv);
-        const collection = database.collection("objects");
-
-        const user = await collection.findOne({ _key: userKey });
-
-        // convert the groupTitle string back to an array
-        const currentGroups = JSON.parse(user.groupTitle || "[]");
-
-        // filter out the groups that should be removed
-        const updatedGroups = currentGroups.filter(
-            (group) => !groups.includes(group) && group !== "Network Member"
-        );
-
-        // convert updatedGroups back to a string
-        const updatedGroupTitle = JSON.stringify(updatedGroups);
-
-        // update groupTitle in the database
-        const updateResult = await collection.updateOne(
-            { _key: userKey },
-            { $set: { groupTitle: updatedGroupTitle } }
-        );
-
-        // handle result of update operation
-        if (updateResult.modifiedCount !== 1) {
-            console.error("Failed to update groupTitle for user", userKey);
-        }
-
-        await Promise.all(groupAddPromises);
-    }
-
-    app.put("/accept-membership", validateAdminSession, async (req, res) => {
-        const userId = req.body.userId; // Get userId from request body
-        const userKey = `user:${userId}`;
-
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("objects");
-            const orgsCollection = database.collection("organizations");
-
-            const user = await collection.findOne({ _key: userKey });
-
-            if (!user) {
-                return res.status(404).json({ message: "User not found" });
-            }
-
-            // Add user to groups in NodeBB
-            await addUserToGroups(req, userId, [...user.groups, "Network Member"]);
-
-            const currentMembershipDate = user.membershipdate || dayjs().toString();
-            const currentRenewDate =
-                user.renewdate || dayjs().add(1, "year").toString();
-            const isRecentlyVerified =
-                !user.membershipdate || dayjs().isAfter(renewdate);
-
-            const updateQuery = {
-                $set: {
-                    memberstatus: "verified",
-                    membershipdate: currentMembershipDate,
-                    renewdate: currentRenewDate,
-                    recentlyverified: isRecentlyVerified,
-                },
-            };
-            await collection.updateOne({ _key: userKey }, updateQuery);
-            // Get organization ids from user's organizations array
-            const orgIds = user.organizations.map((org) => new ObjectId(org._id));
-
-            // Update organizations' members array
-            await orgsCollection.updateMany(
-                { _id: { $in: orgIds } },
-                { $addToSet: { members: { uid: userId, name: user.fullname } } }
-            );
-
-            const updatedUser = await collection.findOne({ _key: userKey });
-            res
-                .status(200)
-                .json({ message: "User verified successfully", user: updatedUser });
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error verifying user" });
-        }
-    });
-
-    app.put("/deny-membership", validateAdminSession, async (req, res) => {
-        const userId = req.body.userId; // Get userId from request body
-        const userKey = `user:${userId}`;
-
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("objects");
-
-            const user = await collection.findOne({ _key: userKey });
-
-            if (user.memberstatus === "verified") {
-                await removeUserFromGroups(req, userId, [
-                    ...user.groups,
-                    "Network Member",
-                ]);
-            }
-
-            const result = await collection.updateOne(
-                { _key: userKey },
-                {
-                    $set: { memberstatus: "unverified" },
-                    $unset: {
-                        groups: [],
-                        tags: [],
-                        organizations: [],
-                        county: "",
-                        city: "",
-                        communitiesofpractice: [],
-                        hopetogain: [],
-                        othergains: "",
-                        additionalcomments: "",
-                    },
-                }
-            );
-
-            if (result.matchedCount > 0) {
-                const updatedUser = await collection.findOne({ _key: userKey });
-                res
-                    .status(200)
-                    .json({ message: "User denied successfully", user: updatedUser });
-            } else {
-                res.status(404).json({ message: "User not found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error denying user" });
-        }
-    });
-
-    app.put("/delete-membership", validateSession, async (req, res) => {
-        const userId = req.uid;
-        const userKey = `user:${userId}`;
-
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("objects");
-
-            const user = await collection.findOne({ _key: userKey });
-
-            // TODO: Clean the slate for next membership.
-            await removeUserFromGroups(req, userId, [...user.groups, "Network Member"]);
-
-            const result = await collection.updateOne(
-                { _key: userKey },
-                {
-                    $set: { memberstatus: "unverified" },
-                    $unset: {
-                        groups: [],
-                        tags: [],
-                        organizations: [],
-                        county: "",
-                        city: "",
-                        communitiesofpractice: [],
-                        hopetogain: [],
-                        othergains: "",
-                        additionalcomments: "",
-                    },
-                }
-            );
-
-            if (result.matchedCount > 0) {
-                const updatedUser = await collection.findOne({ _key: userKey });
-                res
-                    .status(200)
-                    .json({ message: "User denied successfully", user: updatedUser });
-            } else {
-                res.status(404).json({ message: "User not found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error denying user" });
-        }
-    });
+    }));
 
     async function geocodeAddress(address) {
         const baseUrl = "https://nominatim.openstreetmap.org/search";
@@ -888,273 +274,170 @@ function setupLegacyRoutes(app, { jwtClient, spreadsheetId, range, mongoClient }
             },
         };
 
+        let data;
         try {
             const response = await fetch(`${baseUrl}?${params}`, requestOptions);
 
-            if (response.ok) {
-                const data = await response.json();
-                if (data.length > 0) {
-                    return data[0];
-                } else {
-                    return "No results found for this address.";
-                }
-            } else {
-                return `Error: ${response.status} - ${response.statusText}`;
+            if (!response.ok) {
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
             }
+            data = await response.json();
         } catch (error) {
-            return `Error: ${error.message}`;
+            throw new UpstreamError("Nominatim", "Could not geocode the address.", { cause: error });
         }
+
+        if (data.length === 0 || !data[0].lat || !data[0].lon) {
+            throw new ValidationError({ address: "Address could not be found" });
+        }
+        return data[0];
     }
 
-    app.post("/add-organization", validateSession, async (req, res) => {
+    app.post("/add-organization", validateSession, validateRequest(schemas.addOrganizationSchema), asyncHandler(async (req, res) => {
         const newOrg = req.body;
 
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const orgsCollection = database.collection("organizations");
-
-            // Geocode the address
-            const geocodeResult = await geocodeAddress(
-                newOrg.address + " " + newOrg.city + " AZ " + newOrg.zip
-            );
+        const orgsCollection = await getCollection("organizations");
 
-            if (!geocodeResult.lat || !geocodeResult.lon) {
-                throw new Error(`Failed to geocode address: ${newOrg.address}`);
-            }
+        // Geocode the address
+        const geocodeResult = await geocodeAddress(
+            newOrg.address + " " + newOrg.city + " AZ " + newOrg.zip
+        );
 
-            // Set the latLng field
-            newOrg.latLng = [
-                parseFloat(geocodeResult.lat),
-                parseFloat(geocodeResult.lon),
-            ];
+        // Set the latLng field
+        newOrg.latLng = [
+            parseFloat(geocodeResult.lat),
+            parseFloat(geocodeResult.lon),
+        ];
 
-            // Add 'organizationstatus' to the organization data
-            newOrg.organizationstatus = "pending";
+        // Add 'organizationstatus' to the organization data
+        newOrg.organizationstatus = "pending";
 
-            // Insert the organization into the collection
-            const result = await orgsCollection.insertOne(newOrg);
+        // Insert the organization into the collection
+        const result = await orgsCollection.insertOne(newOrg);
 
-            const insertedOrganizationId = result.insertedId;
+        const insertedOrganizationId = result.insertedId;
 
-            // Respond with the inserted organization
-            res.status(200).json({
-                message: "Organization added successfully",
-                orgId: insertedOrganizationId,
-            });
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: error.message });
-        }
-    });
+        // Respond with the inserted organization
+        res.status(200).json({
+            message: "Organization added successfully",
+            orgId: insertedOrganizationId,
+        });
+    }));
 
-    app.put("/accept-organization", validateAdminSession, async (req, res) => {
+    app.put("/accept-organization", validateAdminSession, validateRequest(schemas.organizationActionSchema), asyncHandler(async (req, res) => {
         const { organizationId } = req.body;
 
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("organizations");
-            const _id = new ObjectId(organizationId);
-
-            const result = await collection.updateOne(
-                { _id: _id },
-                { $set: { organizationstatus: "verified" } }
-            );
+        const collection = await getCollection("organizations");
+        const _id = new ObjectId(organizationId);
 
-            if (result.matchedCount > 0) {
-                res.status(200).json({ message: "Organization verified successfully" });
-            } else {
-                res.status(404).json({ message: "Organization not found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error verifying organization" });
+        const result = await collection.updateOne(
+            { _id: _id },
+            { $set: { organizationstatus: "verified" } }
+        );
+
+        if (result.matchedCount > 0) {
+            res.status(200).json({ message: "Organization verified successfully" });
+        } else {
+            throw new NotFoundError("Organization not found");
         }
-    });
+    }));
 
-    app.put("/deny-organization", validateAdminSession, async (req, res) => {
+    app.put("/deny-organization", validateAdminSession, validateRequest(schemas.organizationActionSchema), asyncHandler(async (req, res) => {
         const { organizationId } = req.body;
 
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("organizations");
-            const usersCollection = database.collection("objects");
-            const _id = new ObjectId(organizationId);
-
-            const result = await collection.deleteOne({ _id: _id });
-
-            if (result.deletedCount > 0) {
-                await usersCollection.updateMany(
-                    { "organizations._id": organizationId },
-                    { $pull: { organizations: { _id: organizationId } } }
-                );
-                res.status(200).json({ message: "Organization deleted successfully" });
-            } else {
-                res.status(404).json({ message: "Organization not found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error deleting organization" });
+        const collection = await getCollection("organizations");
+        const usersCollection = await getCollection("objects");
+        const _id = new ObjectId(organizationId);
+
+        const result = await collection.deleteOne({ _id: _id });
+
+        if (result.deletedCount > 0) {
+            await usersCollection.updateMany(
+                { "organizations._id": organizationId },
+                { $pull: { organizations: { _id: organizationId } } }
+            );
+            res.status(200).json({ message: "Organization deleted successfully" });
+        } else {
+            throw new NotFoundError("Organization not found");
         }
-    });
+    }));
 
-    app.put("/edit-organization", validateAdminSession, async (req, res) => {
+    app.put("/edit-organization", validateAdminSession, validateRequest(schemas.editOrganizationSchema), asyncHandler(async (req, res) => {
         const orgID = req.body.organizationId;
         const updateData = req.body.data;
 
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("organizations");
-            const _id = new ObjectId(orgID);
-
-            const result = await collection.updateOne(
-                { _id: _id },
-                { $set: updateData }
-            );
+        const collection = await getCollection("organizations");
+        const _id = new ObjectId(orgID);
 
-            if (result.matchedCount > 0) {
-                const updatedOrganization = await collection.findOne({ _id: _id });
-                res.status(200).json({
-                    message: "Organization updated successfully",
-                    organization: updatedOrganization,
-                });
-            } else {
-                res.status(404).json({ message: "Organization not found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error updating organization" });
+        const result = await collection.updateOne(
+            { _id: _id },
+            { $set: updateData }
+        );
+
+        if (result.matchedCount > 0) {
+            const updatedOrganization = await collection.findOne({ _id: _id });
+            res.status(200).json({
+                message: "Organization updated successfully",
+                organization: updatedOrganization,
+            });
+        } else {
+            throw new NotFoundError("Organization not found");
         }
-    });
+    }));
 
-    app.put("/remove-member", validateSession, async (req, res) => {
-        const userId = req.uid;
+    app.put("/remove-member", validateSession, validateRequest(schemas.organizationIdSchema), asyncHandler(async (req, res) => {
+        const userId = req.currentUser.uid;
         const orgID = req.body.orgId;
 
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("organizations");
-            const _id = new ObjectId(orgID);
-
-            const result = await collection.updateOne(
-                { _id: _id },
-                { $pull: { members: { uid: userId } } }
-            );
+        const collection = await getCollection("organizations");
+        const _id = new ObjectId(orgID);
 
-            if (result.modifiedCount > 0) {
-                res.status(200).json({ message: "Member removed successfully" });
-            } else {
-                res.status(404).json({
-                    message: "Organization not found or member not in organization",
-                });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error removing member" });
-        }
-    });
+        const result = await collection.updateOne(
+            { _id: _id },
+            { $pull: { members: { uid: userId } } }
+        );
 
-    app.get("/pending-members", validateAdminSession, async (req, res) => {
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("objects");
-
-            const pendingMembers = await collection
-                .find({ memberstatus: "pending" })
-                .toArray();
-
-            if (pendingMembers.length > 0) {
-                res.status(200).json({
-                    message: "Pending members fetched successfully",
-                    members: pendingMembers,
-                });
-            } else {
-                res.status(404).json({ message: "No pending members found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error fetching pending members" });
+        if (result.modifiedCount > 0) {
+            res.status(200).json({ message: "Member removed successfully" });
+        } else {
+            throw new NotFoundError("Organization not found or member not in organization");
         }
-    });
+    }));
 
-    app.get("/verified-members", validateAdminSession, async (req, res) => {
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("objects");
-
-            const pendingMembers = await collection
-                .find({ memberstatus: "verified" })
-                .toArray();
-
-            if (pendingMembers.length > 0) {
-                res.status(200).json({
-                    message: "Verified members fetched successfully",
-                    members: pendingMembers,
-                });
-            } else {
-                res.status(404).json({ message: "No verified members found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error fetching verified members" });
-        }
-    });
+    app.get("/pending-organizations", validateAdminSession, asyncHandler(async (req, res) => {
+        const collection = await getCollection("organizations");
 
-    app.get("/pending-organizations", validateAdminSession, async (req, res) => {
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("organizations");
-
-            const pendingOrgs = await collection
-                .find({ organizationstatus: "pending" })
-                .toArray();
-
-            if (pendingOrgs.length > 0) {
-                res.status(200).json({
-                    message: "Pending organizations fetched successfully",
-                    orgs: pendingOrgs,
-                });
-            } else {
-                res.status(404).json({ message: "No pending organizations found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error fetching pending organizations" });
+        const pendingOrgs = await collection
+            .find({ organizationstatus: "pending" })
+            .toArray();
+
+        if (pendingOrgs.length > 0) {
+            res.status(200).json({
+                message: "Pending organizations fetched successfully",
+                orgs: pendingOrgs,
+            });
+        } else {
+            throw new NotFoundError("No pending organizations found");
         }
-    });
+    }));
 
-    app.get("/verified-organizations", validateSession, async (req, res) => {
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("organizations");
-
-            const verifiedOrgs = await collection
-                .find({ organizationstatus: "verified" })
-                .toArray();
-
-            if (verifiedOrgs.length > 0) {
-                res.status(200).json({
-                    message: "Verified organizations fetched successfully",
-                    orgs: verifiedOrgs,
-                });
-            } else {
-                res.status(404).json({ message: "No verified organizations found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error fetching verified organizations" });
+    app.get("/verified-organizations", validateSession, asyncHandler(async (req, res) => {
+        const collection = await getCollection("organizations");
+
+        const verifiedOrgs = await collection
+            .find({ organizationstatus: "verified" })
+            .toArray();
+
+        if (verifiedOrgs.length > 0) {
+            res.status(200).json({
+                message: "Verified organizations fetched successfully",
+                orgs: verifiedOrgs,
+            });
+        } else {
+            throw new NotFoundError("No verified organizations found");
         }
-    });
+    }));
 
-    app.post("/new-member-request", async (req, res) => {
+    app.post("/new-member-request", validateRequest(schemas.newMemberRequestSchema), asyncHandler(async (req, res) => {
         const fullName = req.body.fullName;
         const email = req.body.email;
         const username = req.body.username;
@@ -1174,109 +457,92 @@ function setupLegacyRoutes(app, { jwtClient, spreadsheetId, range, mongoClient }
             current.getSeconds();
         let dateTime = cDate + " " + cTime + " UTC";
 
-        let info = await req.app.local.transporter.sendMail({
+        let info = await sendMail(req, {
             from: '"[New Membership Request]" <new-member@azfarmtoschool.org>',
             to: "support@azfarmtoschool.org",
             cc: "azfarmtoschoolnetwork@gmail.com",
             subject: "New Membership Form Submitted",
             html:
                 "<html lang='en'><body><br><table style='border:0; vertical-align:top;'><tr><td valign='top'><strong>Name: </strong></td><td>" +
-                fullName +
+                escapeHtml(fullName) +
                 "</td></tr><tr><td valign='top'><strong>Username: </strong></td><td>" +
-                username +
+                escapeHtml(username) +
                 "</td></tr><tr><td  valign='top'><strong>Email: </strong></td><td>" +
-                email +
+                escapeHtml(email) +
                 "</td></tr><tr><td  valign='top'><strong>Timestamp: </strong></td><td>" +
                 dateTime +
                 " UTC</td></tr></table></body></html>",
         });
 
         res.send(info);
-    });
+    }));
 
-    app.get("/group-colors", async (req, res) => {
+    app.get("/group-colors", asyncHandler(async (req, res) => {
+        let response;
         try {
-            const response = await axios.get(
-                `${getNodeBBServiceUrl()}/api/groups`,
+            response = await nodeBB.api.get(
+                `/api/groups`,
                 {
                     withCredentials: false,
                 }
             );
-            const colors = response.data.groups.reduce((acc, group) => {
-                acc[group.name] = group.labelColor;
-                return acc;
-            }, {});
-
-            // Respond with the group colors
-            res.json(colors);
-        } catch (error) {
-            console.error(error);
-            // Send a 500 error in case something goes wrong
-            res
-                .status(500)
-                .json({ error: "An error occurred while retrieving group colors." });
-        }
-    });
-
-    app.post("/user-orgs", validateSession, async (req, res) => {
-        try {
-            // Extract organization _ids from request body
-            const orgIds = req.body
-                .map((org) => org._id)
-                .filter((_id) => _id) // Filter out undefined or invalid ids
-                .map((_id) => new ObjectId(_id)); // Convert string _id to ObjectId;
-
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const orgsCollection = database.collection("organizations");
-
-            // Fetch organizations that match the provided _ids
-            const organizations = await orgsCollection
-                .find({
-                    _id: { $in: orgIds },
-                })
-                .toArray();
-
-            res.json(organizations);
         } catch (error) {
-            console.error(error);
-            res.status(500).send("Error occurred while fetching data");
-        }
-    });
-
-    app.get("/user-checklist", validateSession, async (req, res) => {
-        const userId = req.uid;
+            throw new UpstreamError("NodeBB", "An error occurred while retrieving group colors.", { cause: error });
+        }
+        const colors = response.data.groups.reduce((acc, group) => {
+            acc[group.name] = group.labelColor;
+            return acc;
+        }, {});
+
+        // Respond with the group colors
+        res.json(colors);
+    }));
+
+    app.post("/user-orgs", validateSession, validateRequest(schemas.userOrgsSchema), asyncHandler(async (req, res) => {
+        // Extract organization _ids from request body
+        const orgIds = req.body
+            .map((org) => org._id)
+            .filter((_id) => _id) // Filter out undefined or invalid ids
+            .map((_id) => new ObjectId(_id)); // Convert string _id to ObjectId;
+
+        const orgsCollection = await getCollection("organizations");
+
+        // Fetch organizations that match the provided _ids
+        const organizations = await orgsCollection
+            .find({
+                _id: { $in: orgIds },
+            })
+            .toArray();
+
+        res.json(organizations);
+    }));
+
+    app.get("/user-checklist", validateSession, asyncHandler(async (req, res) => {
+        const userId = req.currentUser.uid;
         const userKey = `user:${userId}`;
 
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("objects");
+        const collection = await getCollection("objects");
 
-            const user = await collection.findOne({ _key: userKey });
+        const user = await collection.findOne({ _key: userKey });
 
-            if (user) {
-                res.status(200).json(user.checklistSteps);
-            } else {
-                res.status(404).json({ message: "User not found" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error retrieving user checklist" });
+        if (user) {
+            res.status(200).json(user.checklistSteps);
+        } else {
+            throw new NotFoundError("User not found");
         }
-    });
+    }));
 
-    app.post("/submit-resource", async (req, res) => {
-        const { title, author, year, link, briefExplanation, workGroup, applicableAudience, ageGroup } = req.body;
+    app.post("/submit-resource", validateRequest(schemas.submitResourceSchema), asyncHandler(async (req, res) => {
+        const { title, author, year, link, briefExplanation, workGroup, applicableAudience, ageGroup, name, email } = req.body;
 
-        // Create a new Date object
-        const now = new Date();
-
-        // Adjust for Arizona time (UTC-7)
-        now.setHours(now.getHours() - 7);
+        // Kept for admin review; see routes/resources_routes.js
+        const submission = await resourceSubmissions.submit(
+            { title, author, year, link, explanation: briefExplanation, workGroup, audience: applicableAudience, ageGroup },
+            { name, email, uid: req.session && req.session.user ? req.session.user.uid : null }
+        );
 
         // Format the date and time
-        const dateTime = now.toLocaleString('en-US', {
+        const dateTime = submission.submittedAt.toLocaleString('en-US', {
             timeZone: 'America/Phoenix',
             year: 'numeric',
             month: '2-digit',
@@ -1287,7 +553,7 @@ function setupLegacyRoutes(app, { jwtClient, spreadsheetId, range, mongoClient }
             hour12: true
         });
 
-        let info = await req.app.local.transporter.sendMail({
+        await sendMail(req, {
             from: '"[Resource Submission]" <resource-submission@azfarmtoschool.org>',
             to: "support@azfarmtoschool.org",
             cc: "raevynxavier@azfarmtoschool.org",
@@ -1297,50 +563,45 @@ function setupLegacyRoutes(app, { jwtClient, spreadsheetId, range, mongoClient }
         <body>
           <h2>New Resource Submission</h2>
           <table style='border:0; vertical-align:top;'>
-            <tr><td><strong>Title: </strong></td><td>${title}</td></tr>
-            <tr><td><strong>Author: </strong></td><td>${author}</td></tr>
-            <tr><td><strong>Year: </strong></td><td>${year}</td></tr>
-            <tr><td><strong>Link: </strong></td><td>${link}</td></tr>
-            <tr><td><strong>Brief Explanation: </strong></td><td>${briefExplanation}</td></tr>
-            <tr><td><strong>Work Group: </strong></td><td>${workGroup.join(", ")}</td></tr>
-            <tr><td><strong>Applicable Audience: </strong></td><td>${applicableAudience.join(", ")}</td></tr>
-            <tr><td><strong>Age Group: </strong></td><td>${ageGroup.join(", ")}</td></tr>
+            <tr><td><strong>Title: </strong></td><td>${escapeHtml(title)}</td></tr>
+            <tr><td><strong>Author: </strong></td><td>${escapeHtml(author)}</td></tr>
+            <tr><td><strong>Year: </strong></td><td>${escapeHtml(year)}</td></tr>
+            <tr><td><strong>Link: </strong></td><td>${escapeHtml(link)}</td></tr>
+            <tr><td><strong>Brief Explanation: </strong></td><td>${escapeHtml(briefExplanation)}</td></tr>
+            <tr><td><strong>Work Group: </strong></td><td>${escapeHtml(workGroup.join(", "))}</td></tr>
+            <tr><td><strong>Applicable Audience: </strong></td><td>${escapeHtml(applicableAudience.join(", "))}</td></tr>
+            <tr><td><strong>Age Group: </strong></td><td>${escapeHtml(ageGroup.join(", "))}</td></tr>
+            <tr><td><strong>Submitted by: </strong></td><td>${escapeHtml(name || "Anonymous")}${email ? ` (${escapeHtml(email)})` : ""}</td></tr>
             <tr><td><strong>Timestamp: </strong></td><td>${dateTime} Arizona Time</td></tr>
           </table>
+          <p>Submission ${submission._id} is waiting for review in the resource queue.</p>
         </body>
       </html>
     `,
         });
 
-        res.send(info);
-    });
+        res.status(201).json({ success: true, id: submission._id, status: submission.status });
+    }));
 
-    app.put("/update-checklist-step", validateSession, async (req, res) => {
-        const userId = req.uid;
+    app.put("/update-checklist-step", validateSession, validateRequest(schemas.checklistStepSchema), asyncHandler(async (req, res) => {
+        const userId = req.currentUser.uid;
         const userKey = `user:${userId}`;
         const { step } = req.body;
 
-        try {
-            await mongoClient.connect();
-            const database = mongoClient.db(mongoEnv);
-            const collection = database.collection("objects");
-
-            const result = await collection.updateOne(
-                { _key: userKey },
-                { $set: { [`checklistSteps.${step}`]: true } },
-                { upsert: true }
-            );
+        const collection = await getCollection("objects");
 
-            if (result.upsertedCount > 0 || result.modifiedCount > 0) {
-                res.status(200).json({ message: "Checklist step updated successfully" });
-            } else {
-                res.status(200).json({ message: "Checklist step already updated" });
-            }
-        } catch (error) {
-            console.error(error);
-            res.status(500).json({ message: "Error updating checklist step" });
+        const result = await collection.updateOne(
+            { _key: userKey },
+            { $set: { [`checklistSteps.${step}`]: true } },
+            { upsert: true }
+        );
+
+        if (result.upsertedCount > 0 || result.modifiedCount > 0) {
+            res.status(200).json({ message: "Checklist step updated successfully" });
+        } else {
+            res.status(200).json({ message: "Checklist step already updated" });
         }
-    });
+    }));
 }
 
 module.exports = setupLegacyRoutes;
\ No newline at end of file
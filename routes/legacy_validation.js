@@ -0,0 +1,141 @@
+// legacy_validation.js
+// Request schemas for routes/legacy_routes.js, applied with validateRequest
+const { profileUpdateSchema } = require('./user/user_validation');
+
+const shortText = { type: 'string', maxLength: 255 };
+const longText = { type: 'string', maxLength: 5000 };
+const stringList = { type: 'array', items: shortText, maxItems: 50, default: () => [] };
+
+// Organization fields members submit and admins may edit; anything else is refused
+const ORGANIZATION_FIELDS = {
+    name: shortText,
+    address: shortText,
+    city: shortText,
+    zip: { type: 'string', pattern: /^\d{5}(-\d{4})?$/ },
+    county: shortText,
+    website: { type: 'string', maxLength: 2048 },
+    phone: { type: 'string', maxLength: 50 },
+    email: { type: 'email', maxLength: 255 },
+    description: longText
+};
+
+// Organization keys that only the server or an admin workflow may set
+const ORGANIZATION_PRIVILEGED_FIELDS = new Set(['_id', 'organizationstatus', 'latLng', 'members']);
+
+const profileSchema = {
+    body: profileUpdateSchema
+};
+
+const userSettingsSchema = {
+    body: {
+        showemail: { type: 'boolean', required: true },
+        showfullname: { type: 'boolean', required: true }
+    }
+};
+
+const organizationIdSchema = {
+    body: {
+        orgId: { type: 'objectId', required: true }
+    }
+};
+
+const organizationActionSchema = {
+    body: {
+        organizationId: { type: 'objectId', required: true }
+    }
+};
+
+const contactEmailSchema = {
+    body: {
+        fullName: { ...shortText, required: true },
+        email: { type: 'email', required: true, maxLength: 255 },
+        comments: { ...longText, required: true }
+    }
+};
+
+const newMemberRequestSchema = {
+    body: {
+        fullName: { ...shortText, required: true },
+        email: { type: 'email', required: true, maxLength: 255 },
+        username: { ...shortText, required: true }
+    }
+};
+
+const addOrganizationSchema = {
+    body: {
+        type: 'object',
+        required: true,
+        fields: {
+            ...ORGANIZATION_FIELDS,
+            name: { ...ORGANIZATION_FIELDS.name, required: true },
+            address: { ...ORGANIZATION_FIELDS.address, required: true },
+            city: { ...ORGANIZATION_FIELDS.city, required: true },
+            zip: { ...ORGANIZATION_FIELDS.zip, required: true }
+        },
+        unknown: 'reject',
+        forbidden: ORGANIZATION_PRIVILEGED_FIELDS
+    }
+};
+
+const editOrganizationSchema = {
+    body: {
+        organizationId: { type: 'objectId', required: true },
+        data: {
+            type: 'object',
+            required: true,
+            fields: ORGANIZATION_FIELDS,
+            unknown: 'reject',
+            forbidden: ORGANIZATION_PRIVILEGED_FIELDS,
+            minKeys: 1
+        }
+    }
+};
+
+const userOrgsSchema = {
+    body: {
+        type: 'array',
+        required: true,
+        maxItems: 100,
+        items: {
+            type: 'object',
+            fields: { _id: { type: 'objectId' } }
+        }
+    }
+};
+
+const submitResourceSchema = {
+    body: {
+        title: { ...shortText, required: true },
+        author: shortText,
+        year: { type: 'string', maxLength: 10 },
+        link: { type: 'url', required: true, maxLength: 2048 },
+        briefExplanation: longText,
+        workGroup: stringList,
+        applicableAudience: stringList,
+        ageGroup: stringList,
+        // Optional; used to tell the submitter whether the resource was accepted
+        name: shortText,
+        email: { type: 'email', maxLength: 255 }
+    }
+};
+
+const checklistStepSchema = {
+    body: {
+        // Used as a key path in Mongo, so no dots or operators
+        step: { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]{1,64}$/ }
+    }
+};
+
+module.exports = {
+    profileSchema,
+    userSettingsSchema,
+    organizationIdSchema,
+    organizationActionSchema,
+    contactEmailSchema,
+    newMemberRequestSchema,
+    addOrganizationSchema,
+    editOrganizationSchema,
+    userOrgsSchema,
+    submitResourceSchema,
+    checklistStepSchema
+};
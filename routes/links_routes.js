@@ -0,0 +1,36 @@
+// links_routes.js
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validateRequest } = require("../middleware/validateRequest");
+const { validateAdminSession } = require("../middleware/validateSession");
+
+const linkCheckSchema = {
+    body: {
+        urls: { type: "array", required: true, items: { type: "url", required: true }, minItems: 1, maxItems: 50 },
+    },
+};
+
+/**
+ * Setup link health routes, all admin-only
+ * `POST /links/check` checks up to 50 links on demand (it replaces the open
+ * `/fetch-headers`); `/links/report` shows the latest broken-link report for
+ * the resource library, and POSTing to it runs a new one.
+ * @param {Object} app - Express app instance
+ * @param {Object} options
+ * @param {Object} options.checker - From createLinkChecker in services/linkHealth.js
+ * @param {Object} options.linkReports - From createLinkReportService in services/linkHealth.js
+ */
+function setupLinkRoutes(app, { checker, linkReports }) {
+    app.post("/links/check", validateAdminSession, validateRequest(linkCheckSchema), asyncHandler(async (req, res) => {
+        res.json({ results: await checker.checkLinks(req.body.urls) });
+    }));
+
+    app.get("/links/report", validateAdminSession, asyncHandler(async (req, res) => {
+        res.json({ report: await linkReports.latest() });
+    }));
+
+    app.post("/links/report", validateAdminSession, asyncHandler(async (req, res) => {
+        res.json({ report: await linkReports.run() });
+    }));
+}
+
+module.exports = setupLinkRoutes;
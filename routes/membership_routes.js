@@ -0,0 +1,125 @@
+// membership_routes.js
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validateRequest } = require("../middleware/validateRequest");
+const { validateSession, validateAdminSession } = require("../middleware/validateSession");
+const { membershipFormSchema } = require("./user/user_validation");
+const { NotFoundError } = require("../lib/errors");
+const { REMINDER_DAYS } = require("../services/membershipReminders");
+
+const membershipSchema = {
+    body: membershipFormSchema,
+};
+
+const memberActionSchema = {
+    body: {
+        userId: { type: "integer", required: true, min: 1 },
+    },
+};
+
+const membershipHistorySchema = {
+    params: {
+        uid: { type: "integer", required: true, min: 1 },
+    },
+    query: {
+        limit: { type: "integer", required: false, min: 1, max: 200, default: 50 },
+    },
+};
+
+const expirationsSchema = {
+    query: {
+        days: { type: "integer", required: false, min: 0, max: 366, default: REMINDER_DAYS[0] },
+    },
+};
+
+/**
+ * Setup membership routes
+ * Every status change goes through the membership service, which refuses
+ * transitions the lifecycle does not allow with 409 INVALID_TRANSITION.
+ * Admins can list upcoming expirations, send the due renewal reminders and
+ * run the expiry job on demand.
+ * @param {Object} app - Express app instance
+ * @param {Object} options
+ * @param {Object} options.membership - Service from services/membership.js
+ * @param {Object} [options.reminders] - Renewal reminders from services/membershipReminders.js
+ * @param {Object} [options.expiry] - Expiry job from services/membershipExpiry.js
+ */
+function setupMembershipRoutes(app, { membership, reminders, expiry }) {
+    // Group changes are made with the caller's NodeBB session
+    const asMember = (req) => ({ actor: { uid: req.currentUser.uid, role: "member" }, auth: { cookie: req.headers.cookie } });
+    const asAdmin = (req) => ({ actor: { uid: req.currentUser.uid, role: "admin" }, auth: { cookie: req.headers.cookie } });
+
+    const respond = (res, message, { user, failedEffects }) => {
+        res.status(200).json({ message, user, failedEffects });
+    };
+
+    app.get("/membership", validateSession, asyncHandler(async (req, res) => {
+        res.json(await membership.getState(req.currentUser.uid));
+    }));
+
+    app.put("/submit-form", validateSession, validateRequest(membershipSchema), asyncHandler(async (req, res) => {
+        const result = await membership.transition(req.currentUser.uid, "submit", { ...asMember(req), data: req.body.user });
+        respond(res, "User and organizations updated successfully", result);
+    }));
+
+    app.put("/renew-membership", validateSession, validateRequest(membershipSchema), asyncHandler(async (req, res) => {
+        const result = await membership.transition(req.currentUser.uid, "renew", { ...asMember(req), data: req.body.user });
+        respond(res, "User and organizations updated successfully", result);
+    }));
+
+    app.put("/delete-membership", validateSession, asyncHandler(async (req, res) => {
+        const result = await membership.transition(req.currentUser.uid, "withdraw", asMember(req));
+        respond(res, "Membership withdrawn successfully", result);
+    }));
+
+    app.put("/accept-membership", validateAdminSession, validateRequest(memberActionSchema), asyncHandler(async (req, res) => {
+        const result = await membership.transition(req.body.userId, "verify", asAdmin(req));
+        respond(res, "User verified successfully", result);
+    }));
+
+    app.put("/deny-membership", validateAdminSession, validateRequest(memberActionSchema), asyncHandler(async (req, res) => {
+        const result = await membership.transition(req.body.userId, "deny", asAdmin(req));
+        respond(res, "User denied successfully", result);
+    }));
+
+    app.get("/pending-members", validateAdminSession, asyncHandler(async (req, res) => {
+        const members = await membership.list("pending");
+        if (members.length === 0) {
+            throw new NotFoundError("No pending members found");
+        }
+        res.status(200).json({ message: "Pending members fetched successfully", members });
+    }));
+
+    app.get("/verified-members", validateAdminSession, asyncHandler(async (req, res) => {
+        const members = await membership.list("verified");
+        if (members.length === 0) {
+            throw new NotFoundError("No verified members found");
+        }
+        res.status(200).json({ message: "Verified members fetched successfully", members });
+    }));
+
+    app.get("/membership-history/:uid", validateAdminSession, validateRequest(membershipHistorySchema), asyncHandler(async (req, res) => {
+        res.json({ history: await membership.history(req.params.uid, { limit: req.query.limit }) });
+    }));
+
+    if (reminders) {
+        app.get("/membership/expirations", validateAdminSession, validateRequest(expirationsSchema), asyncHandler(async (req, res) => {
+            res.json({ members: await reminders.upcoming({ withinDays: req.query.days }) });
+        }));
+
+        app.post("/membership/reminders", validateAdminSession, asyncHandler(async (req, res) => {
+            res.json({ summary: await reminders.run() });
+        }));
+    }
+
+    if (expiry) {
+        app.get("/membership/expiry-report", validateAdminSession, asyncHandler(async (req, res) => {
+            res.json({ report: await expiry.latest() });
+        }));
+
+        app.post("/membership/expiry-report", validateAdminSession, asyncHandler(async (req, res) => {
+            res.json({ report: await expiry.run() });
+        }));
+    }
+}
+
+module.exports = setupMembershipRoutes;
@@ -0,0 +1,88 @@
+// resources_routes.js
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validateRequest } = require("../middleware/validateRequest");
+const { validateAdminSession } = require("../middleware/validateSession");
+const { FACETS, SORTS, parseResources, searchResources, mergeResources } = require("../services/resources");
+const { STATUSES, DECISIONS } = require("../services/resourceSubmissions");
+
+// Facet filters are comma-separated: ?ageGroup=K-5,6-8
+const facetFilter = { type: "string", required: false, maxLength: 500 };
+
+const resourceSearchSchema = {
+    query: {
+        q: { type: "string", required: false, maxLength: 200 },
+        workGroup: facetFilter,
+        audience: facetFilter,
+        ageGroup: facetFilter,
+        year: facetFilter,
+        sort: { type: "string", required: false, enum: Object.keys(SORTS) },
+        cursor: { type: "string", required: false, maxLength: 500 },
+        limit: { type: "integer", required: false, min: 1, max: 100, default: 20 },
+    },
+};
+
+const submissionListSchema = {
+    query: {
+        status: { type: "string", required: false, enum: STATUSES, default: "pending" },
+        limit: { type: "integer", required: false, min: 1, max: 200, default: 50 },
+    },
+};
+
+const submissionDecisionSchema = {
+    params: {
+        id: { type: "objectId", required: true },
+    },
+    body: {
+        decision: { type: "string", required: true, enum: DECISIONS },
+        note: { type: "string", maxLength: 2000 },
+    },
+};
+
+const splitFilter = (value) => (value ? value.split(",").map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Setup resource library routes
+ * `/resources` searches the "Resources Compiled" sheet: full-text `q`, facet
+ * filters with counts, `sort`, and `cursor`/`limit` pagination. The unprocessed
+ * rows are still available from `/content/resources`. Admins review
+ * submissions from `/submit-resource` under `/resource-submissions`.
+ * @param {Object} app - Express app instance
+ * @param {Object} options
+ * @param {Object} options.contentService - Service from services/sheetsContent.js
+ * @param {Object} [options.resourceSubmissions] - Service from services/resourceSubmissions.js
+ */
+function setupResourceRoutes(app, { contentService, resourceSubmissions }) {
+    app.get("/resources", validateRequest(resourceSearchSchema), asyncHandler(async (req, res) => {
+        const { q, sort, cursor, limit } = req.query;
+        const filters = {};
+        for (const facet of FACETS) {
+            filters[facet] = splitFilter(req.query[facet]);
+        }
+
+        let resources = parseResources(await contentService.get("resources"));
+        if (resourceSubmissions) {
+            resources = mergeResources(resources, await resourceSubmissions.listPublished());
+        }
+        res.json(searchResources(resources, { q, sort, cursor, limit, ...filters }));
+    }));
+
+    if (!resourceSubmissions) {
+        return;
+    }
+
+    app.get("/resource-submissions", validateAdminSession, validateRequest(submissionListSchema), asyncHandler(async (req, res) => {
+        const { status, limit } = req.query;
+        res.json({ submissions: await resourceSubmissions.list({ status, limit }) });
+    }));
+
+    app.put("/resource-submissions/:id", validateAdminSession, validateRequest(submissionDecisionSchema), asyncHandler(async (req, res) => {
+        const submission = await resourceSubmissions.decide(req.params.id, {
+            decision: req.body.decision,
+            note: req.body.note,
+            reviewerUid: req.currentUser.uid,
+        });
+        res.json({ success: true, submission });
+    }));
+}
+
+module.exports = setupResourceRoutes;
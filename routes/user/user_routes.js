@@ -1,95 +1,97 @@
 const express = require('express');
 const { nodeBB} = require("../../third_party/nodebb");
-const mongodb = require('../../third_party/mongodb');
 const { validateSession }  = require('../../middleware/validateSession');
+const { allowRawFields } = require('../../middleware/sanitizeRequests');
+const { validateRequest } = require('../../middleware/validateRequest');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { AuthenticationError, NotFoundError, UpstreamError, ValidationError } = require('../../lib/errors');
 const validation = require('./user_validation');
-const router = express.Router();
-
-router.post('/is-available', (async (req, res) => {
-    try {
-        const { isValid, errors } = validation.validateIsAvailable(req.body);
-        if (!isValid) {
-            return res.status(400).json({
-                success: false,
-                errors: errors
-            });
-        }
+const { createLogger } = require('../../lib/logger');
+
+const log = createLogger({ module: 'user-routes' });
 
+/**
+ * Build the /user router
+ * @param {Object} options
+ * @param {Object} options.config - Validated config from lib/config.js
+ * @param {Function} options.getCollection - Resolves a MongoDB collection by name
+ * @returns {express.Router}
+ */
+function createUserRouter({ config, getCollection }) {
+    const router = express.Router();
+
+    router.post('/is-available', validateRequest({ body: validation.isAvailableSchema }), asyncHandler(async (req, res) => {
         const {username, email} = req.body;
         let usernameAvailable = false, emailAvailable = false;
 
-        const collection = await mongodb.getCollection(process.env.MONGO_NODEBB_COLLECTION);
+        const collection = await getCollection(config.mongo.usersCollection);
 
         const existingUsername = await collection.findOne({ username: username });
         if (existingUsername === null || existingUsername === undefined) { usernameAvailable = true; }
-        console.log(`Found username: ${existingUsername}`);
 
         const existingEmail = await collection.findOne({ email: email });
         if (existingEmail === null || existingEmail === undefined) { emailAvailable = true; }
-        console.log(`Found email: ${existingEmail}`);
+
+        log.debug('account availability checked', { usernameAvailable, emailAvailable });
 
         if (!usernameAvailable || !emailAvailable) {
-            return res.status(400).json({});
+            const errors = {};
+            if (!usernameAvailable) errors.username = 'Username is taken';
+            if (!emailAvailable) errors.email = 'Email is already registered';
+            throw new ValidationError(errors, 'Username or email is unavailable.');
         }
 
-        return res.status(200).json({});
-    } catch (error) {
-        return res.status(500).json({});
-    }
-}));
-
-router.get("/", validateSession, (async (req, res) => {
-    try {
-        const response = await nodeBB.api.get(`/api/user/username/${req.session.user.username}`,
-            {
-                headers: {
-                    'Cookie': req.session.cookie,
-                    'x-csrf-token': req.session.csrfToken,
+        return res.status(200).json({ success: true });
+    }));
+
+    router.get("/", validateSession, asyncHandler(async (req, res) => {
+        let response;
+        try {
+            response = await nodeBB.api.get(`/api/user/username/${req.currentUser.username}`,
+                {
+                    headers: {
+                        'Cookie': req.session.cookie,
+                        'x-csrf-token': req.session.csrfToken,
+                    }
                 }
+            );
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                throw new NotFoundError("User not found");
             }
-        );
+            throw new UpstreamError('NodeBB', "Error fetching user data.", { cause: error });
+        }
 
         if (!response.data) {
-            return res.status(404).json({ error: "User not found" });
+            throw new NotFoundError("User not found");
         }
 
         res.status(200).json(response.data);
-    } catch (error) {
-        if (error.response) {
-            console.error("NodeBB API error:", error.response.status, error.response.data);
+    }));
 
-            if (error.response.status === 404) {
-                return res.status(404).json({ error: "User not found" });
-            }
-        }
-        else {
-            console.error("Error fetching user data:", error);
-        }
-
-        return res.status(500).json({ error: "Internal Server Error" });
-    }
-}));
-
-router.post("/login", (async (req, res) => {
-    // Validate request
-    const { isValid, errors } = validation.validateLogin(req.body);
-    if (!isValid) {
-        return res.status(400).json({
-            success: false,
-            errors: errors
+    router.get("/csrf-token", validateSession, (req, res) => {
+        res.status(200).json({
+            success: true,
+            csrfToken: req.session.csrfToken
         });
-    }
+    });
 
-    try {
+    router.post("/login", allowRawFields('password'), validateRequest({ body: validation.loginSchema }), asyncHandler(async (req, res) => {
         // Directly authenticate with NodeBB
         const { username, password } = req.body;
-        const nodeBBSession = await nodeBB.initializeNodeBBSession(username, password);
+        let nodeBBSession;
+        try {
+            nodeBBSession = await nodeBB.initializeNodeBBSession(username, password);
+        } catch (error) {
+            // NodeBB answers bad credentials with a 4xx; anything else is NodeBB being unwell
+            if (error.response && error.response.status < 500) {
+                throw new AuthenticationError("Invalid username or password", 'INVALID_CREDENTIALS');
+            }
+            throw new UpstreamError('NodeBB', "Could not reach the forum to log in.", { cause: error });
+        }
 
         if (!nodeBBSession.success) {
-            return res.status(401).json({
-                success: false,
-                message: "Invalid username or password"
-            });
+            throw new AuthenticationError("Invalid username or password", 'INVALID_CREDENTIALS');
         }
 
         // Set the NodeBB session cookie in the response
@@ -118,9 +120,9 @@ router.post("/login", (async (req, res) => {
                 validEmail: user.validEmail,
             }
         });
-    } catch (error) {
-        console.error("Authentication error:", error);
-    }
-}));
+    }));
+
+    return router;
+}
 
-module.exports = router;
\ No newline at end of file
+module.exports = createUserRouter;
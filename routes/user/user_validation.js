@@ -1,39 +1,107 @@
-const validateLogin = (body) => {
-    const errors = {};
+const { validateSchema } = require('../../middleware/validateRequest');
 
-    if (!body.username || typeof body.username !== 'string' || body.username.trim() === '') {
-        errors.username = 'Username is required';
-    }
+const loginSchema = {
+    username: { type: 'string', required: true, maxLength: 255, message: 'Username is required' },
+    // Passwords reach NodeBB untouched
+    password: { type: 'string', required: true, trim: false, message: 'Password is required' }
+};
 
-    if (!body.password || typeof body.password !== 'string') {
-        errors.password = 'Password is required';
-    }
+const isAvailableSchema = {
+    username: { type: 'string', required: true, maxLength: 255, message: 'Username is required' },
+    email: { type: 'string', required: true, maxLength: 255, message: 'Email is required' }
+};
 
-    return getValidationResult(errors);
+/**
+ * Profile fields a member may write on their own NodeBB `user:<uid>` object.
+ * Anything not listed here is rejected, including NodeBB's own fields.
+ */
+const PROFILE_FIELDS = {
+    fullname: { type: 'string', maxLength: 255 },
+    location: { type: 'string', maxLength: 255 },
+    website: { type: 'string', maxLength: 2048 },
+    aboutme: { type: 'string', maxLength: 5000 },
+    county: { type: 'string', maxLength: 255 },
+    city: { type: 'string', maxLength: 255 },
+    tags: { type: 'array', items: { type: 'string', maxLength: 255 } },
+    organizations: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                _id: { type: 'objectId' },
+                name: { type: 'string', maxLength: 255 }
+            }
+        }
+    },
+    communitiesofpractice: { type: 'array', items: { type: 'string', maxLength: 255 } },
+    hopetogain: { type: 'array', items: { type: 'string', maxLength: 255 } },
+    othergains: { type: 'string', maxLength: 5000 },
+    additionalcomments: { type: 'string', maxLength: 5000 },
+    showlocation: { type: 'boolean' },
+    appearonmap: { type: 'boolean' },
+    appearoncontactlist: { type: 'boolean' }
 };
 
-const validateIsAvailable = (body) => {
-    const errors = {};
+/**
+ * Membership forms may also pick work groups; they only take effect once an
+ * admin accepts the membership, and only for the groups listed in
+ * MEMBERSHIP_WORK_GROUPS.
+ */
+const MEMBERSHIP_FIELDS = {
+    ...PROFILE_FIELDS,
+    groups: { type: 'array', items: { type: 'string', maxLength: 255 } }
+};
 
-    if (!body.username || typeof body.username !== 'string' || body.username.trim() === '') {
-        errors.username = 'Username is required';
-    }
+/**
+ * Fields owned by NodeBB or by the membership workflow. Listed separately so
+ * the error tells the client why the key was refused.
+ */
+const PRIVILEGED_FIELDS = new Set([
+    '_id', '_key', 'uid', 'username', 'userslug', 'email', 'email:confirmed',
+    'password', 'passwordExpiry', 'groupTitle', 'memberstatus', 'membershipdate',
+    'renewdate', 'renewrequested', 'recentlyverified', 'reputation', 'postcount', 'topiccount',
+    'banned', 'banned:expire', 'joindate', 'lastonline', 'status', 'checklistSteps'
+]);
 
-    if (!body.email || typeof body.email !== 'string' || body.email.trim() === '') {
-        errors.email = 'Email is required';
+const profileUpdateSchema = {
+    type: 'object',
+    required: true,
+    fields: PROFILE_FIELDS,
+    unknown: 'reject',
+    forbidden: PRIVILEGED_FIELDS,
+    minKeys: 1,
+    message: 'No profile fields to update'
+};
+
+const membershipFormSchema = {
+    user: {
+        type: 'object',
+        required: true,
+        fields: MEMBERSHIP_FIELDS,
+        unknown: 'reject',
+        forbidden: PRIVILEGED_FIELDS,
+        message: 'User data is required'
     }
+};
 
-    return getValidationResult(errors);
-}
+const validateLogin = (body) => validateSchema(body, loginSchema);
 
-const getValidationResult = (errors) => {
-    return {
-        isValid: Object.keys(errors).length === 0,
-        errors
-    };
+const validateIsAvailable = (body) => validateSchema(body, isAvailableSchema);
+
+const validateProfileUpdate = (body) => validateSchema(body, profileUpdateSchema);
+
+const validateMembershipForm = (body) => {
+    const result = validateSchema(body, membershipFormSchema);
+    return { ...result, value: result.value?.user || {} };
 };
 
 module.exports = {
+    loginSchema,
+    isAvailableSchema,
+    profileUpdateSchema,
+    membershipFormSchema,
     validateLogin,
-    validateIsAvailable
-};
\ No newline at end of file
+    validateIsAvailable,
+    validateProfileUpdate,
+    validateMembershipForm
+};
@@ -1,15 +1,48 @@
 require("axios");
 
+// Load and validate configuration before anything else reads it
+const { logger, configureLogger } = require('./lib/logger');
+const { getConfig, summarizeConfig } = require('./lib/config');
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  logger.error('Invalid configuration, not starting server', { errors: error.errors || [error.message] });
+  process.exit(1);
+}
+configureLogger({ level: config.logging.level });
+logger.info('Configuration loaded', { config: summarizeConfig(config) });
+
 const express = require("express");
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
 app.set('trust proxy', 1);
-app.use(express.json());
+
+// Tag every request so errors and logs can be correlated
+const requestId = require('./middleware/requestId');
+app.use(requestId);
+
+// Drains requests and closes connections on SIGTERM/SIGINT
+const { createLifecycle } = require('./lib/lifecycle');
+const lifecycle = createLifecycle({ drainTimeoutMs: config.shutdown.drainTimeoutMs });
+app.use(lifecycle.middleware);
+
+// Keep the raw body for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Strip HTML from every JSON body; routes opt specific fields out with allowRawFields.
+// The NodeBB proxy forwards bodies untouched, NodeBB sanitizes them itself.
+const { sanitizeRequestBodyExcept } = require('./middleware/sanitizeRequests');
+app.use(sanitizeRequestBodyExcept('/forward/nodebb'));
 
 const cors = require("cors");
 app.use(
     cors({
-      origin: process.env.PROTOCOL + process.env.DOMAIN || 'http://localhost',
+      origin: config.corsOrigins,
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
     })
@@ -20,23 +53,36 @@ const MongoStore = require("connect-mongo");
 
 const mongoClient = require('./third_party/mongodb');
 const { nodeBB } = require('./third_party/nodebb');
+mongoClient.init(config.mongo);
+nodeBB.configure(config.nodebb);
+const configureLimiters = require('./middleware/rateLimits');
+const { requireCsrfToken } = require('./middleware/validateSession');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { createHealthMonitor } = require('./lib/health');
+const setupHealthRoutes = require('./routes/health_routes');
+const { setupContentRoutes } = require('./routes/content_routes');
+const setupCalendarRoutes = require('./routes/calendar_routes');
+const setupResourceRoutes = require('./routes/resources_routes');
+const setupLinkRoutes = require('./routes/links_routes');
+const setupAppendRoutes = require('./routes/append_routes');
+const setupMembershipRoutes = require('./routes/membership_routes');
+const { createGoogleSheetsBackend } = require('./third_party/googleSheets');
+const { createFixtureSheetsBackend, loadSheetFixtures } = require('./third_party/fixtureSheets');
+const { createSheetsContentService } = require('./services/sheetsContent');
+const { createResourceSubmissionService } = require('./services/resourceSubmissions');
+const { createAppendService } = require('./services/sheetAppends');
+const { createGroupSync } = require('./services/memberGroups');
+const { createMembershipService } = require('./services/membership');
+const { createRenewalReminderService } = require('./services/membershipReminders');
+const { createMembershipExpiryService } = require('./services/membershipExpiry');
+const { toSheetRow } = require('./services/resources');
+const { createCache, createMongoStore } = require('./lib/cache');
+const { createScheduler } = require('./lib/scheduler');
+const { createLinkChecker, createLinkReportService } = require('./services/linkHealth');
 
 // Google
 const { google } = require("googleapis");
-const SPREADSHEET_ID = process.env.GOOGLE_SPREADSHEET_ID;
-const RANGE = "Address Delimiter";
-const credentials = {
-  type: process.env.GOOGLE_SERVICE_ACCOUNT_TYPE,
-  project_id: process.env.GOOGLE_SERVICE_ACCOUNT_PROJECT_ID,
-  private_key_id: process.env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY_ID,
-  private_key: process.env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY, // remove all '\n' from key file when setting up env
-  client_email: process.env.GOOGLE_SERVICE_ACCOUNT_CLIENT_EMAIL,
-  client_id: process.env.GOOGLE_SERVICE_ACCOUNT_CLIENT_ID,
-  auth_uri: process.env.GOOGLE_SERVICE_ACCOUNT_AUTH_URI,
-  token_uri: process.env.GOOGLE_SERVICE_ACCOUNT_TOKEN_URI,
-  auth_provider_x509_cert_url: process.env.GOOGLE_SERVICE_ACCOUNT_AUTH_PROVIDER_CERT_URL,
-  client_x509_cert_url: process.env.GOOGLE_SERVICE_ACCOUNT_CLIENT_CERT_URL
-};
+const credentials = config.google.serviceAccount;
 const jwtClient = new google.auth.JWT(
     credentials.client_email,
     null,
@@ -45,29 +91,42 @@ const jwtClient = new google.auth.JWT(
     null
 );
 
+// Google Sheets, or fixture files for local development and CI
+const sheets = config.sheets.backend === 'fixtures'
+    ? createFixtureSheetsBackend({ spreadsheets: loadSheetFixtures(config.sheets.fixturesPath) })
+    : createGoogleSheetsBackend({ apiKey: config.google.sheetsApiKey, jwtClient });
+
 const nodemailer = require("nodemailer");
 
-require("dotenv").config();
 require("dayjs");
 const setupLegacyRoutes = require("./routes/legacy_routes");
+const { runStartupChecks } = require("./lib/startupChecks");
 
 async function startServer() {
   try {
+    // Refuse to accept traffic if middleware or configuration is broken
+    const startupChecksPassed = await runStartupChecks();
+    if (!startupChecksPassed) {
+      logger.error('Startup checks failed, not starting server');
+      process.exit(1);
+    }
+
     // Connect to MongoDB once
     await mongoClient.connect();
-    console.log('MongoDB connected successfully');
+    logger.info('MongoDB connected successfully');
+    lifecycle.register('mongodb', () => mongoClient.disconnect());
 
     // Configure session store with the connected client
     const sessionStore = MongoStore.create({
-      client: mongoClient.client,
-      dbName: process.env.MONGO_NODEBB_DATABASE || 'nodebb',
+      client: mongoClient.getClient(),
+      dbName: config.mongo.database,
       collectionName: "sessions",
       stringify: false,
       autoRemove: 'native', // Use MongoDB's TTL index
       ttl: 24 * 60 * 60, // 1 day in seconds
       touchAfter: 10 * 60, // Only update session if 10 minutes passed
       crypto: {
-        secret: process.env.SESSION_COOKIE_SECRET // Encrypt session data
+        secret: config.session.secret // Encrypt session data
       }
     });
 
@@ -75,7 +134,7 @@ async function startServer() {
     app.use(
         session({
           store: sessionStore,
-          secret: process.env.SESSION_COOKIE_SECRET,
+          secret: config.session.secret,
           key: 'server.sid', // Match NodeBB's cookie name
           resave: false,
           saveUninitialized: false, // Prevent Express from creating empty session
@@ -85,34 +144,173 @@ async function startServer() {
 
     // Setup email transporter
     app.locals.transporter = nodemailer.createTransport({
-      host: process.env.BREVO_SMTP_SERVER,
-      port: process.env.BREVO_PORT,
+      host: config.smtp.host,
+      port: config.smtp.port,
       secure: false,
       auth: {
-        user: process.env.BREVO_SMTP_LOGIN,
-        pass: process.env.BREVO_SMTP_PASSWORD,
+        user: config.smtp.user,
+        pass: config.smtp.password,
+      },
+    });
+    lifecycle.register('smtp', () => app.locals.transporter.close());
+
+    // Probes and the admin status page, ahead of rate limiting
+    const healthMonitor = createHealthMonitor([
+      {
+        name: 'mongodb',
+        check: async () => {
+          if (!(await mongoClient.ping())) {
+            throw new Error('MongoDB ping failed');
+          }
+        }
       },
+      { name: 'nodebb', check: () => nodeBB.api.get('/api/config', { timeout: 3000 }) },
+      { name: 'smtp', critical: false, check: () => app.locals.transporter.verify() },
+      { name: 'google-sheets', critical: false, check: () => sheets.check() }
+    ]);
+    setupHealthRoutes(app, { healthMonitor, lifecycle });
+
+    // Rate limiting, counters shared through MongoDB
+    const limiters = configureLimiters({
+      isProduction: config.isProduction,
+      getCollection: mongoClient.getCollection,
+      collectionName: config.mongo.rateLimitCollection
     });
+    app.use('/user/login', limiters.loginLimiter);
+    app.use('/user/is-available', limiters.accountCheckLimiter);
+    app.use('/send-contact-email', limiters.contactLimiter);
+    app.use('/new-member-request', limiters.signupLimiter);
+    app.use(limiters.apiLimiter);
+
+    app.use(`/forward/nodebb`, requireCsrfToken, nodeBB.createProxyRouter()); // NodeBB proxy routes
+    const createUserRouter = require('./routes/user/user_routes.js');
+    app.use('/user/', createUserRouter({ config, getCollection: mongoClient.getCollection }));
 
-    app.use(`/forward/nodebb`, nodeBB.createProxyRouter()); // NodeBB proxy routes
-    const user_routes = require('./routes/user/user_routes.js');
-    app.use('/user/', user_routes);
+    // Sheet-backed pages, served by name from the content registry
+    const contentService = createSheetsContentService({
+      fetchValues: sheets.readTab,
+      registry: config.content.registry,
+      getCollection: mongoClient.getCollection,
+      registryCollection: config.content.registryCollection,
+      // Persisting the cache keeps a last good copy across restarts
+      cache: createCache({
+        store: config.content.cacheCollection
+          ? createMongoStore(mongoClient.getCollection, config.content.cacheCollection)
+          : null
+      }),
+      defaultTtlSeconds: config.content.cacheTtlSeconds
+    });
+    await contentService.loadRegistry();
+    setupContentRoutes(app, { contentService, webhookSecret: config.content.webhookSecret });
+    setupCalendarRoutes(app, { contentService });
+
+    // Typed rows for the spreadsheet targets declared in config
+    const appends = createAppendService({
+      sheets,
+      targets: config.append.targets,
+      defaultSpreadsheetId: config.google.spreadsheetId,
+      getCollection: mongoClient.getCollection,
+      auditCollection: config.append.auditCollection
+    });
+    setupAppendRoutes(app, { appends, legacyTarget: config.append.legacyTarget });
+
+    // Suggested resources wait for an admin before reaching /resources
+    const resourceSubmissions = createResourceSubmissionService({
+      getCollection: mongoClient.getCollection,
+      collectionName: config.resources.submissionCollection,
+      publishTo: config.resources.publishTo,
+      publishToSheet: async (submission) => {
+        const { spreadsheetId, tab } = contentService.getEntry('resources');
+        const headers = await sheets.readHeaders(spreadsheetId, tab);
+        await sheets.appendRows(spreadsheetId, tab, [toSheetRow(headers, submission)]);
+        await contentService.refresh({ names: ['resources'] });
+      },
+      sendMail: (message) => app.locals.transporter.sendMail(message)
+    });
+    setupResourceRoutes(app, { contentService, resourceSubmissions });
+
+    // Background jobs; stopped before MongoDB closes on shutdown. With several
+    // replicas, set SCHEDULER_ENABLED=false on all but one
+    const scheduler = createScheduler({ enabled: config.scheduler.enabled });
+    lifecycle.register('scheduler', () => scheduler.stop());
+
+    // Broken resource links, checked on a schedule and on demand
+    const linkChecker = createLinkChecker({
+      timeoutMs: config.links.timeoutMs,
+      concurrency: config.links.concurrency
+    });
+    const linkReports = createLinkReportService({
+      checker: linkChecker,
+      contentService,
+      resourceSubmissions,
+      getCollection: mongoClient.getCollection,
+      collectionName: config.links.reportCollection
+    });
+    setupLinkRoutes(app, { checker: linkChecker, linkReports });
+    if (config.links.reportIntervalMinutes > 0) {
+      scheduler.every('link-report', { intervalMs: config.links.reportIntervalMinutes * 60 * 1000 }, linkReports.run);
+    }
+
+    // Membership lifecycle: every status change is checked, synced to NodeBB and recorded
+    const membership = createMembershipService({
+      getCollection: mongoClient.getCollection,
+      historyCollection: config.membership.historyCollection,
+      workGroups: config.membership.workGroups,
+      groups: createGroupSync({
+        api: nodeBB.api,
+        bearerToken: config.nodebb.bearerToken,
+        getCollection: mongoClient.getCollection
+      }),
+      sendMail: (message) => app.locals.transporter.sendMail(message)
+    });
+
+    // Renewal reminders ahead of renewdate, with a digest for admins
+    const renewalReminders = createRenewalReminderService({
+      membership,
+      getCollection: mongoClient.getCollection,
+      collectionName: config.membership.reminderCollection,
+      sendMail: (message) => app.locals.transporter.sendMail(message),
+      renewUrl: config.membership.renewUrl,
+      adminEmail: config.membership.adminEmail
+    });
+    if (config.membership.reminderIntervalMinutes > 0) {
+      scheduler.every('renewal-reminders', { intervalMs: config.membership.reminderIntervalMinutes * 60 * 1000 }, renewalReminders.run);
+    }
+
+    // Lapsed memberships leave their groups and organizations, keeping the profile for renewal
+    const membershipExpiry = createMembershipExpiryService({
+      membership,
+      getCollection: mongoClient.getCollection,
+      collectionName: config.membership.reportCollection,
+      sendMail: (message) => app.locals.transporter.sendMail(message),
+      adminEmail: config.membership.adminEmail
+    });
+    if (config.membership.expiryIntervalMinutes > 0) {
+      scheduler.every('membership-expiry', { intervalMs: config.membership.expiryIntervalMinutes * 60 * 1000 }, membershipExpiry.run);
+    }
+    setupMembershipRoutes(app, { membership, reminders: renewalReminders, expiry: membershipExpiry });
 
     // Register legacy routes with necessary context
     setupLegacyRoutes(app, {
-      jwtClient,
-      spreadsheetId: SPREADSHEET_ID,
-      range: RANGE,
-      mongoClient: mongoClient
+      config,
+      getCollection: mongoClient.getCollection,
+      contentService,
+      resourceSubmissions
     });
 
+    // Unmatched routes and every error end up in the same JSON envelope
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
     // Start the server
-    app.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`);
+    const server = app.listen(PORT, () => {
+      logger.info(`Server running on port ${PORT}`, { port: PORT });
     });
+    lifecycle.setServer(server);
+    lifecycle.handleSignals();
 
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { err: error });
     process.exit(1);
   }
 }
@@ -0,0 +1,293 @@
+// services/calendar.js
+// Network events from the "Events" sheet: parsing of the free-form date and
+// time cells, filtering, and the iCalendar feed behind /calendar.ics.
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const customParseFormat = require('dayjs/plugin/customParseFormat');
+const { TIME_ZONE } = require('../lib/time');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+dayjs.extend(customParseFormat);
+
+const DATE_FORMATS = ['M/D/YYYY', 'M/D/YY', 'YYYY-MM-DD', 'MMMM D, YYYY', 'MMM D, YYYY'];
+const TIME_FORMATS = ['h:mm A', 'h:mm:ss A', 'h:mmA', 'h A', 'hA', 'H:mm', 'H:mm:ss'];
+const DATE_TIME_FORMATS = DATE_FORMATS.flatMap(date => TIME_FORMATS.map(time => `${date} ${time}`));
+
+// Timed events without an end are shown as an hour long
+const DEFAULT_DURATION_MINUTES = 60;
+
+/**
+ * Sheet headers accepted for each event field, compared case-insensitively
+ */
+const COLUMNS = {
+    id: ['id', 'event id'],
+    title: ['title', 'event', 'event name', 'name'],
+    startDate: ['date', 'start date', 'start'],
+    startTime: ['start time', 'time'],
+    endDate: ['end date', 'end'],
+    endTime: ['end time'],
+    category: ['category', 'categories', 'type'],
+    location: ['location', 'where', 'address'],
+    description: ['description', 'details'],
+    url: ['link', 'url', 'registration link', 'registration']
+};
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid - Stable across refreshes, for calendar apps
+ * @property {string} title
+ * @property {Object} start - dayjs in America/Phoenix
+ * @property {Object} end - dayjs in America/Phoenix; exclusive for all-day events
+ * @property {boolean} allDay
+ * @property {string[]} categories
+ * @property {string} [location]
+ * @property {string} [description]
+ * @property {string} [url]
+ * @property {Object} fields - The sheet row as read
+ */
+
+/**
+ * Read a cell by any of the field's accepted headers
+ */
+const readField = (record, field) => {
+    for (const [key, value] of Object.entries(record)) {
+        if (COLUMNS[field].includes(key.trim().toLowerCase()) && typeof value === 'string' && value.trim() !== '') {
+            return value.trim();
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Parse a date cell, optionally combined with a time cell, as Phoenix wall time
+ * The date cell may carry the time itself ("3/5/2025 2:30 PM").
+ * @returns {{ value: Object, hasTime: boolean } | null}
+ */
+const parseDateTime = (dateText, timeText) => {
+    if (!dateText) {
+        return null;
+    }
+
+    let wallClock;
+    let hasTime = false;
+    if (timeText) {
+        wallClock = dayjs.utc(`${dateText} ${timeText.toUpperCase()}`, DATE_TIME_FORMATS, true);
+        hasTime = wallClock.isValid();
+    }
+    if (!hasTime) {
+        wallClock = dayjs.utc(dateText.toUpperCase(), DATE_TIME_FORMATS, true);
+        hasTime = wallClock.isValid();
+    }
+    if (!hasTime) {
+        wallClock = dayjs.utc(dateText, DATE_FORMATS, true);
+    }
+    if (!wallClock.isValid()) {
+        return null;
+    }
+
+    return { value: dayjs.tz(wallClock.format('YYYY-MM-DDTHH:mm:ss'), TIME_ZONE), hasTime };
+};
+
+const hashUid = (text) => crypto.createHash('sha1').update(text).digest('hex').slice(0, 20);
+
+/**
+ * Turn sheet records into events, sorted by start
+ * Rows without a title or a parseable date are skipped.
+ * @param {Object[]} records - Rows keyed by header, as the `records` transform returns them
+ * @returns {CalendarEvent[]}
+ */
+function parseEvents(records) {
+    const events = [];
+    const seenUids = new Map();
+
+    for (const record of records) {
+        const title = readField(record, 'title');
+        const start = parseDateTime(readField(record, 'startDate'), readField(record, 'startTime'));
+        if (!title || !start) {
+            continue;
+        }
+
+        const allDay = !start.hasTime;
+        const endDate = readField(record, 'endDate') || (readField(record, 'endTime') && readField(record, 'startDate'));
+        const parsedEnd = parseDateTime(endDate, readField(record, 'endTime'));
+
+        let end;
+        if (allDay) {
+            // DTEND of an all-day event is the day after the last one
+            end = (parsedEnd ? parsedEnd.value : start.value).startOf('day').add(1, 'day');
+        } else {
+            end = parsedEnd && parsedEnd.hasTime && parsedEnd.value.isAfter(start.value)
+                ? parsedEnd.value
+                : start.value.add(DEFAULT_DURATION_MINUTES, 'minute');
+        }
+
+        // An ID column wins; otherwise title and day, which survive row reordering
+        const id = readField(record, 'id');
+        let uid = hashUid(id ? `id:${id}` : `${title.toLowerCase()}|${start.value.format('YYYY-MM-DD')}`);
+        const seen = seenUids.get(uid) || 0;
+        seenUids.set(uid, seen + 1);
+        if (seen > 0) {
+            uid = `${uid}-${seen + 1}`;
+        }
+
+        const category = readField(record, 'category');
+        events.push({
+            uid: `${uid}@azf2s-events`,
+            title,
+            start: start.value,
+            end,
+            allDay,
+            categories: category ? category.split(',').map(name => name.trim()).filter(Boolean) : [],
+            location: readField(record, 'location'),
+            description: readField(record, 'description'),
+            url: readField(record, 'url'),
+            fields: record
+        });
+    }
+
+    return events.sort((a, b) => a.start.valueOf() - b.start.valueOf());
+}
+
+/**
+ * Keep the events matching every given filter
+ * @param {CalendarEvent[]} events
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - Date; events ending on or after this day
+ * @param {string} [filters.to] - Date; events starting on or before this day
+ * @param {string} [filters.category] - Case-insensitive category name
+ * @param {boolean} [filters.upcoming] - Only events that haven't ended
+ * @param {Function} [filters.now] - Clock, for tests
+ * @returns {CalendarEvent[]}
+ */
+function filterEvents(events, { from, to, category, upcoming = false, now = Date.now } = {}) {
+    const fromTime = from ? dayjs.tz(dayjs(from).format('YYYY-MM-DD'), TIME_ZONE).startOf('day') : null;
+    const toTime = to ? dayjs.tz(dayjs(to).format('YYYY-MM-DD'), TIME_ZONE).endOf('day') : null;
+    const wantedCategory = category && category.trim().toLowerCase();
+
+    return events.filter(event =>
+        (!fromTime || event.end.isAfter(fromTime)) &&
+        (!toTime || !event.start.isAfter(toTime)) &&
+        (!upcoming || event.end.valueOf() > now()) &&
+        (!wantedCategory || event.categories.some(name => name.toLowerCase() === wantedCategory))
+    );
+}
+
+/**
+ * JSON shape served by /calendar
+ * @param {CalendarEvent} event
+ */
+function toJson(event) {
+    return {
+        uid: event.uid,
+        title: event.title,
+        start: event.allDay ? event.start.format('YYYY-MM-DD') : event.start.format(),
+        end: event.allDay ? event.end.format('YYYY-MM-DD') : event.end.format(),
+        allDay: event.allDay,
+        categories: event.categories,
+        location: event.location || null,
+        description: event.description || null,
+        url: event.url || null,
+        fields: event.fields
+    };
+}
+
+/**
+ * Escape TEXT values (RFC 5545 3.3.11)
+ */
+const escapeText = (text) => text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 3.1)
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const character of line) {
+        const bytes = Buffer.byteLength(character);
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += character;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIME_ZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:-0700',
+    'TZOFFSETTO:-0700',
+    'TZNAME:MST',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+/**
+ * Render events as an iCalendar feed
+ * @param {CalendarEvent[]} events
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by subscribing apps
+ * @param {number} options.updatedAt - DTSTAMP for every event; the sheet's fetch time keeps the feed stable between refreshes
+ * @returns {string}
+ */
+function toICalendar(events, { name, updatedAt }) {
+    const stamp = dayjs(updatedAt).utc().format('YYYYMMDD[T]HHmmss[Z]');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//AZF2S//Network Events//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${TIME_ZONE}`,
+        ...VTIMEZONE
+    ];
+
+    for (const event of events) {
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+        if (event.allDay) {
+            lines.push(
+                `DTSTART;VALUE=DATE:${event.start.format('YYYYMMDD')}`,
+                `DTEND;VALUE=DATE:${event.end.format('YYYYMMDD')}`
+            );
+        } else {
+            lines.push(
+                `DTSTART;TZID=${TIME_ZONE}:${event.start.format('YYYYMMDD[T]HHmmss')}`,
+                `DTEND;TZID=${TIME_ZONE}:${event.end.format('YYYYMMDD[T]HHmmss')}`
+            );
+        }
+        lines.push(`SUMMARY:${escapeText(event.title)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        if (event.categories.length > 0) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+        if (event.url) lines.push(`URL:${event.url.replace(/[\r\n]/g, '')}`);
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    TIME_ZONE,
+    parseEvents,
+    filterEvents,
+    toJson,
+    toICalendar
+};
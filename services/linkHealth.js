@@ -0,0 +1,308 @@
+// services/linkHealth.js
+// Checks whether resource links still work, without letting the server be
+// pointed at itself or the internal network: private, loopback and
+// link-local addresses are refused at DNS resolution time (so a redirect or
+// a rebinding DNS record can't get around it), every hop of a redirect is
+// checked again, and both concurrency and time per request are capped.
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createLogger } = require('../lib/logger');
+const { parseResources, mergeResources } = require('./resources');
+
+const log = createLogger({ module: 'link-health' });
+
+const USER_AGENT = 'AZ-Farm-To-School-Network/1.0.0 (link checker)';
+const MAX_REDIRECTS = 5;
+// Servers that refuse HEAD tend to answer with one of these
+const HEAD_REFUSED = [403, 405, 501];
+
+const BLOCKED_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+// Besides loopback, unique-local, link-local and multicast: the transition
+// ranges that carry an IPv4 address (IPv4-compatible, NAT64, Teredo and 6to4),
+// which could otherwise reach loopback or a private IPv4 network
+for (const [network, prefix] of [
+    ['::', 96], ['::1', 128], ['64:ff9b::', 96], ['2001::', 32], ['2002::', 16],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is private, loopback, link-local, multicast or reserved
+ * IPv4-mapped IPv6 addresses are judged by their IPv4 address.
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const blockedError = (host) => {
+    const error = new Error(`${host} resolves to a private address`);
+    error.code = 'BLOCKED_ADDRESS';
+    return error;
+};
+
+/**
+ * dns.lookup that fails when any address of the host is blocked
+ */
+const guardedLookup = (blockAddress) => (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(({ address }) => blockAddress(address))) {
+            return callback(blockedError(hostname));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight, keeping the order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * @typedef {Object} LinkResult
+ * @property {string} url - As given
+ * @property {boolean} ok - The final response was 2xx or 3xx
+ * @property {number|null} status - Final HTTP status, null when none was received
+ * @property {string|null} finalUrl - After redirects
+ * @property {string|null} method - HEAD, or GET when HEAD was refused
+ * @property {number} redirects
+ * @property {string|null} error - blocked, timeout, invalid-url, too-many-redirects or a network error code
+ */
+
+/**
+ * Create a link checker
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=5000] - Per request, redirects and the GET fallback included separately
+ * @param {number} [options.concurrency=4] - Requests in flight for checkLinks()
+ * @param {Function} [options.blockAddress] - (ip) => true to refuse it; isPrivateAddress by default
+ */
+function createLinkChecker({ timeoutMs = 5000, concurrency = 4, blockAddress = isPrivateAddress } = {}) {
+    const lookup = guardedLookup(blockAddress);
+
+    /**
+     * One request, resolving as soon as the status line and headers arrive
+     */
+    const request = (url, method) => new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.request(url, {
+            method,
+            lookup,
+            agent: false,
+            headers: { 'User-Agent': USER_AGENT, Accept: '*/*' }
+        }, (res) => {
+            clearTimeout(timer);
+            // Only the status matters; never download the body
+            res.destroy();
+            resolve({ status: res.statusCode, location: res.headers.location });
+        });
+        const timer = setTimeout(() => {
+            const error = new Error(`No response within ${timeoutMs}ms`);
+            error.code = 'ETIMEDOUT';
+            req.destroy(error);
+        }, timeoutMs);
+        req.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        req.end();
+    });
+
+    /**
+     * Parse and vet a URL before any connection is made
+     * @returns {URL|string} The URL, or the reason it is refused
+     */
+    const vet = (href, base) => {
+        let url;
+        try {
+            url = new URL(href, base);
+        } catch (error) {
+            return 'invalid-url';
+        }
+        if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) {
+            return 'invalid-url';
+        }
+        // IP literals never go through DNS, so check them here
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && blockAddress(host)) {
+            return 'blocked';
+        }
+        return url;
+    };
+
+    /**
+     * Follow redirects with one method
+     */
+    const follow = async (start, method) => {
+        let url = start;
+        for (let redirects = 0; ; redirects++) {
+            const { status, location } = await request(url, method);
+            if (status < 300 || status >= 400 || !location) {
+                return { status, finalUrl: url.href, redirects };
+            }
+            if (redirects === MAX_REDIRECTS) {
+                return { status, finalUrl: url.href, redirects, error: 'too-many-redirects' };
+            }
+            const next = vet(location, url);
+            if (typeof next === 'string') {
+                return { status, finalUrl: url.href, redirects: redirects + 1, error: next };
+            }
+            url = next;
+        }
+    };
+
+    /**
+     * Check one link
+     * @param {string} href
+     * @returns {Promise<LinkResult>} Never rejects
+     */
+    const checkLink = async (href) => {
+        const result = { url: href, ok: false, status: null, finalUrl: null, method: null, redirects: 0, error: null };
+        const url = vet(href);
+        if (typeof url === 'string') {
+            return { ...result, error: url };
+        }
+
+        try {
+            let method = 'HEAD';
+            let outcome = await follow(url, method);
+            if (!outcome.error && HEAD_REFUSED.includes(outcome.status)) {
+                method = 'GET';
+                outcome = await follow(url, method);
+            }
+            return {
+                ...result,
+                ok: !outcome.error && outcome.status < 400,
+                status: outcome.error ? null : outcome.status,
+                finalUrl: outcome.finalUrl,
+                method,
+                redirects: outcome.redirects,
+                error: outcome.error || null
+            };
+        } catch (error) {
+            if (error.code === 'BLOCKED_ADDRESS') {
+                return { ...result, error: 'blocked' };
+            }
+            return { ...result, error: error.code === 'ETIMEDOUT' ? 'timeout' : (error.code || 'network-error') };
+        }
+    };
+
+    /**
+     * Check links, duplicates once, at most `concurrency` at a time
+     * @param {string[]} hrefs
+     * @returns {Promise<LinkResult[]>} In the order given
+     */
+    const checkLinks = async (hrefs) => {
+        const unique = [...new Set(hrefs)];
+        const results = await mapWithConcurrency(unique, concurrency, checkLink);
+        const byUrl = new Map(results.map(result => [result.url, result]));
+        return hrefs.map(href => byUrl.get(href));
+    };
+
+    return {
+        checkLink,
+        checkLinks
+    };
+}
+
+/**
+ * Stored broken-link reports for the resource library
+ * @param {Object} options
+ * @param {Object} options.checker - From createLinkChecker
+ * @param {Object} options.contentService - Service from services/sheetsContent.js
+ * @param {Object} [options.resourceSubmissions] - Approved submissions are checked too
+ * @param {Function} options.getCollection - Resolves a MongoDB collection by name
+ * @param {string} options.collectionName - Collection holding the latest report
+ * @param {Function} [options.now] - Clock, for tests
+ */
+function createLinkReportService({ checker, contentService, resourceSubmissions, getCollection, collectionName, now = () => new Date() }) {
+    const REPORT_ID = 'resources';
+
+    /**
+     * Check every resource link and store the report, replacing the previous one
+     * @returns {Promise<Object>} The report
+     */
+    const run = async () => {
+        const startedAt = now();
+        let resources = parseResources(await contentService.get('resources'));
+        if (resourceSubmissions) {
+            resources = mergeResources(resources, await resourceSubmissions.listPublished());
+        }
+
+        const linked = resources.filter(resource => resource.link);
+        const results = await checker.checkLinks(linked.map(resource => resource.link));
+        const broken = [];
+        linked.forEach((resource, index) => {
+            const result = results[index];
+            if (!result.ok) {
+                broken.push({
+                    resourceId: resource.id,
+                    title: resource.title,
+                    url: result.url,
+                    status: result.status,
+                    finalUrl: result.finalUrl,
+                    error: result.error
+                });
+            }
+        });
+
+        const report = {
+            startedAt,
+            finishedAt: now(),
+            resources: resources.length,
+            checked: linked.length,
+            missingLink: resources.length - linked.length,
+            brokenCount: broken.length,
+            broken
+        };
+        await (await getCollection(collectionName)).replaceOne({ _id: REPORT_ID }, report, { upsert: true });
+        log.info('link report stored', { checked: report.checked, broken: report.brokenCount });
+        return report;
+    };
+
+    /**
+     * The last stored report, or null before the first run
+     */
+    const latest = async () => {
+        const report = await (await getCollection(collectionName)).findOne({ _id: REPORT_ID });
+        if (!report) return null;
+        const { _id, ...rest } = report;
+        return rest;
+    };
+
+    return {
+        run,
+        latest
+    };
+}
+
+module.exports = {
+    isPrivateAddress,
+    createLinkChecker,
+    createLinkReportService
+};
@@ -0,0 +1,143 @@
+// services/memberGroups.js
+// Keeps a member's NodeBB group memberships, and the `groupTitle` badges
+// stored on their user object, in step with their membership.
+const { UpstreamError } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger({ module: 'member-groups' });
+
+// Every verified member belongs to this group
+const NETWORK_GROUP = 'Network Member';
+
+const groupSlug = (group) => group.toLowerCase().replace(/\s+/g, '-');
+
+/**
+ * Parse the JSON list NodeBB keeps in `groupTitle`
+ */
+const parseGroupTitle = (groupTitle) => {
+    try {
+        const groups = JSON.parse(groupTitle || '[]');
+        return Array.isArray(groups) ? groups.filter(Boolean) : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Create the group sync
+ * Calls made while serving a request reuse the caller's NodeBB session
+ * (`{cookie}`); background jobs have none and use the API bearer token.
+ * @param {Object} options
+ * @param {Object} options.api - NodeBB axios client (`nodeBB.api`)
+ * @param {string} [options.bearerToken] - NodeBB API token, for calls without a session
+ * @param {Function} options.getCollection - Resolves a MongoDB collection by name
+ * @param {string} [options.usersCollection='objects'] - NodeBB objects collection
+ */
+function createGroupSync({ api, bearerToken, getCollection, usersCollection = 'objects' }) {
+    /**
+     * Headers authenticating a group membership call
+     */
+    const authHeaders = async ({ cookie } = {}) => {
+        if (!cookie) {
+            if (!bearerToken) {
+                throw new UpstreamError('NodeBB', 'No NodeBB session or API token to update groups with.');
+            }
+            return { Authorization: `Bearer ${bearerToken}` };
+        }
+        let response;
+        try {
+            response = await api.get('/api/config', {
+                headers: { 'Content-Type': 'application/json', Cookie: cookie }
+            });
+        } catch (error) {
+            throw new UpstreamError('NodeBB', 'Could not start a NodeBB session.', { cause: error });
+        }
+        return { 'X-CSRF-Token': response.data.csrf_token, Cookie: cookie };
+    };
+
+    const updateGroupTitle = async (uid, update) => {
+        const users = await getCollection(usersCollection);
+        const user = await users.findOne({ _key: `user:${uid}` });
+        if (!user) {
+            return;
+        }
+        const groupTitle = JSON.stringify(update(parseGroupTitle(user.groupTitle)));
+        await users.updateOne({ _key: `user:${uid}` }, { $set: { groupTitle } });
+    };
+
+    /**
+     * Add a user to groups
+     * Badges are added for the groups NodeBB accepted; a refused call is
+     * reported so it can be retried.
+     * @param {number} uid
+     * @param {string[]} groups - Group names
+     * @param {Object} [auth] - `{cookie}` of the acting session
+     * @returns {Promise<string[]>} Groups the user was added to
+     * @throws {UpstreamError} When NodeBB refused any of the additions
+     */
+    const add = async (uid, groups, auth) => {
+        const headers = await authHeaders(auth);
+        const added = [];
+        const failed = [];
+        await Promise.all(groups.map(async (group) => {
+            try {
+                await api.put(`/api/v3/groups/${groupSlug(group)}/membership/${uid}`, null, {
+                    headers: { Accept: 'application/json', 'Content-Type': 'application/json', ...headers }
+                });
+                added.push(group);
+            } catch (error) {
+                log.warn('could not add user to group', { uid, group, err: error });
+                failed.push(group);
+            }
+        }));
+
+        await updateGroupTitle(uid, current => Array.from(new Set([...current, ...added])));
+        if (failed.length > 0) {
+            throw new UpstreamError('NodeBB', `Error adding user to ${failed.join(', ')}`);
+        }
+        return added;
+    };
+
+    /**
+     * Remove a user from groups
+     * The badges are cleared whatever NodeBB answers; a failed call is
+     * reported so it can be retried.
+     * @param {number} uid
+     * @param {string[]} groups - Group names
+     * @param {Object} [auth] - `{cookie}` of the acting session
+     * @returns {Promise<string[]>} Groups the user was removed from
+     * @throws {UpstreamError} When NodeBB refused any of the removals
+     */
+    const remove = async (uid, groups, auth) => {
+        const headers = await authHeaders(auth);
+        const failed = [];
+        await Promise.all(groups.map(async (group) => {
+            try {
+                await api.delete(`/api/v3/groups/${groupSlug(group)}/membership/${uid}`, {
+                    headers: { Accept: 'application/json', 'Content-Type': 'application/json', ...headers }
+                });
+            } catch (error) {
+                log.warn('could not remove user from group', { uid, group, err: error });
+                failed.push(group);
+            }
+        }));
+
+        await updateGroupTitle(uid, current => current.filter(group => !groups.includes(group)));
+        if (failed.length > 0) {
+            throw new UpstreamError('NodeBB', `Error removing user from ${failed.join(', ')}`);
+        }
+        return groups;
+    };
+
+    return {
+        add,
+        remove
+    };
+}
+
+module.exports = {
+    NETWORK_GROUP,
+    groupSlug,
+    parseGroupTitle,
+    createGroupSync
+};
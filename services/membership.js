@@ -0,0 +1,312 @@
+// services/membership.js
+// The membership lifecycle. A member's `memberstatus` only changes through a
+// transition listed in TRANSITIONS; each one is claimed atomically against the
+// state it starts from, runs its side effects (NodeBB groups, organization
+// member lists, email) and is recorded in the membership history.
+const dayjs = require('dayjs');
+const { ObjectId } = require('mongodb');
+const { AuthorizationError, ConflictError, NotFoundError } = require('../lib/errors');
+const { escapeHtml } = require('../lib/html');
+const { NETWORK_GROUP, parseGroupTitle } = require('./memberGroups');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger({ module: 'membership' });
+
+const STATES = ['draft', 'pending', 'verified', 'expired', 'denied', 'withdrawn'];
+
+/**
+ * Events, the states they may start from, where they lead and who may send them
+ */
+const TRANSITIONS = {
+    submit: { from: ['draft', 'denied', 'withdrawn'], to: 'pending', by: ['member'] },
+    renew: { from: ['verified', 'expired'], to: 'pending', by: ['member'] },
+    verify: { from: ['pending'], to: 'verified', by: ['admin'] },
+    deny: { from: ['pending', 'verified'], to: 'denied', by: ['admin'] },
+    withdraw: { from: ['pending', 'verified', 'expired'], to: 'withdrawn', by: ['member'] },
+    expire: { from: ['verified'], to: 'expired', by: ['system'] }
+};
+
+// Records written before this service used "unverified", or no status at all
+const STORED_STATES = {
+    draft: [null, 'draft', 'unverified']
+};
+
+// Membership form answers, cleared when a membership is denied or withdrawn
+const FORM_FIELDS = [
+    'groups', 'tags', 'organizations', 'county', 'city',
+    'communitiesofpractice', 'hopetogain', 'othergains', 'additionalcomments'
+];
+
+const storedValues = (state) => STORED_STATES[state] || [state];
+
+/**
+ * Lifecycle state of a NodeBB user object
+ * @param {Object} user
+ * @returns {string} One of STATES
+ */
+const stateOf = (user) => {
+    const status = user && user.memberstatus;
+    return STATES.includes(status) ? status : 'draft';
+};
+
+/**
+ * Events an actor may send from a state
+ * @param {string} state
+ * @param {string} role - member, admin or system
+ * @returns {string[]}
+ */
+const allowedEvents = (state, role) => Object.keys(TRANSITIONS)
+    .filter(event => TRANSITIONS[event].from.includes(state) && TRANSITIONS[event].by.includes(role));
+
+const EMAILS = {
+    verified: {
+        subject: 'Welcome to the AZ Farm to School Network',
+        body: 'Your membership has been approved. You now have access to the member groups and the network directory.'
+    },
+    denied: {
+        subject: 'Update on your AZ Farm to School Network membership',
+        body: 'After review, your membership could not be approved at this time. You are welcome to apply again.'
+    },
+    expired: {
+        subject: 'Your AZ Farm to School Network membership has expired',
+        body: 'Your membership has expired. Your profile has been kept, so you can renew it at any time.'
+    }
+};
+
+/**
+ * Email telling the member where their membership stands
+ */
+const membershipEmail = (user, state) => {
+    const name = user.fullname ? ` ${escapeHtml(user.fullname)}` : '';
+    return {
+        from: '"[Membership]" <membership@azfarmtoschool.org>',
+        to: user.email,
+        subject: EMAILS[state].subject,
+        html: `
+      <html lang="en">
+        <body>
+          <p>Hello${name},</p>
+          <p>${EMAILS[state].body}</p>
+        </body>
+      </html>
+    `
+    };
+};
+
+/**
+ * Renewal date after verification: a year from now, or a year on from a
+ * still-running membership that asked to renew
+ */
+const nextRenewDate = (user, at) => {
+    const current = user.renewdate ? dayjs(user.renewdate) : null;
+    const running = current && current.isValid() && current.isAfter(at);
+    if (running && !user.renewrequested) {
+        return user.renewdate;
+    }
+    return (running ? current : dayjs(at)).add(1, 'year').toString();
+};
+
+/**
+ * Create the membership service
+ * @param {Object} options
+ * @param {Function} options.getCollection - Resolves a MongoDB collection by name
+ * @param {string} [options.usersCollection='objects'] - NodeBB objects collection
+ * @param {string} [options.organizationsCollection='organizations']
+ * @param {string} options.historyCollection - Collection recording every transition
+ * @param {Object} options.groups - Group sync from services/memberGroups.js
+ * @param {string[]} [options.workGroups] - NodeBB groups a membership form may pick; others are never joined or left
+ * @param {Function} options.sendMail - (message) => Promise, nodemailer-style
+ * @param {Function} [options.now] - Clock, for tests
+ */
+function createMembershipService({
+    getCollection,
+    usersCollection = 'objects',
+    organizationsCollection = 'organizations',
+    historyCollection,
+    groups,
+    workGroups = [],
+    sendMail,
+    now = () => new Date()
+}) {
+    const users = () => getCollection(usersCollection);
+
+    /**
+     * Field changes made with each event, besides memberstatus
+     */
+    const changesFor = (event, user, data, at) => {
+        switch (event) {
+            case 'submit':
+                return { $set: { ...data, showlocation: true, appearonmap: true, appearoncontactlist: true } };
+            case 'renew':
+                return { $set: { ...data, renewrequested: true } };
+            case 'verify':
+                return {
+                    $set: {
+                        membershipdate: user.membershipdate || dayjs(at).toString(),
+                        renewdate: nextRenewDate(user, at),
+                        recentlyverified: !user.membershipdate || !user.renewdate || dayjs(at).isAfter(dayjs(user.renewdate))
+                    },
+                    $unset: { renewrequested: '' }
+                };
+            case 'deny':
+            case 'withdraw':
+                return { $set: {}, $unset: Object.fromEntries([...FORM_FIELDS, 'renewrequested'].map(field => [field, ''])) };
+            default:
+                return { $set: {} };
+        }
+    };
+
+    /**
+     * Side effects of a transition, as named steps
+     * A member who is leaving is taken out of the groups and organizations
+     * they were put in when verified.
+     */
+    const effectsFor = (event, user, to, auth) => {
+        const uid = user.uid;
+        // The form's groups are the member's own choice, and the changes are made
+        // with an admin's session, so only listed work groups are touched
+        const requested = user.groups || [];
+        const ignored = requested.filter(group => !workGroups.includes(group));
+        if (ignored.length > 0) {
+            log.warn('ignoring groups that are not work groups', { uid, groups: ignored });
+        }
+        const memberGroups = [...requested.filter(group => workGroups.includes(group)), NETWORK_GROUP];
+        const wasMember = stateOf(user) === 'verified' || parseGroupTitle(user.groupTitle).includes(NETWORK_GROUP);
+        const effects = [];
+
+        if (to === 'verified') {
+            effects.push(['groups', () => groups.add(uid, memberGroups, auth)]);
+            effects.push(['organizations', async () => {
+                // Built here so a malformed stored id fails this step only
+                const orgIds = (user.organizations || []).map(org => new ObjectId(org._id));
+                await (await getCollection(organizationsCollection)).updateMany(
+                    { _id: { $in: orgIds } },
+                    { $addToSet: { members: { uid, name: user.fullname } } }
+                );
+            }]);
+        } else if (['denied', 'withdrawn', 'expired'].includes(to) && wasMember) {
+            effects.push(['groups', () => groups.remove(uid, memberGroups, auth)]);
+            effects.push(['organizations', async () => (await getCollection(organizationsCollection)).updateMany(
+                { 'members.uid': uid },
+                { $pull: { members: { uid } } }
+            )]);
+        }
+        if (EMAILS[to] && user.email) {
+            effects.push(['email', () => sendMail(membershipEmail(user, to))]);
+        }
+        return effects;
+    };
+
+    const record = async (entry) => {
+        try {
+            await (await getCollection(historyCollection)).insertOne(entry);
+        } catch (error) {
+            log.error('could not record membership transition', { uid: entry.uid, event: entry.event, err: error });
+        }
+    };
+
+    /**
+     * Move a membership along the lifecycle
+     * Side effects are best-effort: the new state stands, and any step that
+     * failed is listed in the result and the history so it can be redone.
+     * @param {number} uid - Member
+     * @param {string} event - Key of TRANSITIONS
+     * @param {Object} options
+     * @param {Object} options.actor - `{uid, role}`; role is member, admin or system
+     * @param {Object} [options.data] - Membership form answers, for submit and renew
+     * @param {Object} [options.auth] - `{cookie}` of the acting NodeBB session, for group changes
+     * @returns {Promise<{user: Object, from: string, to: string, failedEffects: string[]}>}
+     * @throws {NotFoundError|AuthorizationError|ConflictError}
+     */
+    const transition = async (uid, event, { actor, data = {}, auth } = {}) => {
+        const rule = TRANSITIONS[event];
+        if (!rule) {
+            throw new ConflictError(`Unknown membership event "${event}".`, 'INVALID_TRANSITION');
+        }
+        if (!rule.by.includes(actor.role)) {
+            throw new AuthorizationError(`Only ${rule.by.join(' or ')} may ${event} a membership.`);
+        }
+
+        const collection = await users();
+        const _key = `user:${uid}`;
+        const user = await collection.findOne({ _key });
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+        const from = stateOf(user);
+        if (!rule.from.includes(from)) {
+            throw new ConflictError(`Cannot ${event} a ${from} membership.`, 'INVALID_TRANSITION');
+        }
+
+        // Claim against the state we read, so concurrent changes can't both apply
+        const at = now();
+        const update = changesFor(event, user, data, at);
+        update.$set.memberstatus = rule.to;
+        const claimed = await collection.updateOne({ _key, memberstatus: { $in: storedValues(from) } }, update);
+        if (claimed.matchedCount === 0) {
+            throw new ConflictError('The membership changed while it was being updated.', 'INVALID_TRANSITION');
+        }
+
+        const failedEffects = [];
+        for (const [name, run] of effectsFor(event, user, rule.to, auth)) {
+            try {
+                await run();
+            } catch (error) {
+                log.error('membership side effect failed', { uid, event, effect: name, err: error });
+                failedEffects.push(name);
+            }
+        }
+
+        await record({ uid, event, from, to: rule.to, actorUid: actor.uid || null, actorRole: actor.role, at, failedEffects });
+        log.info('membership changed', { uid, event, from, to: rule.to, actorUid: actor.uid });
+
+        return { user: await collection.findOne({ _key }), from, to: rule.to, failedEffects };
+    };
+
+    /**
+     * A member's state and the events they may send from it
+     * @param {number} uid
+     * @returns {Promise<{state: string, events: string[], renewdate: string|null}>}
+     * @throws {NotFoundError}
+     */
+    const getState = async (uid) => {
+        const user = await (await users()).findOne({ _key: `user:${uid}` });
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+        const state = stateOf(user);
+        return { state, events: allowedEvents(state, 'member'), renewdate: user.renewdate || null };
+    };
+
+    /**
+     * Members in a state
+     * @param {string} state - One of STATES
+     * @returns {Promise<Object[]>}
+     */
+    const list = async (state) =>
+        (await users()).find({ memberstatus: { $in: storedValues(state) } }).toArray();
+
+    /**
+     * A member's transitions, newest first
+     * @param {number} uid
+     * @param {Object} [options]
+     * @param {number} [options.limit=50]
+     */
+    const history = async (uid, { limit = 50 } = {}) =>
+        (await getCollection(historyCollection)).find({ uid }).sort({ at: -1 }).limit(limit).toArray();
+
+    return {
+        transition,
+        getState,
+        list,
+        history
+    };
+}
+
+module.exports = {
+    STATES,
+    TRANSITIONS,
+    stateOf,
+    allowedEvents,
+    createMembershipService
+};
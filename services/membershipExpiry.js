@@ -0,0 +1,105 @@
+// services/membershipExpiry.js
+// Moves verified members whose renewdate has passed to "expired". The expire
+// transition takes them out of their NodeBB groups and organization member
+// lists but keeps their profile, so /renew-membership can bring them back.
+// Each run's changes are stored as a report and mailed to admins.
+const dayjs = require('dayjs');
+const { escapeHtml } = require('../lib/html');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger({ module: 'membership-expiry' });
+
+const REPORT_ID = 'expiry';
+
+/**
+ * Email listing the memberships a run expired
+ */
+const reportEmail = (report, adminEmail) => {
+    const rows = report.expired.map(member => `<tr><td>${escapeHtml(member.fullname || member.uid)}</td>` +
+        `<td>${escapeHtml(member.renewdate)}</td>` +
+        `<td>${member.failedEffects.length > 0 ? `Not done: ${escapeHtml(member.failedEffects.join(', '))}` : ''}</td></tr>`).join('');
+    return {
+        from: '"[Membership]" <membership@azfarmtoschool.org>',
+        to: adminEmail,
+        subject: `${report.expired.length} membership(s) expired`,
+        html: `
+      <html lang="en">
+        <body>
+          <table>
+            <tr><th>Member</th><th>Renewal date</th><th></th></tr>
+            ${rows}
+          </table>
+          ${report.failed.length > 0 ? `<p>${report.failed.length} membership(s) could not be expired and will be retried.</p>` : ''}
+        </body>
+      </html>
+    `
+    };
+};
+
+/**
+ * Create the expiry job
+ * @param {Object} options
+ * @param {Object} options.membership - Service from services/membership.js
+ * @param {Function} options.getCollection - Resolves a MongoDB collection by name
+ * @param {string} options.collectionName - Collection keeping the latest report
+ * @param {Function} options.sendMail - (message) => Promise, nodemailer-style
+ * @param {string} [options.adminEmail] - Receives the report when anything expired
+ * @param {Function} [options.now] - Clock, for tests
+ */
+function createMembershipExpiryService({ membership, getCollection, collectionName, sendMail, adminEmail, now = () => new Date() }) {
+    /**
+     * Expire every verified membership past its renewdate
+     * Uses the same cut-off as /contact-list-users: expired from the moment
+     * renewdate passes. Members without a valid renewdate are left alone.
+     * @returns {Promise<{at: Date, checked: number, expired: Object[], skipped: Object[], failed: Object[]}>}
+     */
+    const run = async () => {
+        const at = now();
+        const verified = await membership.list('verified');
+        const due = verified.filter(user => user.renewdate && dayjs(user.renewdate).isValid() && !dayjs(at).isBefore(dayjs(user.renewdate)));
+        const expired = [];
+        const skipped = [];
+        const failed = [];
+
+        for (const user of due) {
+            try {
+                const result = await membership.transition(user.uid, 'expire', { actor: { uid: null, role: 'system' } });
+                expired.push({ uid: user.uid, fullname: user.fullname || null, renewdate: user.renewdate, failedEffects: result.failedEffects });
+            } catch (error) {
+                if (error.code === 'INVALID_TRANSITION' || error.code === 'NOT_FOUND') {
+                    // Renewed, withdrawn or removed since the list was read
+                    skipped.push({ uid: user.uid, reason: error.message });
+                } else {
+                    log.error('could not expire membership', { uid: user.uid, err: error });
+                    failed.push({ uid: user.uid, error: error.message });
+                }
+            }
+        }
+
+        const report = { at, checked: verified.length, expired, skipped, failed };
+        await (await getCollection(collectionName)).replaceOne({ _id: REPORT_ID }, report, { upsert: true });
+        if (adminEmail && expired.length > 0) {
+            try {
+                await sendMail(reportEmail(report, adminEmail));
+            } catch (error) {
+                log.error('could not send expiry report', { err: error });
+            }
+        }
+        log.info('memberships expired', { checked: verified.length, expired: expired.length, failed: failed.length });
+        return report;
+    };
+
+    /**
+     * The most recent run's report, or null before the first run
+     */
+    const latest = async () => (await getCollection(collectionName)).findOne({ _id: REPORT_ID });
+
+    return {
+        run,
+        latest
+    };
+}
+
+module.exports = {
+    createMembershipExpiryService
+};
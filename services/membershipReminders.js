@@ -0,0 +1,193 @@
+// services/membershipReminders.js
+// Reminds verified members to renew 30, 14 and 1 days before their renewdate,
+// and sends admins a digest of the memberships about to expire. Each reminder
+// is claimed in MongoDB before it is sent, so reruns never send it twice.
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { escapeHtml } = require('../lib/html');
+const { createLogger } = require('../lib/logger');
+const { TIME_ZONE } = require('../lib/time');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const log = createLogger({ module: 'membership-reminders' });
+
+const REMINDER_DAYS = [30, 14, 1];
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Whole days, in Arizona, from `now` until `date`; negative once it has passed
+ */
+const daysUntil = (date, now) =>
+    dayjs(date).tz(TIME_ZONE).startOf('day').diff(dayjs(now).tz(TIME_ZONE).startOf('day'), 'day');
+
+/**
+ * The reminder due `daysLeft` days out: the closest threshold not yet passed,
+ * so a run missed on day 30 still sends the 30-day reminder on day 29
+ */
+const dueReminder = (daysLeft) => REMINDER_DAYS.filter(days => daysLeft <= days).sort((a, b) => a - b)[0];
+
+const when = (daysLeft) => {
+    if (daysLeft === 0) return 'today';
+    if (daysLeft === 1) return 'tomorrow';
+    return `in ${daysLeft} days`;
+};
+
+const formatDate = (date) => dayjs(date).tz(TIME_ZONE).format('MMMM D, YYYY');
+
+/**
+ * Email asking a member to renew
+ */
+const reminderEmail = (member, renewUrl) => {
+    const name = member.fullname ? ` ${escapeHtml(member.fullname)}` : '';
+    return {
+        from: '"[Membership]" <membership@azfarmtoschool.org>',
+        to: member.email,
+        subject: `Your AZ Farm to School Network membership expires ${when(member.daysLeft)}`,
+        html: `
+      <html lang="en">
+        <body>
+          <p>Hello${name},</p>
+          <p>Your membership expires on <strong>${formatDate(member.renewdate)}</strong>. Renew it to stay in the
+          member groups and the network directory.</p>
+          <p><a href="${escapeHtml(renewUrl)}">Renew your membership</a></p>
+        </body>
+      </html>
+    `
+    };
+};
+
+/**
+ * Digest for admins: who expires soon, and which reminders went out
+ */
+const summaryEmail = (summary, adminEmail) => {
+    const sent = new Map(summary.sent.map(reminder => [reminder.uid, reminder.days]));
+    const rows = summary.upcoming.map(member => `<tr><td>${escapeHtml(member.fullname || member.uid)}</td>` +
+        `<td>${escapeHtml(member.email || '')}</td><td>${formatDate(member.renewdate)}</td>` +
+        `<td>${sent.has(member.uid) ? `${sent.get(member.uid)}-day reminder sent` : ''}</td></tr>`).join('');
+    return {
+        from: '"[Membership]" <membership@azfarmtoschool.org>',
+        to: adminEmail,
+        subject: `${summary.upcoming.length} membership(s) expiring in the next ${REMINDER_DAYS[0]} days`,
+        html: `
+      <html lang="en">
+        <body>
+          <p>${summary.sent.length} reminder(s) sent, ${summary.failed.length} failed.</p>
+          <table>
+            <tr><th>Member</th><th>Email</th><th>Expires</th><th></th></tr>
+            ${rows}
+          </table>
+        </body>
+      </html>
+    `
+    };
+};
+
+/**
+ * Create the renewal reminder job
+ * @param {Object} options
+ * @param {Object} options.membership - Service from services/membership.js
+ * @param {Function} options.getCollection - Resolves a MongoDB collection by name
+ * @param {string} options.collectionName - Collection recording sent reminders
+ * @param {Function} options.sendMail - (message) => Promise, nodemailer-style
+ * @param {string} options.renewUrl - Page members renew from
+ * @param {string} [options.adminEmail] - Receives the digest; none is sent without it
+ * @param {Function} [options.now] - Clock, for tests
+ */
+function createRenewalReminderService({ membership, getCollection, collectionName, sendMail, renewUrl, adminEmail, now = () => new Date() }) {
+    /**
+     * Verified members whose renewdate is at most `withinDays` away, soonest first
+     * @param {Object} [options]
+     * @param {number} [options.withinDays=30]
+     * @returns {Promise<Array<{uid: number, fullname: string, email: string, renewdate: string, daysLeft: number}>>}
+     */
+    const upcoming = async ({ withinDays = REMINDER_DAYS[0] } = {}) => {
+        const at = now();
+        return (await membership.list('verified'))
+            .filter(user => user.renewdate && dayjs(user.renewdate).isValid())
+            .map(user => ({
+                uid: user.uid,
+                fullname: user.fullname || null,
+                email: user.email || null,
+                renewdate: user.renewdate,
+                daysLeft: daysUntil(user.renewdate, at)
+            }))
+            .filter(member => member.daysLeft >= 0 && member.daysLeft <= withinDays)
+            .sort((a, b) => a.daysLeft - b.daysLeft);
+    };
+
+    /**
+     * Claim a reminder; false when it was already sent
+     */
+    const claim = async (reminders, reminder) => {
+        try {
+            await reminders.insertOne(reminder);
+            return true;
+        } catch (error) {
+            if (error.code === DUPLICATE_KEY) {
+                return false;
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Send the reminders that are due and the admin digest
+     * @returns {Promise<{at: Date, upcoming: Object[], sent: Object[], failed: Object[], skipped: number}>}
+     */
+    const run = async () => {
+        const at = now();
+        const members = await upcoming();
+        const reminders = await getCollection(collectionName);
+        const sent = [];
+        const failed = [];
+        let skipped = 0;
+
+        for (const member of members) {
+            const days = dueReminder(member.daysLeft);
+            if (!member.email) {
+                skipped++;
+                continue;
+            }
+            // One of each reminder per renewal date
+            const _id = `${member.uid}:${dayjs(member.renewdate).tz(TIME_ZONE).format('YYYY-MM-DD')}:${days}`;
+            if (!(await claim(reminders, { _id, uid: member.uid, renewdate: member.renewdate, days, sentAt: at }))) {
+                skipped++;
+                continue;
+            }
+            try {
+                await sendMail(reminderEmail(member, renewUrl));
+                sent.push({ uid: member.uid, days });
+            } catch (error) {
+                // Released so the next run tries again
+                await reminders.deleteOne({ _id });
+                log.error('could not send renewal reminder', { uid: member.uid, days, err: error });
+                failed.push({ uid: member.uid, days });
+            }
+        }
+
+        const summary = { at, upcoming: members, sent, failed, skipped };
+        if (adminEmail && members.length > 0) {
+            try {
+                await sendMail(summaryEmail(summary, adminEmail));
+            } catch (error) {
+                log.error('could not send expiration summary', { err: error });
+            }
+        }
+        log.info('renewal reminders sent', { upcoming: members.length, sent: sent.length, failed: failed.length });
+        return summary;
+    };
+
+    return {
+        upcoming,
+        run
+    };
+}
+
+module.exports = {
+    REMINDER_DAYS,
+    daysUntil,
+    createRenewalReminderService
+};
@@ -0,0 +1,178 @@
+// services/resourceSubmissions.js
+// Resources suggested through /submit-resource wait in a MongoDB collection
+// until an admin approves or rejects them. Approved resources are either
+// appended to the Resources sheet or kept in MongoDB and merged into
+// /resources; the submitter is emailed the decision either way.
+const { ObjectId } = require('mongodb');
+const { ConflictError, NotFoundError } = require('../lib/errors');
+const { escapeHtml } = require('../lib/html');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger({ module: 'resource-submissions' });
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const DECISIONS = ['approved', 'rejected'];
+
+/**
+ * Email telling the submitter what happened to their resource
+ */
+const decisionEmail = (submission) => {
+    const approved = submission.status === 'approved';
+    const name = submission.submitter.name ? ` ${escapeHtml(submission.submitter.name)}` : '';
+    return {
+        from: '"[Resource Submission]" <resource-submission@azfarmtoschool.org>',
+        to: submission.submitter.email,
+        subject: approved
+            ? 'Your resource was added to the AZ Farm to School library'
+            : 'Update on your resource submission',
+        html: `
+      <html lang="en">
+        <body>
+          <p>Hello${name},</p>
+          <p>Thank you for suggesting <strong>${escapeHtml(submission.title)}</strong>.
+          ${approved
+        ? 'It has been reviewed and added to the resource library.'
+        : 'After review, it will not be added to the resource library at this time.'}</p>
+          ${submission.reviewNote ? `<p>${escapeHtml(submission.reviewNote)}</p>` : ''}
+        </body>
+      </html>
+    `
+    };
+};
+
+/**
+ * Create the submission service
+ * @param {Object} options
+ * @param {Function} options.getCollection - Resolves a MongoDB collection by name
+ * @param {string} options.collectionName - Collection holding submissions
+ * @param {string} [options.publishTo='mongo'] - Where approved resources go: 'sheet' or 'mongo'
+ * @param {Function} [options.publishToSheet] - (submission) => Promise; required for 'sheet'
+ * @param {Function} options.sendMail - (message) => Promise, nodemailer-style
+ * @param {Function} [options.now] - Clock, for tests
+ */
+function createResourceSubmissionService({
+    getCollection,
+    collectionName,
+    publishTo = 'mongo',
+    publishToSheet,
+    sendMail,
+    now = () => new Date()
+}) {
+    const collection = () => getCollection(collectionName);
+
+    /**
+     * Store a new submission as pending
+     * @param {Object} resource - title, author, year, link, explanation, workGroup, audience, ageGroup
+     * @param {Object} submitter - name, email and uid (when logged in), all optional
+     * @returns {Promise<Object>} The stored submission
+     */
+    const submit = async (resource, submitter = {}) => {
+        const submission = {
+            ...resource,
+            submitter: {
+                name: submitter.name || null,
+                email: submitter.email || null,
+                uid: submitter.uid || null
+            },
+            status: 'pending',
+            submittedAt: now()
+        };
+        const result = await (await collection()).insertOne(submission);
+        return { _id: result.insertedId, ...submission };
+    };
+
+    /**
+     * Newest submissions first
+     * @param {Object} [filter]
+     * @param {string} [filter.status] - pending, approved or rejected
+     * @param {number} [filter.limit=50]
+     */
+    const list = async ({ status, limit = 50 } = {}) => {
+        const query = status ? { status } : {};
+        return (await collection()).find(query).sort({ submittedAt: -1 }).limit(limit).toArray();
+    };
+
+    /**
+     * Approved resources that live only in MongoDB, for merging into /resources
+     */
+    const listPublished = async () =>
+        (await collection()).find({ status: 'approved', publishedTo: 'mongo' }).toArray();
+
+    const notifySubmitter = async (submission) => {
+        if (!submission.submitter.email) {
+            return;
+        }
+        try {
+            await sendMail(decisionEmail(submission));
+            await (await collection()).updateOne({ _id: submission._id }, { $set: { notifiedAt: now() } });
+        } catch (error) {
+            // The decision stands; the email can be resent by hand
+            log.error('could not email submitter', { submissionId: String(submission._id), err: error });
+        }
+    };
+
+    /**
+     * Approve or reject a pending submission
+     * @param {string} id - Submission id
+     * @param {Object} review
+     * @param {string} review.decision - approved or rejected
+     * @param {number} review.reviewerUid - Admin making the decision
+     * @param {string} [review.note] - Passed on to the submitter
+     * @returns {Promise<Object>} The updated submission
+     * @throws {NotFoundError|ConflictError}
+     */
+    const decide = async (id, { decision, reviewerUid, note }) => {
+        const _id = new ObjectId(id);
+        const submissions = await collection();
+
+        // Claim the submission so two admins can't decide it twice
+        const claimed = await submissions.updateOne(
+            { _id, status: 'pending' },
+            { $set: { status: decision, reviewedAt: now(), reviewedBy: reviewerUid, reviewNote: note || null } }
+        );
+        if (claimed.matchedCount === 0) {
+            const existing = await submissions.findOne({ _id });
+            if (!existing) {
+                throw new NotFoundError('Submission not found');
+            }
+            throw new ConflictError(`Submission was already ${existing.status}.`);
+        }
+
+        let submission = await submissions.findOne({ _id });
+        if (decision === 'approved') {
+            let publishedTo = 'mongo';
+            if (publishTo === 'sheet') {
+                try {
+                    await publishToSheet(submission);
+                    publishedTo = 'sheet';
+                } catch (error) {
+                    // Back in the queue so the approval can be retried
+                    await submissions.updateOne(
+                        { _id },
+                        { $set: { status: 'pending' }, $unset: { reviewedAt: '', reviewedBy: '', reviewNote: '' } }
+                    );
+                    throw error;
+                }
+            }
+            await submissions.updateOne({ _id }, { $set: { publishedTo } });
+            submission = { ...submission, publishedTo };
+        }
+
+        log.info('resource submission decided', { submissionId: id, decision, reviewerUid });
+        await notifySubmitter(submission);
+        return submission;
+    };
+
+    return {
+        submit,
+        list,
+        listPublished,
+        decide
+    };
+}
+
+module.exports = {
+    STATUSES,
+    DECISIONS,
+    createResourceSubmissionService
+};
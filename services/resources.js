@@ -0,0 +1,275 @@
+// services/resources.js
+// The resource library from the "Resources Compiled" sheet: row parsing,
+// full-text search, facet counts, sorting and cursor pagination.
+const crypto = require('crypto');
+const { ValidationError } = require('../lib/errors');
+
+/**
+ * Sheet headers accepted for each resource field, compared case-insensitively
+ */
+const COLUMNS = {
+    title: ['title', 'resource title', 'resource', 'name'],
+    author: ['author', 'authors', 'author/organization', 'organization'],
+    explanation: ['explanation', 'description', 'summary'],
+    workGroup: ['work group', 'work groups', 'workgroup'],
+    audience: ['applicable audience', 'audience', 'applicable audiences'],
+    ageGroup: ['age group', 'age groups', 'ages'],
+    year: ['year', 'year published'],
+    link: ['link', 'url']
+};
+
+const FACETS = ['workGroup', 'audience', 'ageGroup', 'year'];
+
+// Matches in the title count most towards relevance
+const FIELD_WEIGHTS = { title: 3, author: 2, explanation: 1 };
+
+const SORTS = {
+    relevance: { key: (resource) => resource.score, descending: true },
+    title: { key: (resource) => resource.sortTitle, descending: false },
+    '-title': { key: (resource) => resource.sortTitle, descending: true },
+    year: { key: (resource) => resource.year || 0, descending: false },
+    '-year': { key: (resource) => resource.year || 0, descending: true }
+};
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * @typedef {Object} Resource
+ * @property {string} id - Stable while the title and link don't change
+ * @property {string} title
+ * @property {string} author
+ * @property {string} explanation
+ * @property {string[]} workGroup
+ * @property {string[]} audience
+ * @property {string[]} ageGroup
+ * @property {number|null} year
+ * @property {string} link
+ * @property {Object} fields - The sheet row as read
+ */
+
+const readField = (record, field) => {
+    for (const [key, value] of Object.entries(record)) {
+        if (COLUMNS[field].includes(key.trim().toLowerCase()) && typeof value === 'string' && value.trim() !== '') {
+            return value.trim();
+        }
+    }
+    return '';
+};
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Lowercase, accent-free text for matching ("Nutrición" finds "nutricion")
+ */
+const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Turn sheet records into resources
+ * Rows without a title (spacer and section rows) are skipped.
+ * @param {Object[]} records - Rows keyed by header, as the `records` transform returns them
+ * @returns {Resource[]}
+ */
+function parseResources(records) {
+    const resources = [];
+    for (const record of records) {
+        const title = readField(record, 'title');
+        if (!title) {
+            continue;
+        }
+
+        const link = readField(record, 'link');
+        const yearText = readField(record, 'year');
+        const year = /^\d{4}$/.test(yearText) ? Number(yearText) : null;
+
+        resources.push({
+            id: crypto.createHash('sha1').update(`${title}|${link}`).digest('hex').slice(0, 16),
+            title,
+            author: readField(record, 'author'),
+            explanation: readField(record, 'explanation'),
+            workGroup: splitList(readField(record, 'workGroup')),
+            audience: splitList(readField(record, 'audience')),
+            ageGroup: splitList(readField(record, 'ageGroup')),
+            year,
+            link,
+            fields: record
+        });
+    }
+    return resources;
+}
+
+const fieldForHeader = (header) =>
+    Object.keys(COLUMNS).find(field => COLUMNS[field].includes(String(header).trim().toLowerCase()));
+
+/**
+ * Lay a resource out as a sheet row under the given header row
+ * Columns the resource has no field for (such as the note columns) stay empty.
+ * @param {string[]} headers - The sheet's header row
+ * @param {Object} resource - Resource fields; lists are joined with commas
+ * @returns {string[]}
+ */
+function toSheetRow(headers, resource) {
+    return headers.map(header => {
+        const field = fieldForHeader(header);
+        const value = field ? resource[field] : undefined;
+        if (Array.isArray(value)) return value.join(', ');
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Relevance of a resource for the query terms; 0 when a term is missing
+ */
+const scoreResource = (resource, terms) => {
+    let score = 0;
+    for (const term of terms) {
+        let termScore = 0;
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+            if (normalize(resource[field]).includes(term)) {
+                termScore += weight;
+            }
+        }
+        if (termScore === 0) {
+            return 0;
+        }
+        score += termScore;
+    }
+    return score;
+};
+
+const facetValues = (resource, facet) =>
+    facet === 'year' ? (resource.year ? [String(resource.year)] : []) : resource[facet];
+
+const matchesFacet = (resource, facet, wanted) => {
+    if (!wanted || wanted.length === 0) {
+        return true;
+    }
+    const values = facetValues(resource, facet).map(value => value.toLowerCase());
+    return wanted.some(value => values.includes(value.toLowerCase()));
+};
+
+/**
+ * Counts per value, for the resources matching every other facet filter
+ * so the client can show how many results selecting a value would add
+ */
+const countFacets = (resources, filters) => {
+    const facets = {};
+    for (const facet of FACETS) {
+        const counts = new Map();
+        for (const resource of resources) {
+            const matchesOthers = FACETS.every(other => other === facet || matchesFacet(resource, other, filters[other]));
+            if (!matchesOthers) continue;
+            for (const value of facetValues(resource, facet)) {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            }
+        }
+        facets[facet] = [...counts.entries()]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+    return facets;
+};
+
+/**
+ * Order two (sort key, id) positions; ties break on id so every position,
+ * including one decoded from a cursor, is well defined
+ */
+const comparePositions = (sort, [leftKey, leftId], [rightKey, rightId]) => {
+    let order = typeof leftKey === 'string' ? leftKey.localeCompare(rightKey) : leftKey - rightKey;
+    if (SORTS[sort].descending) order = -order;
+    return order !== 0 ? order : leftId.localeCompare(rightId);
+};
+
+const positionOf = (sort, resource) => [SORTS[sort].key(resource), resource.id];
+
+const encodeCursor = (sort, resource) =>
+    Buffer.from(JSON.stringify({ s: sort, k: SORTS[sort].key(resource), id: resource.id })).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        decoded = null;
+    }
+    const keyType = sort.endsWith('title') ? 'string' : 'number';
+    if (!decoded || typeof decoded.id !== 'string' || decoded.s !== sort || typeof decoded.k !== keyType) {
+        throw new ValidationError({ cursor: 'Is not valid for this search' });
+    }
+    return decoded;
+};
+
+/**
+ * Search, filter, sort and page through resources
+ * @param {Resource[]} resources - From parseResources
+ * @param {Object} [query]
+ * @param {string} [query.q] - Words that must all appear in the title, author or explanation
+ * @param {string[]} [query.workGroup] / [query.audience] / [query.ageGroup] / [query.year] - Facet values; any may match
+ * @param {string} [query.sort] - relevance, title, -title, year or -year; relevance by default when searching
+ * @param {string} [query.cursor] - `nextCursor` from the previous page
+ * @param {number} [query.limit=20] - Page size
+ * @returns {{ items: Resource[], total: number, facets: Object, sort: string, nextCursor: string|null }}
+ */
+function searchResources(resources, { q, sort, cursor, limit = DEFAULT_LIMIT, ...filters } = {}) {
+    const terms = q ? normalize(q).split(/\s+/).filter(Boolean) : [];
+    const activeSort = sort || (terms.length > 0 ? 'relevance' : 'title');
+
+    const matching = resources
+        .map(resource => ({
+            ...resource,
+            score: terms.length > 0 ? scoreResource(resource, terms) : 0,
+            sortTitle: normalize(resource.title)
+        }))
+        .filter(resource => terms.length === 0 || resource.score > 0);
+
+    const facets = countFacets(matching, filters);
+    const filtered = matching
+        .filter(resource => FACETS.every(facet => matchesFacet(resource, facet, filters[facet])))
+        .sort((a, b) => comparePositions(activeSort, positionOf(activeSort, a), positionOf(activeSort, b)));
+
+    let start = 0;
+    if (cursor) {
+        const after = decodeCursor(cursor, activeSort);
+        start = filtered.findIndex(resource =>
+            comparePositions(activeSort, positionOf(activeSort, resource), [after.k, after.id]) > 0);
+        if (start === -1) start = filtered.length;
+    }
+
+    const page = filtered.slice(start, start + limit);
+    const hasMore = start + limit < filtered.length;
+
+    return {
+        items: page.map(({ score, sortTitle, ...resource }) => resource),
+        total: filtered.length,
+        facets,
+        sort: activeSort,
+        nextCursor: hasMore ? encodeCursor(activeSort, page[page.length - 1]) : null
+    };
+}
+
+/**
+ * Add resources kept outside the sheet, skipping any the sheet already lists
+ * @param {Resource[]} sheetResources
+ * @param {Object[]} extra - Resource fields, as toSheetRow takes them
+ * @returns {Resource[]}
+ */
+function mergeResources(sheetResources, extra) {
+    const ids = new Set(sheetResources.map(resource => resource.id));
+    const records = extra.map(resource => {
+        const record = {};
+        for (const field of Object.keys(COLUMNS)) {
+            const value = resource[field];
+            record[COLUMNS[field][0]] = Array.isArray(value) ? value.join(', ') : (value == null ? '' : String(value));
+        }
+        return record;
+    });
+    return [...sheetResources, ...parseResources(records).filter(resource => !ids.has(resource.id))];
+}
+
+module.exports = {
+    FACETS,
+    SORTS,
+    parseResources,
+    searchResources,
+    toSheetRow,
+    mergeResources
+};
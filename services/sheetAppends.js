@@ -0,0 +1,288 @@
+// services/sheetAppends.js
+// Named append targets: each maps to a spreadsheet range and declares its
+// columns (order, types, required fields, date formats), so rows are checked
+// and laid out here instead of being written as whatever the client sent.
+// Every write is audited with the acting user.
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { NotFoundError, ValidationError } = require('../lib/errors');
+const { validateSchema } = require('../middleware/validateRequest');
+const { createLogger } = require('../lib/logger');
+const { TIME_ZONE } = require('../lib/time');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const log = createLogger({ module: 'sheet-appends' });
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const COLUMN_TYPES = ['string', 'email', 'url', 'date', 'number', 'integer', 'boolean'];
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+const MAX_ROWS = 500;
+const LEGACY_MAX_VALUES = 100;
+
+/**
+ * Where `POST /append` wrote before targets were configurable: up to 100
+ * values, as sent, below the "Address Delimiter" tab. Built in so existing
+ * deployments keep working; a configured target of the same name replaces it.
+ */
+const LEGACY_TARGET = {
+    name: 'address-delimiter',
+    range: 'Address Delimiter',
+    columns: Array.from({ length: LEGACY_MAX_VALUES }, (_, index) => ({ field: `value${index + 1}` }))
+};
+
+/**
+ * @typedef {Object} AppendColumn
+ * @property {string} field - Key in the submitted row
+ * @property {string} [type='string'] - string, email, url, date, number, integer or boolean
+ * @property {boolean} [required=false]
+ * @property {string} [format] - dayjs format for dates, in Arizona time; YYYY-MM-DD by default
+ * @property {*} [default] - Used when the field is missing; "now" for the current time on date columns
+ * @property {Array} [enum] - Allowed values
+ * @property {string} [pattern] - Regular expression strings must match
+ * @property {number} [min] / [max] - Number bounds
+ * @property {number} [maxLength] - String length bound
+ */
+
+/**
+ * @typedef {Object} AppendTarget
+ * @property {string} name - Used in the URL: /append/<name>
+ * @property {string} [spreadsheetId] - Defaults to GOOGLE_SPREADSHEET_ID
+ * @property {string} range - Tab name or A1 range to append below
+ * @property {AppendColumn[]} columns - In sheet order
+ */
+
+/**
+ * List what is wrong with an append target
+ * @param {AppendTarget} target
+ * @returns {string[]} Empty when the target is usable
+ */
+function validateTarget(target) {
+    if (!target || typeof target !== 'object') {
+        return ['Target must be an object'];
+    }
+    const problems = [];
+    if (typeof target.name !== 'string' || !NAME_PATTERN.test(target.name)) {
+        problems.push('name must be lowercase letters, digits and dashes');
+    }
+    if (target.spreadsheetId !== undefined && (typeof target.spreadsheetId !== 'string' || target.spreadsheetId === '')) {
+        problems.push('spreadsheetId must be a non-empty string');
+    }
+    if (typeof target.range !== 'string' || target.range === '') {
+        problems.push('range is required');
+    }
+    if (!Array.isArray(target.columns) || target.columns.length === 0) {
+        return [...problems, 'columns must be a non-empty list'];
+    }
+
+    const fields = new Set();
+    target.columns.forEach((column, index) => {
+        if (!column || typeof column.field !== 'string' || column.field === '') {
+            problems.push(`columns[${index}].field is required`);
+            return;
+        }
+        if (fields.has(column.field)) {
+            problems.push(`columns[${index}].field "${column.field}" is repeated`);
+        }
+        fields.add(column.field);
+        if (column.type !== undefined && !COLUMN_TYPES.includes(column.type)) {
+            problems.push(`columns[${index}].type must be one of ${COLUMN_TYPES.join(', ')}`);
+        }
+        if (column.pattern !== undefined) {
+            try {
+                new RegExp(column.pattern);
+            } catch (error) {
+                problems.push(`columns[${index}].pattern is not a valid regular expression`);
+            }
+        }
+        if (column.default === 'now' && column.type !== 'date') {
+            problems.push(`columns[${index}].default "now" needs type date`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * validateRequest rule for a column
+ */
+const toRule = (column) => {
+    const rule = { type: column.type || 'string', required: column.required === true };
+    for (const key of ['enum', 'min', 'max', 'maxLength']) {
+        if (column[key] !== undefined) rule[key] = column[key];
+    }
+    if (column.pattern !== undefined) rule.pattern = new RegExp(column.pattern);
+    if (column.default !== undefined && column.default !== 'now') rule.default = column.default;
+    return rule;
+};
+
+/**
+ * Date cell text; a bare date stays on its day, a timestamp is shown in Arizona time
+ */
+const formatDate = (value, format) => {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? dayjs(value) : dayjs(value).tz(TIME_ZONE);
+    return date.format(format || DEFAULT_DATE_FORMAT);
+};
+
+/**
+ * Create the append service
+ * @param {Object} options
+ * @param {Object} options.sheets - Sheets backend from third_party/googleSheets.js or third_party/fixtureSheets.js
+ * @param {AppendTarget[]} [options.targets] - From config, added to the built-in legacy target; invalid targets are skipped with a warning
+ * @param {string} [options.defaultSpreadsheetId] - For targets without their own
+ * @param {Function} options.getCollection - Resolves a MongoDB collection by name
+ * @param {string} options.auditCollection - Collection recording every append
+ * @param {Function} [options.now] - Clock, for tests
+ */
+function createAppendService({ sheets, targets = [], defaultSpreadsheetId, getCollection, auditCollection, now = () => new Date() }) {
+    const registry = new Map();
+    const declared = targets.some(target => target && target.name === LEGACY_TARGET.name);
+    for (const target of declared ? targets : [LEGACY_TARGET, ...targets]) {
+        const problems = validateTarget(target);
+        if (!target.spreadsheetId && !defaultSpreadsheetId) {
+            problems.push('spreadsheetId is required when GOOGLE_SPREADSHEET_ID is not set');
+        }
+        if (problems.length > 0) {
+            log.warn('skipping invalid append target', { name: target && target.name, problems });
+            continue;
+        }
+        registry.set(target.name, {
+            name: target.name,
+            spreadsheetId: target.spreadsheetId || defaultSpreadsheetId,
+            range: target.range,
+            columns: target.columns.map(column => ({ type: 'string', ...column }))
+        });
+    }
+
+    /**
+     * @param {string} name
+     * @returns {AppendTarget}
+     * @throws {NotFoundError}
+     */
+    const getTarget = (name) => {
+        const target = registry.get(name);
+        if (!target) {
+            throw new NotFoundError(`Unknown append target "${name}".`);
+        }
+        return target;
+    };
+
+    /**
+     * Targets and their columns, so clients can build forms
+     */
+    const list = () => [...registry.values()].map(({ name, columns }) => ({ name, columns }));
+
+    /**
+     * Check rows against the target's columns and lay them out in sheet order
+     * Rows are objects keyed by field, or arrays in column order.
+     * @returns {Array<Array<*>>}
+     * @throws {ValidationError} Listing every problem, keyed rows.<index>.<field>
+     */
+    const buildRows = (target, rows) => {
+        const errors = {};
+        const fields = {};
+        for (const column of target.columns) {
+            fields[column.field] = toRule(column);
+        }
+
+        const values = rows.map((row, index) => {
+            let record = row;
+            if (Array.isArray(row)) {
+                if (row.length > target.columns.length) {
+                    errors[`rows.${index}`] = `Must have at most ${target.columns.length} values`;
+                    return null;
+                }
+                record = Object.fromEntries(target.columns.map((column, position) => [column.field, row[position]]));
+            }
+            if (!record || typeof record !== 'object') {
+                errors[`rows.${index}`] = 'Must be an object or a list of values';
+                return null;
+            }
+
+            const result = validateSchema(record, { type: 'object', fields, unknown: 'reject' });
+            for (const [path, message] of Object.entries(result.errors)) {
+                errors[path ? `rows.${index}.${path}` : `rows.${index}`] = message;
+            }
+            if (!result.isValid) {
+                return null;
+            }
+
+            const cells = target.columns.map(column => {
+                let value = result.value[column.field];
+                if ((value === undefined || value === '') && column.default === 'now') {
+                    value = now().toISOString();
+                }
+                if (value === undefined || value === null || value === '') {
+                    return '';
+                }
+                return column.type === 'date' ? formatDate(value, column.format) : value;
+            });
+            // Blank trailing cells add nothing to the sheet
+            while (cells.length > 0 && cells[cells.length - 1] === '') {
+                cells.pop();
+            }
+            return cells;
+        });
+
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError(errors);
+        }
+        return values;
+    };
+
+    const audit = async (entry) => {
+        try {
+            await (await getCollection(auditCollection)).insertOne(entry);
+        } catch (error) {
+            log.error('could not record append audit', { target: entry.target, uid: entry.uid, err: error });
+        }
+    };
+
+    /**
+     * Validate and append rows to a target
+     * @param {string} name - Target name
+     * @param {Array<Object|Array>} rows
+     * @param {Object} options
+     * @param {number} options.uid - Acting user, recorded in the audit
+     * @param {boolean} [options.dryRun=false] - Return the rows without writing (or auditing) them
+     * @returns {Promise<{target: string, dryRun: boolean, rows: Array<Array<*>>, updates: Object|null}>}
+     */
+    const append = async (name, rows, { uid, dryRun = false }) => {
+        const target = getTarget(name);
+        if (rows.length === 0 || rows.length > MAX_ROWS) {
+            throw new ValidationError({ rows: `Must have between 1 and ${MAX_ROWS} rows` });
+        }
+        const values = buildRows(target, rows);
+        if (dryRun) {
+            return { target: name, dryRun: true, rows: values, updates: null };
+        }
+
+        const entry = { target: name, spreadsheetId: target.spreadsheetId, range: target.range, uid, rows: values, at: now() };
+        let data;
+        try {
+            data = await sheets.appendRows(target.spreadsheetId, target.range, values);
+        } catch (error) {
+            await audit({ ...entry, outcome: 'failed', error: error.message });
+            throw error;
+        }
+
+        const updates = (data && data.updates) || null;
+        await audit({ ...entry, outcome: 'appended', updatedRange: updates && updates.updatedRange });
+        log.info('rows appended', { target: name, uid, rows: values.length });
+        return { target: name, dryRun: false, rows: values, updates };
+    };
+
+    return {
+        list,
+        getTarget,
+        append
+    };
+}
+
+module.exports = {
+    MAX_ROWS,
+    LEGACY_TARGET,
+    validateTarget,
+    createAppendService
+};
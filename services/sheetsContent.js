@@ -0,0 +1,262 @@
+// services/sheetsContent.js
+// Sheet-backed page content. A registry maps each content name to a
+// spreadsheet tab and a named row transformer, so a new page is a registry
+// entry (in config or MongoDB) rather than a new route handler.
+const { NotFoundError } = require('../lib/errors');
+const { createCache } = require('../lib/cache');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger({ module: 'sheets-content' });
+
+/**
+ * Row transformers, referenced by name from registry entries
+ * Each takes the raw rows and the entry's `options`.
+ */
+const TRANSFORMS = {
+    /**
+     * One object per row, keyed by the header row
+     * @param {Object} [options]
+     * @param {number} [options.headerRow=0] - Row holding the column names
+     * @param {number} [options.dataStart=1] - First row to return
+     * @param {boolean} [options.oddColumnsOnly=false] - Drop even columns (the sheet interleaves notes)
+     */
+    records: (rows, { headerRow = 0, dataStart = 1, oddColumnsOnly = false } = {}) => {
+        const table = oddColumnsOnly
+            ? rows.map(row => row.filter((cell, index) => index % 2 !== 0))
+            : rows;
+        const headers = table[headerRow] || [];
+
+        return table.slice(dataStart).map(row =>
+            headers.reduce((record, key, index) => ({ ...record, [key]: row[index] }), {})
+        );
+    },
+
+    /**
+     * Every cell of every row as a single list
+     */
+    list: (rows) => rows.flat(),
+
+    /**
+     * Site and user profile tags, kept side by side in four columns
+     */
+    tagGroups: (rows) => {
+        const groups = { siteTags: [], userTags: [] };
+
+        for (const [siteTagName, siteTagDescription, userTagName, userTagDescription] of rows.slice(1)) {
+            if (siteTagName) {
+                groups.siteTags.push({ tagName: siteTagName, description: siteTagDescription });
+            }
+            if (userTagName) {
+                groups.userTags.push({ tagName: userTagName, description: userTagDescription });
+            }
+        }
+        return groups;
+    }
+};
+
+/**
+ * @typedef {Object} ContentEntry
+ * @property {string} name - Used in `/content/:name`
+ * @property {string} spreadsheetId - Google spreadsheet ID
+ * @property {string} tab - Tab (sheet) name
+ * @property {string} transform - Key of TRANSFORMS
+ * @property {Object} [options] - Passed to the transform
+ * @property {number} [ttlSeconds] - How long a fetched copy stays fresh
+ */
+
+/**
+ * The pages that used to have their own handler in legacy_routes.js
+ * `dataStart: 0` keeps the header object the existing frontend expects.
+ * Events and resources change weekly, the rest a few times a year.
+ * @type {ContentEntry[]}
+ */
+const DEFAULT_REGISTRY = [
+    { name: 'about', spreadsheetId: '1ZDgVdMu75baR1z8m8QK3ti-ZO4KIrQmw244VSKt3S6c', tab: 'People', transform: 'records', options: { dataStart: 0 }, ttlSeconds: 3600 },
+    { name: 'calendar', spreadsheetId: '1RnFunyp964dHo4bxBpadqWa3NOK0Ycvaw5sfi1frxms', tab: 'Events', transform: 'records', options: { dataStart: 0 }, ttlSeconds: 300 },
+    { name: 'faq', spreadsheetId: '1SV7r85mu_yhLPks3Nfy2d_BcQYGYK9qmKXbHYo2loRc', tab: 'Questions', transform: 'records', options: { dataStart: 0 }, ttlSeconds: 3600 },
+    { name: 'location-filters', spreadsheetId: '10Cc6iblTC3BAltl0479euAr_4v3Zx-saS0Ty8c4PcKQ', tab: 'Profile Tags', transform: 'tagGroups', ttlSeconds: 3600 },
+    { name: 'communities-of-practice', spreadsheetId: '1bwVvs64UELc_GU94NhmNcgLSGdRAU3G6iHsHCgqt6wI', tab: 'COP', transform: 'list', ttlSeconds: 3600 },
+    { name: 'resources', spreadsheetId: '1khoNt12y2nRQQF-9dB3OILUXyvGQkSvl_WLgfODEAsY', tab: 'Resources Compiled', transform: 'records', options: { dataStart: 3, oddColumnsOnly: true }, ttlSeconds: 900 }
+];
+
+const DEFAULT_TTL_SECONDS = 300;
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * List what is wrong with a registry entry
+ * @param {ContentEntry} entry
+ * @returns {string[]} Empty when the entry is usable
+ */
+function validateEntry(entry) {
+    const problems = [];
+    if (!entry || typeof entry !== 'object') {
+        return ['Entry must be an object'];
+    }
+    if (typeof entry.name !== 'string' || !NAME_PATTERN.test(entry.name)) {
+        problems.push('name must be lowercase letters, digits and dashes');
+    }
+    if (typeof entry.spreadsheetId !== 'string' || entry.spreadsheetId === '') {
+        problems.push('spreadsheetId is required');
+    }
+    if (typeof entry.tab !== 'string' || entry.tab === '') {
+        problems.push('tab is required');
+    }
+    if (!Object.prototype.hasOwnProperty.call(TRANSFORMS, entry.transform)) {
+        problems.push(`transform must be one of ${Object.keys(TRANSFORMS).join(', ')}`);
+    }
+    if (entry.options !== undefined && (typeof entry.options !== 'object' || entry.options === null)) {
+        problems.push('options must be an object');
+    }
+    if (entry.ttlSeconds !== undefined && !(Number.isInteger(entry.ttlSeconds) && entry.ttlSeconds >= 0)) {
+        problems.push('ttlSeconds must be a non-negative integer');
+    }
+    return problems;
+}
+
+/**
+ * Create the content service
+ * Entries are layered: built-in defaults, then config, then MongoDB; a later
+ * layer replaces an earlier entry with the same name.
+ * @param {Object} options
+ * @param {Function} options.fetchValues - (spreadsheetId, tab) => rows
+ * @param {ContentEntry[]} [options.registry] - Entries from config
+ * @param {Function} [options.getCollection] - Resolves a MongoDB collection by name
+ * @param {string} [options.registryCollection] - Collection holding extra entries
+ * @param {Object} [options.cache] - Cache from lib/cache.js; memory-only when omitted
+ * @param {number} [options.defaultTtlSeconds] - Freshness for entries without `ttlSeconds`
+ */
+function createSheetsContentService({
+    fetchValues,
+    registry = [],
+    getCollection,
+    registryCollection,
+    cache = createCache(),
+    defaultTtlSeconds = DEFAULT_TTL_SECONDS
+}) {
+    let entries = new Map();
+
+    const addEntries = (target, list, source) => {
+        for (const entry of list) {
+            const problems = validateEntry(entry);
+            if (problems.length > 0) {
+                log.warn('skipping invalid content entry', { source, name: entry && entry.name, problems });
+                continue;
+            }
+            target.set(entry.name, {
+                name: entry.name,
+                spreadsheetId: entry.spreadsheetId,
+                tab: entry.tab,
+                transform: entry.transform,
+                options: entry.options || {},
+                ttlSeconds: entry.ttlSeconds
+            });
+        }
+    };
+
+    /**
+     * Rebuild the registry, reading MongoDB when a collection is configured
+     * A MongoDB failure keeps the defaults and config entries.
+     * @returns {Promise<string[]>} Registered content names
+     */
+    const loadRegistry = async () => {
+        const next = new Map();
+        addEntries(next, DEFAULT_REGISTRY, 'defaults');
+        addEntries(next, registry, 'config');
+
+        if (getCollection && registryCollection) {
+            try {
+                const collection = await getCollection(registryCollection);
+                addEntries(next, await collection.find({}).toArray(), 'mongodb');
+            } catch (error) {
+                log.error('could not load content registry from MongoDB', { err: error });
+            }
+        }
+
+        entries = next;
+        return names();
+    };
+
+    const names = () => [...entries.keys()];
+
+    /**
+     * @param {string} name
+     * @returns {ContentEntry}
+     * @throws {NotFoundError} When nothing is registered under `name`
+     */
+    const getEntry = (name) => {
+        const entry = entries.get(name);
+        if (!entry) {
+            throw new NotFoundError(`Unknown content "${name}".`);
+        }
+        return entry;
+    };
+
+    const load = async (entry) => {
+        const rows = await fetchValues(entry.spreadsheetId, entry.tab);
+        return TRANSFORMS[entry.transform](rows || [], entry.options);
+    };
+
+    const ttlMsOf = (entry) =>
+        (entry.ttlSeconds !== undefined ? entry.ttlSeconds : defaultTtlSeconds) * 1000;
+
+    /**
+     * Read a content through the cache
+     * @param {string} name
+     * @returns {Promise<{value: *, etag: string, fetchedAt: number, stale: boolean}>}
+     */
+    const read = (name) => {
+        const entry = getEntry(name);
+        return cache.get(name, { ttlMs: ttlMsOf(entry), load: () => load(entry) });
+    };
+
+    /**
+     * Re-read contents from Google Sheets now, bypassing their TTL
+     * A failed refresh keeps the previous copy.
+     * @param {Object} [filter]
+     * @param {string[]} [filter.names] - Only these contents
+     * @param {string} [filter.spreadsheetId] - Only contents read from this spreadsheet
+     * @returns {Promise<Array<{name: string, ok: boolean, fetchedAt?: string, error?: string}>>}
+     */
+    const refresh = async ({ names: only, spreadsheetId } = {}) => {
+        const targets = only
+            ? only.map(getEntry)
+            : [...entries.values()].filter(entry => !spreadsheetId || entry.spreadsheetId === spreadsheetId);
+
+        return Promise.all(targets.map(async (entry) => {
+            try {
+                const { fetchedAt } = await cache.refresh(entry.name, () => load(entry));
+                return { name: entry.name, ok: true, fetchedAt: new Date(fetchedAt).toISOString() };
+            } catch (error) {
+                log.warn('content refresh failed', { name: entry.name, err: error });
+                return { name: entry.name, ok: false, error: error.message };
+            }
+        }));
+    };
+
+    /**
+     * @param {string} name
+     * @returns {Promise<*>} Transformed content
+     */
+    const get = async (name) => (await read(name)).value;
+
+    // Usable before loadRegistry() resolves
+    addEntries(entries, DEFAULT_REGISTRY, 'defaults');
+    addEntries(entries, registry, 'config');
+
+    return {
+        loadRegistry,
+        names,
+        getEntry,
+        read,
+        get,
+        refresh
+    };
+}
+
+module.exports = {
+    TRANSFORMS,
+    DEFAULT_REGISTRY,
+    validateEntry,
+    createSheetsContentService
+};
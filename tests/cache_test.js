@@ -0,0 +1,170 @@
+// tests/cache_test.js
+const assert = require('assert');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { createCache, createMemoryStore, computeEtag } = require('../lib/cache');
+
+const TTL_MS = 1000;
+
+/**
+ * A clock the test moves by hand
+ */
+const createClock = () => {
+    let time = 1000000;
+    const now = () => time;
+    now.advance = (ms) => {
+        time += ms;
+    };
+    return now;
+};
+
+/**
+ * A loader returning `v1`, `v2`, ... and counting its calls
+ */
+const createLoader = () => {
+    const loader = async () => {
+        loader.calls++;
+        if (loader.failing) {
+            throw new Error('Google Sheets unavailable');
+        }
+        return `v${loader.calls}`;
+    };
+    loader.calls = 0;
+    loader.failing = false;
+    return loader;
+};
+
+// Let a background refresh settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Validate the stale-while-revalidate cache
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateCache() {
+    const tests = [
+        // Test 1: Fresh entries don't reach the upstream
+        () => test('Should serve fresh entries from memory', async () => {
+            const now = createClock();
+            const load = createLoader();
+            const cache = createCache({ now });
+
+            const first = await cache.get('about', { ttlMs: TTL_MS, load });
+            now.advance(TTL_MS - 1);
+            const second = await cache.get('about', { ttlMs: TTL_MS, load });
+
+            assert.strictEqual(load.calls, 1);
+            assert.strictEqual(second.value, 'v1');
+            assert.strictEqual(second.stale, false);
+            assert.strictEqual(second.etag, first.etag);
+            assert.strictEqual(first.etag, computeEtag('v1'));
+        }),
+
+        // Test 2: Stale entries are served at once while a refresh runs
+        () => test('Should serve stale entries while revalidating', async () => {
+            const now = createClock();
+            const load = createLoader();
+            const cache = createCache({ now });
+
+            await cache.get('calendar', { ttlMs: TTL_MS, load });
+            now.advance(TTL_MS);
+            const stale = await cache.get('calendar', { ttlMs: TTL_MS, load });
+            assert.strictEqual(stale.value, 'v1');
+            assert.strictEqual(stale.stale, true);
+
+            await settle();
+            const refreshed = await cache.get('calendar', { ttlMs: TTL_MS, load });
+            assert.strictEqual(refreshed.value, 'v2');
+            assert.notStrictEqual(refreshed.etag, stale.etag);
+        }),
+
+        // Test 3: A burst of cold requests makes one upstream call
+        () => test('Should share one load between concurrent misses', async () => {
+            const load = createLoader();
+            const cache = createCache();
+
+            const results = await Promise.all([1, 2, 3].map(() => cache.get('faq', { ttlMs: TTL_MS, load })));
+            assert.strictEqual(load.calls, 1);
+            assert.deepStrictEqual(results.map(result => result.value), ['v1', 'v1', 'v1']);
+        }),
+
+        // Test 4: Upstream failures fall back to the last good copy
+        () => test('Should serve the last good copy when the upstream fails', () => quietly(async () => {
+            const now = createClock();
+            const load = createLoader();
+            const cache = createCache({ now, maxStaleMs: TTL_MS });
+
+            await cache.get('resources', { ttlMs: TTL_MS, load });
+            load.failing = true;
+
+            // Past the stale window the request waits for the refresh, then falls back
+            now.advance(TTL_MS * 5);
+            const fallback = await cache.get('resources', { ttlMs: TTL_MS, load });
+            assert.strictEqual(fallback.value, 'v1');
+            assert.strictEqual(fallback.stale, true);
+
+            const cold = createCache({ now });
+            await assert.rejects(cold.get('resources', { ttlMs: TTL_MS, load }), /Google Sheets unavailable/);
+        })),
+
+        // Test 5: A persisted copy survives a restart
+        () => test('Should read entries back from the persistent store', async () => {
+            const now = createClock();
+            const store = createMemoryStore();
+            const load = createLoader();
+
+            await createCache({ store, now }).get('about', { ttlMs: TTL_MS, load });
+
+            // A new process: empty memory, same store, Google down
+            load.failing = true;
+            const restarted = createCache({ store, now });
+            const entry = await restarted.get('about', { ttlMs: TTL_MS, load });
+            assert.strictEqual(entry.value, 'v1');
+            assert.strictEqual(load.calls, 1, 'Only the first process should have loaded');
+        }),
+
+        // Test 6: A refresh on one instance reaches the others through the shared store
+        () => test('Should serve refreshes made by another instance', async () => {
+            const now = createClock();
+            const store = createMemoryStore();
+            const load = createLoader();
+            const first = createCache({ store, now });
+            const second = createCache({ store, now });
+
+            await first.get('faq', { ttlMs: TTL_MS, load });
+            assert.strictEqual((await second.get('faq', { ttlMs: TTL_MS, load })).value, 'v1');
+
+            now.advance(10);
+            await first.refresh('faq', load);
+            const entry = await second.get('faq', { ttlMs: TTL_MS, load });
+            assert.strictEqual(entry.value, 'v2');
+            assert.strictEqual(entry.etag, computeEtag('v2'));
+            assert.strictEqual(load.calls, 2, 'The second instance should not have loaded');
+
+            // An unreachable store falls back to the memory copy
+            const failing = createCache({ store: { get: async () => { throw new Error('down'); }, set: async () => {} }, now });
+            await quietly(() => failing.get('faq', { ttlMs: TTL_MS, load }));
+            assert.strictEqual((await quietly(() => failing.get('faq', { ttlMs: TTL_MS, load }))).value, 'v3');
+            assert.strictEqual(load.calls, 3);
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running cache tests...');
+    validateCache().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Cache validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Cache validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateCache };
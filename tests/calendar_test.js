@@ -0,0 +1,147 @@
+// tests/calendar_test.js
+const assert = require('assert');
+const express = require('express');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { parseEvents, filterEvents, toJson, toICalendar } = require('../services/calendar');
+const { createSheetsContentService } = require('../services/sheetsContent');
+const setupCalendarRoutes = require('../routes/calendar_routes');
+const { errorHandler } = require('../middleware/errorHandler');
+
+// Rows as the "Events" tab returns them, header first and out of order
+const EVENT_ROWS = [
+    ['Title', 'Date', 'Start Time', 'End Time', 'Category', 'Location', 'Description'],
+    ['Harvest of the Month webinar', '10/15/2024', '3:00 PM', '4:30 PM', 'Webinar', 'Online', 'Squash, all month'],
+    ['School garden summit', '9/20/2024', '', '', 'Conference, Gardens', 'Phoenix; AZ', ''],
+    ['Seed swap', '11/2/2024', '10:00 AM', '', 'Gardens', 'Tucson', 'Bring seeds\nand friends'],
+    ['Untitled row without a date', '', '', '', '', '', '']
+];
+
+const toRecords = ([headers, ...rows]) =>
+    rows.map(row => headers.reduce((record, key, index) => ({ ...record, [key]: row[index] }), {}));
+
+/**
+ * Start the calendar routes on an ephemeral port over the fixture sheet
+ */
+const withApp = (fn) => quietly(async () => {
+    const app = express();
+    const contentService = createSheetsContentService({ fetchValues: async () => EVENT_ROWS });
+    setupCalendarRoutes(app, { contentService });
+    app.use(errorHandler);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+        await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+/**
+ * Validate event parsing, filtering and the calendar feeds
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateCalendar() {
+    const tests = [
+        // Test 1: Dates and times are read as Phoenix wall time and sorted
+        () => test('Should parse events in America/Phoenix and sort them', () => {
+            const events = parseEvents(toRecords(EVENT_ROWS));
+            assert.deepStrictEqual(events.map(event => event.title), [
+                'School garden summit',
+                'Harvest of the Month webinar',
+                'Seed swap'
+            ]);
+
+            const [summit, webinar, swap] = events.map(toJson);
+            assert.strictEqual(summit.allDay, true);
+            assert.strictEqual(summit.start, '2024-09-20');
+            assert.strictEqual(summit.end, '2024-09-21', 'All-day ends are exclusive');
+            assert.deepStrictEqual(summit.categories, ['Conference', 'Gardens']);
+            assert.strictEqual(webinar.start, '2024-10-15T15:00:00-07:00');
+            assert.strictEqual(webinar.end, '2024-10-15T16:30:00-07:00');
+            assert.strictEqual(swap.end, '2024-11-02T11:00:00-07:00', 'Should default to an hour');
+        }),
+
+        // Test 2: UIDs survive reordering and edits to other columns
+        () => test('Should give events stable UIDs', () => {
+            const records = toRecords(EVENT_ROWS);
+            const before = parseEvents(records).map(event => event.uid);
+
+            const edited = records.reverse().map(record => ({ ...record, Location: 'Flagstaff' }));
+            const after = parseEvents(edited).map(event => event.uid);
+            assert.deepStrictEqual(after, before);
+            assert.strictEqual(new Set(before).size, before.length);
+        }),
+
+        // Test 3: Date range, category and upcoming filters
+        () => test('Should filter by date range, category and upcoming', () => {
+            const events = parseEvents(toRecords(EVENT_ROWS));
+            const titles = (filtered) => filtered.map(event => event.title);
+
+            assert.deepStrictEqual(titles(filterEvents(events, { from: '2024-10-01', to: '2024-10-31' })), ['Harvest of the Month webinar']);
+            assert.deepStrictEqual(titles(filterEvents(events, { from: '2024-09-20', to: '2024-09-20' })), ['School garden summit']);
+            assert.deepStrictEqual(titles(filterEvents(events, { category: 'gardens' })), ['School garden summit', 'Seed swap']);
+
+            const now = () => new Date('2024-10-15T23:00:00Z').getTime(); // 4 PM in Phoenix
+            assert.deepStrictEqual(titles(filterEvents(events, { upcoming: true, now })), ['Harvest of the Month webinar', 'Seed swap']);
+        }),
+
+        // Test 4: The feed is valid iCalendar
+        () => test('Should render an iCalendar feed', () => {
+            const events = parseEvents(toRecords(EVENT_ROWS));
+            const feed = toICalendar(events, { name: 'Events', updatedAt: Date.UTC(2024, 8, 1) });
+            const lines = feed.split('\r\n');
+
+            assert.ok(feed.startsWith('BEGIN:VCALENDAR\r\n') && feed.endsWith('END:VCALENDAR\r\n'));
+            assert.ok(lines.includes('TZID:America/Phoenix'));
+            assert.ok(lines.includes('DTSTART;VALUE=DATE:20240920'));
+            assert.ok(lines.includes('DTSTART;TZID=America/Phoenix:20241015T150000'));
+            assert.ok(lines.includes('DTSTAMP:20240901T000000Z'));
+            assert.ok(lines.includes('LOCATION:Phoenix\\; AZ'));
+            assert.ok(lines.includes('DESCRIPTION:Bring seeds\\nand friends'));
+            assert.ok(lines.includes('CATEGORIES:Conference,Gardens'));
+            assert.strictEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 3);
+
+            const long = toICalendar([{ ...events[0], title: 'x'.repeat(200) }], { name: 'Events', updatedAt: 0 });
+            assert.ok(long.split('\r\n').every(line => Buffer.byteLength(line) <= 75), 'Should fold long lines');
+        }),
+
+        // Test 5: Both routes serve the filtered events
+        () => test('GET /calendar and /calendar.ics should apply query filters', () => withApp(async (baseUrl) => {
+            const json = await fetch(`${baseUrl}/calendar?from=2024-10-01`);
+            assert.strictEqual(json.status, 200);
+            assert.deepStrictEqual((await json.json()).map(event => event.title), ['Harvest of the Month webinar', 'Seed swap']);
+
+            const ics = await fetch(`${baseUrl}/calendar.ics?category=Webinar`);
+            assert.strictEqual(ics.status, 200);
+            assert.ok(ics.headers.get('content-type').startsWith('text/calendar'));
+            const feed = await ics.text();
+            assert.ok(feed.includes('SUMMARY:Harvest of the Month webinar'));
+            assert.ok(!feed.includes('SUMMARY:Seed swap'));
+
+            const invalid = await fetch(`${baseUrl}/calendar?from=2024-10-01&to=2024-09-01`);
+            assert.strictEqual(invalid.status, 400);
+        }))
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running calendar tests...');
+    validateCalendar().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Calendar validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Calendar validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateCalendar };
@@ -0,0 +1,162 @@
+// tests/errorHandler_test.js
+const assert = require('assert');
+const { test, runTests } = require('./testRunner.js');
+const { asyncHandler, errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+const requestId = require('../middleware/requestId');
+const { ValidationError, UpstreamError, NotFoundError } = require('../lib/errors');
+const { configureLogger } = require('../lib/logger');
+
+/**
+ * Minimal Express request/response doubles
+ */
+const mockRequest = ({ method = 'GET', path = '/', headers = {} } = {}) => ({
+    method,
+    path,
+    originalUrl: path,
+    headers,
+    get: (name) => headers[name.toLowerCase()]
+});
+
+const mockResponse = () => {
+    const res = { statusCode: 200, headers: {}, headersSent: false, body: undefined };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    res.set = (name, value) => {
+        res.headers[name.toLowerCase()] = value;
+        return res;
+    };
+    res.on = () => res;
+    return res;
+};
+
+/**
+ * Pass an error through the handler, capturing what it logs
+ */
+const handle = (error, req = mockRequest()) => {
+    const res = mockResponse();
+    const lines = [];
+    const previous = configureLogger({ write: (level, line) => lines.push(JSON.parse(line)) });
+    try {
+        errorHandler(error, req, res, () => {});
+    } finally {
+        configureLogger(previous);
+    }
+    res.logged = lines;
+    return res;
+};
+
+/**
+ * Validate the central error handler and request ids
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateErrorHandler() {
+    const tests = [
+        // Test 1: Typed errors keep their status, code and field errors
+        () => test('Should render typed errors in the envelope', () => {
+            const req = mockRequest();
+            req.id = 'req-12345678';
+            const res = handle(new ValidationError({ orgId: 'Is required' }), req);
+
+            assert.strictEqual(res.statusCode, 400, 'Should respond 400');
+            assert.deepStrictEqual(res.body, {
+                success: false,
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid request.',
+                errors: { orgId: 'Is required' },
+                correlationId: 'req-12345678'
+            });
+        }),
+
+        // Test 2: Unknown errors never leak their message
+        () => test('Should hide internal error details', () => {
+            const res = handle(new Error('connection string mongodb://secret@db'));
+
+            assert.strictEqual(res.statusCode, 500, 'Should respond 500');
+            assert.strictEqual(res.body.code, 'INTERNAL_ERROR');
+            assert.strictEqual(res.body.message, 'Internal server error.');
+            assert.strictEqual(res.logged.length, 1, 'Should log the failure');
+            assert.strictEqual(res.logged[0].err.message, 'connection string mongodb://secret@db');
+        }),
+
+        // Test 3: Upstream timeouts map to 504
+        () => test('Should map upstream timeouts to 504', () => {
+            const res = handle(new UpstreamError('NodeBB', undefined, { timeout: true }));
+
+            assert.strictEqual(res.statusCode, 504, 'Should respond 504');
+            assert.strictEqual(res.body.code, 'UPSTREAM_TIMEOUT');
+            assert.strictEqual(res.body.message, 'NodeBB is unavailable.');
+        }),
+
+        // Test 4: Malformed JSON bodies are client errors
+        () => test('Should map body parse failures to 400', () => {
+            const parseError = new SyntaxError('Unexpected token');
+            parseError.type = 'entity.parse.failed';
+            const res = handle(parseError);
+
+            assert.strictEqual(res.statusCode, 400, 'Should respond 400');
+            assert.deepStrictEqual(res.body.errors, { body: 'Malformed JSON body' });
+        }),
+
+        // Test 5: Rejected async handlers reach next
+        () => test('asyncHandler should forward rejections to next', async () => {
+            const failure = new NotFoundError('User not found');
+            let received = null;
+            await asyncHandler(async () => {
+                throw failure;
+            })(mockRequest(), mockResponse(), (err) => {
+                received = err;
+            });
+            assert.strictEqual(received, failure);
+        }),
+
+        // Test 6: Unmatched routes become 404s
+        () => test('notFoundHandler should raise a NotFoundError', () => {
+            let received = null;
+            notFoundHandler(mockRequest({ method: 'POST', path: '/nope' }), mockResponse(), (err) => {
+                received = err;
+            });
+            assert.ok(received instanceof NotFoundError, 'Should raise a NotFoundError');
+            assert.strictEqual(received.message, 'Cannot POST /nope');
+        }),
+
+        // Test 7: Well-formed incoming ids are reused, anything else is replaced
+        () => test('requestId should reuse only well-formed incoming ids', () => {
+            const trusted = mockRequest({ headers: { 'x-request-id': 'abc-12345678' } });
+            const trustedRes = mockResponse();
+            requestId(trusted, trustedRes, () => {});
+            assert.strictEqual(trusted.id, 'abc-12345678');
+            assert.strictEqual(trustedRes.headers['x-request-id'], 'abc-12345678');
+
+            const forged = mockRequest({ headers: { 'x-request-id': '<script>alert(1)</script>' } });
+            requestId(forged, mockResponse(), () => {});
+            assert.notStrictEqual(forged.id, '<script>alert(1)</script>');
+            assert.match(forged.id, /^[0-9a-f-]{36}$/);
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running error handler tests...');
+    validateErrorHandler().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Error handler validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Error handler validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateErrorHandler };
@@ -0,0 +1,81 @@
+// tests/fakeCollection.js
+// In-memory stand-in for the MongoDB collections the services use
+const { ObjectId } = require('mongodb');
+
+const sameValue = (actual, expected) => (expected === null ? actual == null : String(actual) === String(expected));
+
+/**
+ * Equality, `$in` (null matching a missing field) and `array.field` paths
+ */
+const matches = (doc, query) => Object.entries(query).every(([path, condition]) => {
+    const [head, field] = path.split('.');
+    const values = field ? (doc[head] || []).map(item => item[field]) : [doc[head]];
+    const expected = condition && condition.$in ? condition.$in : [condition];
+    return values.some(value => expected.some(candidate => sameValue(value, candidate)));
+});
+
+const apply = (doc, update) => {
+    Object.assign(doc, update.$set || {});
+    for (const field of Object.keys(update.$unset || {})) {
+        delete doc[field];
+    }
+    for (const [field, value] of Object.entries(update.$addToSet || {})) {
+        doc[field] = doc[field] || [];
+        if (!doc[field].some(item => JSON.stringify(item) === JSON.stringify(value))) {
+            doc[field].push(value);
+        }
+    }
+    for (const [field, condition] of Object.entries(update.$pull || {})) {
+        doc[field] = (doc[field] || []).filter(item => !matches(item, condition));
+    }
+};
+
+/**
+ * Just enough of a MongoDB collection for the services under test
+ * Reads return copies, so tests see stored state only through `docs`.
+ * @param {Object[]} [docs] - Initial documents, kept and updated in place
+ */
+const createFakeCollection = (docs = []) => ({
+    docs,
+    insertOne: async (doc) => {
+        const _id = doc._id || new ObjectId();
+        docs.push({ _id, ...doc });
+        return { insertedId: _id };
+    },
+    findOne: async (query) => {
+        const doc = docs.find(candidate => matches(candidate, query));
+        return doc ? { ...doc } : null;
+    },
+    updateOne: async (query, update) => {
+        const doc = docs.find(candidate => matches(candidate, query));
+        if (doc) {
+            apply(doc, update);
+        }
+        return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+    updateMany: async (query, update) => {
+        const found = docs.filter(doc => matches(doc, query));
+        found.forEach(doc => apply(doc, update));
+        return { matchedCount: found.length, modifiedCount: found.length };
+    },
+    find: (query) => {
+        let results = docs.filter(doc => matches(doc, query));
+        const cursor = {
+            sort: (spec) => {
+                const [[key, direction]] = Object.entries(spec);
+                results = [...results].sort((a, b) => (a[key] - b[key]) * direction);
+                return cursor;
+            },
+            limit: (count) => {
+                results = results.slice(0, count);
+                return cursor;
+            },
+            toArray: async () => results.map(doc => ({ ...doc }))
+        };
+        return cursor;
+    }
+});
+
+module.exports = {
+    createFakeCollection
+};
@@ -0,0 +1,153 @@
+// tests/health_test.js
+const assert = require('assert');
+const express = require('express');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { createHealthMonitor } = require('../lib/health');
+const setupHealthRoutes = require('../routes/health_routes');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const passing = () => Promise.resolve();
+const failing = (message) => () => Promise.reject(new Error(message));
+
+/**
+ * Start the health routes on an ephemeral port, optionally as a cached admin
+ */
+const startApp = (healthMonitor, { admin = false } = {}) => {
+    const app = express();
+    app.use((req, res, next) => {
+        req.session = admin
+            ? { user: { uid: 1, username: 'admin', roles: ['admin'], rolesCheckedAt: Date.now() }, csrfToken: 'token' }
+            : {};
+        next();
+    });
+    setupHealthRoutes(app, { healthMonitor });
+    app.use(errorHandler);
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+};
+
+const withApp = (healthMonitor, options, fn) => quietly(async () => {
+    const { server, baseUrl } = await startApp(healthMonitor, options);
+    try {
+        await fn(baseUrl);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+/**
+ * Validate dependency checks and the health endpoints
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateHealth() {
+    const tests = [
+        // Test 1: Ready only when every critical dependency answers
+        () => test('Should be ready when critical dependencies pass', () => quietly(async () => {
+            const monitor = createHealthMonitor([
+                { name: 'mongodb', check: passing },
+                { name: 'smtp', critical: false, check: failing('SMTP down') }
+            ]);
+            const { ready, dependencies } = await monitor.checkAll();
+            assert.strictEqual(ready, true, 'Non-critical failures should not block readiness');
+            assert.strictEqual(dependencies.smtp.ok, false);
+            assert.strictEqual(dependencies.smtp.lastError.message, 'SMTP down');
+            assert.strictEqual(typeof dependencies.mongodb.latencyMs, 'number');
+        })),
+
+        // Test 2: A critical failure makes the proxy unready
+        () => test('Should be unready when a critical dependency fails', () => quietly(async () => {
+            const monitor = createHealthMonitor([{ name: 'nodebb', check: failing('ECONNREFUSED') }]);
+            const { ready } = await monitor.checkAll();
+            assert.strictEqual(ready, false);
+        })),
+
+        // Test 3: Hanging dependencies are cut off
+        () => test('Should time out slow checks', () => quietly(async () => {
+            const monitor = createHealthMonitor([
+                { name: 'nodebb', timeoutMs: 20, check: () => new Promise(resolve => setTimeout(resolve, 500)) }
+            ]);
+            const { dependencies } = await monitor.checkAll();
+            assert.strictEqual(dependencies.nodebb.ok, false);
+            assert.match(dependencies.nodebb.lastError.message, /Timed out/);
+        })),
+
+        // Test 4: Recent results are reused, and the last error survives recovery
+        () => test('Should cache results and keep the last error', () => quietly(async () => {
+            let calls = 0;
+            let healthy = false;
+            const monitor = createHealthMonitor([{
+                name: 'mongodb',
+                check: async () => {
+                    calls++;
+                    if (!healthy) throw new Error('ping failed');
+                }
+            }]);
+
+            await monitor.checkAll();
+            await monitor.checkAll();
+            assert.strictEqual(calls, 1, 'Should reuse the cached result');
+
+            healthy = true;
+            const { dependencies } = await monitor.checkAll({ fresh: true });
+            assert.strictEqual(calls, 2);
+            assert.strictEqual(dependencies.mongodb.ok, true);
+            assert.strictEqual(dependencies.mongodb.lastError.message, 'ping failed');
+        })),
+
+        // Test 5: Probes report readiness through the status code
+        () => test('GET /readyz should answer 503 while a critical dependency fails', async () => {
+            const monitor = createHealthMonitor([{ name: 'mongodb', check: failing('ping failed') }]);
+            await withApp(monitor, {}, async (baseUrl) => {
+                const liveness = await fetch(`${baseUrl}/healthz`);
+                assert.strictEqual(liveness.status, 200, 'Liveness should not depend on MongoDB');
+
+                const readiness = await fetch(`${baseUrl}/readyz`);
+                assert.strictEqual(readiness.status, 503);
+                assert.deepStrictEqual(await readiness.json(), {
+                    status: 'not ready',
+                    checks: { mongodb: 'failing' }
+                });
+            });
+        }),
+
+        // Test 6: Dependency detail is for admins only
+        () => test('GET /status should require an admin and report details', async () => {
+            const monitor = createHealthMonitor([{ name: 'mongodb', check: passing }]);
+            await withApp(monitor, {}, async (baseUrl) => {
+                const response = await fetch(`${baseUrl}/status`);
+                assert.strictEqual(response.status, 401, 'Should refuse anonymous requests');
+            });
+            await withApp(monitor, { admin: true }, async (baseUrl) => {
+                const response = await fetch(`${baseUrl}/status`);
+                assert.strictEqual(response.status, 200);
+                const body = await response.json();
+                assert.strictEqual(body.dependencies.mongodb.ok, true);
+                assert.strictEqual(body.dependencies.mongodb.critical, true);
+            });
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running health tests...');
+    validateHealth().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Health validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Health checks validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateHealth };
@@ -0,0 +1,112 @@
+// tests/lifecycle_test.js
+const assert = require('assert');
+const express = require('express');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { createLifecycle } = require('../lib/lifecycle');
+
+/**
+ * Start an app with one slow route on an ephemeral port
+ */
+const startApp = (lifecycle, slowMs) => {
+    const app = express();
+    app.use(lifecycle.middleware);
+    app.get('/slow', (req, res) => {
+        setTimeout(() => res.json({ done: true }), slowMs);
+    });
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            lifecycle.setServer(server);
+            resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+};
+
+/**
+ * Validate graceful shutdown
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateLifecycle() {
+    const tests = [
+        // Test 1: In-flight requests complete before resources close
+        () => test('Should drain in-flight requests before closing resources', () => quietly(async () => {
+            const events = [];
+            const lifecycle = createLifecycle({ drainTimeoutMs: 2000 });
+            lifecycle.register('mongodb', async () => events.push('mongodb closed'));
+            const { server, baseUrl } = await startApp(lifecycle, 100);
+
+            const pending = fetch(`${baseUrl}/slow`).then(async (response) => {
+                events.push('response');
+                return response.json();
+            });
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            const exitCode = await lifecycle.shutdown('test');
+            assert.deepStrictEqual(await pending, { done: true });
+            assert.strictEqual(exitCode, 0);
+            assert.deepStrictEqual(events, ['response', 'mongodb closed']);
+            assert.strictEqual(server.listening, false, 'Should stop listening');
+            assert.strictEqual(lifecycle.isShuttingDown(), true);
+        })),
+
+        // Test 2: Resources close in reverse registration order, failures are reported
+        () => test('Should close resources in reverse order', () => quietly(async () => {
+            const closed = [];
+            const lifecycle = createLifecycle();
+            lifecycle.register('mongodb', async () => closed.push('mongodb'));
+            lifecycle.register('smtp', async () => {
+                closed.push('smtp');
+                throw new Error('already closed');
+            });
+
+            const exitCode = await lifecycle.shutdown('test');
+            assert.deepStrictEqual(closed, ['smtp', 'mongodb']);
+            assert.strictEqual(exitCode, 1, 'Should report the failed close');
+        })),
+
+        // Test 3: Repeated signals don't close things twice
+        () => test('Should only shut down once', () => quietly(async () => {
+            let closes = 0;
+            const lifecycle = createLifecycle();
+            lifecycle.register('mongodb', async () => closes++);
+
+            await Promise.all([lifecycle.shutdown('SIGTERM'), lifecycle.shutdown('SIGINT')]);
+            assert.strictEqual(closes, 1);
+        })),
+
+        // Test 4: Stuck requests don't block shutdown forever
+        () => test('Should force-close connections after the drain timeout', () => quietly(async () => {
+            const lifecycle = createLifecycle({ drainTimeoutMs: 50 });
+            const { server, baseUrl } = await startApp(lifecycle, 5000);
+
+            const pending = fetch(`${baseUrl}/slow`).catch(error => error);
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            const startedAt = Date.now();
+            await lifecycle.shutdown('test');
+            assert.ok(Date.now() - startedAt < 1000, 'Should not wait for the slow request');
+            assert.ok(await pending instanceof Error, 'Should cut the stuck request');
+            assert.strictEqual(server.listening, false);
+        }))
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running lifecycle tests...');
+    validateLifecycle().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Lifecycle validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Lifecycle validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateLifecycle };
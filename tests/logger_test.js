@@ -0,0 +1,145 @@
+// tests/logger_test.js
+const assert = require('assert');
+const { test, runTests } = require('./testRunner.js');
+const { createLogger, configureLogger, runWithRequestId, redact } = require('../lib/logger');
+const { nodeBB } = require('../third_party/nodebb');
+
+/**
+ * Run `fn` with log output captured as parsed entries
+ */
+const capture = async (fn, level = 'debug') => {
+    const entries = [];
+    const previous = configureLogger({ level, write: (lineLevel, line) => entries.push(JSON.parse(line)) });
+    try {
+        await fn();
+    } finally {
+        configureLogger(previous);
+    }
+    return entries;
+};
+
+/**
+ * Validate the structured logger
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateLogger() {
+    const tests = [
+        // Test 1: Entries are JSON with level, message and bindings
+        () => test('Should write one JSON entry per call', async () => {
+            const entries = await capture(() => {
+                createLogger({ module: 'test' }).info('hello', { count: 2 });
+            });
+            assert.strictEqual(entries.length, 1);
+            assert.strictEqual(entries[0].level, 'info');
+            assert.strictEqual(entries[0].msg, 'hello');
+            assert.strictEqual(entries[0].module, 'test');
+            assert.strictEqual(entries[0].count, 2);
+            assert.ok(!Number.isNaN(Date.parse(entries[0].time)), 'Should include a timestamp');
+        }),
+
+        // Test 2: Entries below the configured level are dropped
+        () => test('Should respect the configured level', async () => {
+            const entries = await capture(() => {
+                const log = createLogger();
+                log.debug('noise');
+                log.info('still noise');
+                log.warn('kept');
+            }, 'warn');
+            assert.deepStrictEqual(entries.map(entry => entry.msg), ['kept']);
+        }),
+
+        // Test 3: Credentials, cookies and email addresses never reach the output
+        () => test('Should redact passwords, cookies and emails', () => {
+            const redacted = redact({
+                username: 'member',
+                password: 'hunter2',
+                email: 'member@example.org',
+                headers: { Cookie: 'express.sid=abc', 'X-CSRF-Token': 'xyz' },
+                note: 'contact member@example.org'
+            });
+            assert.deepStrictEqual(redacted, {
+                username: 'member',
+                password: '[REDACTED]',
+                email: '[REDACTED]',
+                headers: { Cookie: '[REDACTED]', 'X-CSRF-Token': '[REDACTED]' },
+                note: 'contact [REDACTED]'
+            });
+        }),
+
+        // Test 4: Sensitive suffixes are redacted, keys that only contain a word are kept
+        () => test('Should redact by suffix and keep non-sensitive keys', () => {
+            const redacted = redact({
+                passed: 3, bypass: false, sessionCount: 2, key: 'content:faq',
+                newPassword: 'x', sessionId: 'abc', clientSecret: 'y',
+                sessionCookie: 'sid=1', apiKey: 'k1', api_key: 'k2', private_key: 'k3', 'set-cookie': 'sid=2'
+            });
+            assert.deepStrictEqual(redacted, {
+                passed: 3,
+                bypass: false,
+                sessionCount: 2,
+                key: 'content:faq',
+                newPassword: '[REDACTED]',
+                sessionId: '[REDACTED]',
+                clientSecret: '[REDACTED]',
+                sessionCookie: '[REDACTED]',
+                apiKey: '[REDACTED]',
+                api_key: '[REDACTED]',
+                private_key: '[REDACTED]',
+                'set-cookie': '[REDACTED]'
+            });
+        }),
+
+        // Test 5: Errors are reduced to safe fields
+        () => test('Should serialize errors without their request config', async () => {
+            const error = new Error('Request failed for member@example.org');
+            error.config = { url: '/api/user', headers: { Cookie: 'express.sid=abc' } };
+            error.response = { status: 502 };
+
+            const entries = await capture(() => createLogger().error('failed', { err: error }));
+            const logged = entries[0].err;
+            assert.strictEqual(logged.message, 'Request failed for [REDACTED]');
+            assert.strictEqual(logged.responseStatus, 502);
+            assert.strictEqual(logged.url, '/api/user');
+            assert.strictEqual(logged.config, undefined, 'Should drop the request config');
+        }),
+
+        // Test 6: Entries inside a request carry its id
+        () => test('Should tag entries with the current request id', async () => {
+            const entries = await capture(() => runWithRequestId('req-abcdef12', async () => {
+                await Promise.resolve();
+                createLogger().info('inside');
+            }));
+            assert.strictEqual(entries[0].requestId, 'req-abcdef12');
+        }),
+
+        // Test 7: NodeBB calls forward the request id
+        () => test('NodeBB client should send the request id header', async () => {
+            const [interceptor] = nodeBB.api.interceptors.request.handlers.filter(Boolean);
+            const config = await runWithRequestId('req-abcdef12', () => interceptor.fulfilled({ headers: {} }));
+            assert.strictEqual(config.headers['X-Request-Id'], 'req-abcdef12');
+
+            const outside = await interceptor.fulfilled({ headers: {} });
+            assert.strictEqual(outside.headers['X-Request-Id'], undefined);
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running logger tests...');
+    validateLogger().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Logger validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Logger validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateLogger };
@@ -0,0 +1,170 @@
+// tests/memberRoutes_test.js
+const assert = require('assert');
+const express = require('express');
+const { test, runTests } = require('./testRunner.js');
+const setupLegacyRoutes = require('../routes/legacy_routes');
+const requestId = require('../middleware/requestId');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+const { configureLogger } = require('../lib/logger');
+const { loadConfig } = require('../lib/config');
+
+const TOKEN = 'nodebb-csrf-token';
+const MEMBER_UID = 7;
+const OTHER_UID = 99;
+const TEST_CONFIG = loadConfig({
+    SESSION_COOKIE_SECRET: 'test-secret',
+    NODEBB_SERVICE_URL: 'http://nodebb.test',
+    MONGO_NODEBB_COLLECTION: 'objects',
+    MONGO_LOCAL: 'true'
+});
+
+/**
+ * In-memory stand-in for the NodeBB `objects` collection, recording every filter it sees
+ */
+const createObjectsCollection = () => {
+    const docs = new Map([
+        [`user:${MEMBER_UID}`, { _key: `user:${MEMBER_UID}`, uid: MEMBER_UID, fullname: 'Member', checklistSteps: { profile: true } }],
+        [`user:${OTHER_UID}`, { _key: `user:${OTHER_UID}`, uid: OTHER_UID, fullname: 'Other', checklistSteps: { other: true } }]
+    ]);
+    const filters = [];
+
+    return {
+        docs,
+        filters,
+        async findOne(filter) {
+            filters.push(filter);
+            return docs.get(filter._key) || null;
+        },
+        async updateOne(filter, update) {
+            filters.push(filter);
+            const doc = docs.get(filter._key);
+            if (!doc) {
+                return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+            }
+            for (const [key, value] of Object.entries(update.$set || {})) {
+                const [head, ...rest] = key.split('.');
+                if (rest.length) {
+                    doc[head] = { ...doc[head], [rest.join('.')]: value };
+                } else {
+                    doc[key] = value;
+                }
+            }
+            return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+        }
+    };
+};
+
+/**
+ * Start the legacy routes on an ephemeral port with a logged-in member session
+ */
+const startApp = (objects) => {
+    const app = express();
+    app.use(requestId);
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.session = {
+            user: { uid: MEMBER_UID, username: 'member', validEmail: true },
+            csrfToken: TOKEN
+        };
+        next();
+    });
+    setupLegacyRoutes(app, { config: TEST_CONFIG, getCollection: async () => objects });
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve({ server, baseUrl });
+        });
+    });
+};
+
+const request = (baseUrl, method, path, body) => fetch(baseUrl + path, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': TOKEN },
+    body: body === undefined ? undefined : JSON.stringify(body)
+});
+
+/**
+ * Run a test body against a fresh app and collection
+ */
+const withApp = (fn) => async () => {
+    const objects = createObjectsCollection();
+    const { server, baseUrl } = await startApp(objects);
+    // Keep access logs out of the test output
+    const previousLogger = configureLogger({ level: 'silent' });
+    try {
+        await fn(baseUrl, objects);
+    } finally {
+        configureLogger(previousLogger);
+        await new Promise(resolve => server.close(resolve));
+    }
+};
+
+/**
+ * Validate that member routes act on the logged-in member's record
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateMemberRoutes() {
+    const tests = [
+        // Test 1: PUT /user updates the session member only
+        () => test('PUT /user should update the logged-in member', withApp(async (baseUrl, objects) => {
+            const response = await request(baseUrl, 'PUT', '/user', { fullname: 'Renamed' });
+
+            assert.strictEqual(response.status, 200, 'Should respond 200');
+            assert.strictEqual(objects.docs.get(`user:${MEMBER_UID}`).fullname, 'Renamed');
+            assert.strictEqual(objects.docs.get(`user:${OTHER_UID}`).fullname, 'Other');
+            assert.ok(objects.filters.every(filter => filter._key === `user:${MEMBER_UID}`),
+                'Should only query the session member');
+        })),
+
+        // Test 2: A uid in the body cannot redirect the update
+        () => test('PUT /user should not accept a uid from the body', withApp(async (baseUrl, objects) => {
+            const response = await request(baseUrl, 'PUT', '/user', { uid: OTHER_UID, fullname: 'Hijacked' });
+
+            assert.strictEqual(response.status, 400, 'Should respond 400');
+            const body = await response.json();
+            assert.strictEqual(body.code, 'VALIDATION_ERROR');
+            assert.strictEqual(body.correlationId, response.headers.get('x-request-id'));
+            assert.strictEqual(objects.docs.get(`user:${OTHER_UID}`).fullname, 'Other');
+        })),
+
+        // Test 3: GET /user-checklist reads the session member
+        () => test('GET /user-checklist should read the logged-in member', withApp(async (baseUrl) => {
+            const response = await request(baseUrl, 'GET', '/user-checklist');
+
+            assert.strictEqual(response.status, 200, 'Should respond 200');
+            assert.deepStrictEqual(await response.json(), { profile: true });
+        })),
+
+        // Test 4: PUT /update-checklist-step writes the session member
+        () => test('PUT /update-checklist-step should update the logged-in member', withApp(async (baseUrl, objects) => {
+            const response = await request(baseUrl, 'PUT', '/update-checklist-step', { step: 'map' });
+
+            assert.strictEqual(response.status, 200, 'Should respond 200');
+            assert.strictEqual(objects.docs.get(`user:${MEMBER_UID}`).checklistSteps.map, true);
+            assert.strictEqual(objects.docs.get(`user:${OTHER_UID}`).checklistSteps.map, undefined);
+        }))
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running member route tests...');
+    validateMemberRoutes().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Member route tests failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Member routes validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateMemberRoutes };
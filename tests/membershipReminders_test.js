@@ -0,0 +1,200 @@
+// tests/membershipReminders_test.js
+const assert = require('assert');
+const express = require('express');
+const dayjs = require('dayjs');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { daysUntil, createRenewalReminderService } = require('../services/membershipReminders');
+const setupMembershipRoutes = require('../routes/membership_routes');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+
+const TOKEN = 'csrf-token';
+// 10:30 AM in Arizona
+const NOW = new Date('2024-10-15T17:30:00Z');
+
+/**
+ * A verified member whose renewdate is `days` days out, stored the way /accept-membership writes it
+ */
+const memberExpiringIn = (uid, days, extra = {}) => ({
+    uid,
+    fullname: `Member ${uid}`,
+    email: `member${uid}@example.org`,
+    memberstatus: 'verified',
+    renewdate: dayjs(NOW).add(days, 'day').toString(),
+    ...extra
+});
+
+const MEMBERS = [
+    memberExpiringIn(1, 30),
+    memberExpiringIn(2, 20),
+    memberExpiringIn(3, 14),
+    memberExpiringIn(4, 1),
+    memberExpiringIn(5, 45),
+    memberExpiringIn(6, -3),
+    memberExpiringIn(7, 5, { memberstatus: 'pending' }),
+    memberExpiringIn(8, 10, { renewdate: 'not a date' })
+];
+
+/**
+ * Reminder service over an in-memory reminder collection with a unique _id
+ */
+const createService = ({ members = MEMBERS, sendMail } = {}) => {
+    let clock = NOW;
+    const claimed = new Map();
+    const mail = [];
+    const reminders = createRenewalReminderService({
+        membership: { list: async (state) => members.filter(member => member.memberstatus === state) },
+        getCollection: async () => ({
+            insertOne: async (doc) => {
+                if (claimed.has(doc._id)) {
+                    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+                }
+                claimed.set(doc._id, doc);
+            },
+            deleteOne: async ({ _id }) => {
+                claimed.delete(_id);
+            }
+        }),
+        collectionName: 'membership_reminders',
+        sendMail: sendMail || (async (message) => mail.push(message)),
+        renewUrl: 'https://azfarmtoschool.org/renew',
+        adminEmail: 'contact@azfarmtoschool.org',
+        now: () => clock
+    });
+    const setNow = (date) => {
+        clock = date;
+    };
+    return { reminders, claimed, mail, setNow };
+};
+
+/**
+ * Start the membership routes with an admin session
+ */
+const withApp = (reminders, fn) => quietly(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.session = {
+            user: { uid: 1, username: 'admin', roles: ['admin'], rolesCheckedAt: Date.now() },
+            csrfToken: TOKEN
+        };
+        next();
+    });
+    setupMembershipRoutes(app, { membership: {}, reminders });
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+        await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+/**
+ * Validate renewal reminders and the expiration summary
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateMembershipReminders() {
+    const tests = [
+        // Test 1: Days are counted in Arizona, and only running memberships are listed
+        () => test('Should list upcoming expirations', () => quietly(async () => {
+            assert.strictEqual(daysUntil('2024-10-16T06:00:00Z', NOW), 0, '11 PM the same evening in Arizona');
+            assert.strictEqual(daysUntil('2024-10-16T08:00:00Z', NOW), 1);
+            assert.strictEqual(daysUntil('2024-10-14T17:30:00Z', NOW), -1);
+
+            const { reminders } = createService();
+            const upcoming = await reminders.upcoming();
+            assert.deepStrictEqual(upcoming.map(member => [member.uid, member.daysLeft]), [[4, 1], [3, 14], [2, 20], [1, 30]]);
+            assert.deepStrictEqual((await reminders.upcoming({ withinDays: 14 })).map(member => member.uid), [4, 3]);
+        })),
+
+        // Test 2: Each due reminder is sent once, with the renewal link, and admins get a digest
+        () => test('Should send due reminders once', () => quietly(async () => {
+            const { reminders, mail } = createService();
+
+            const first = await reminders.run();
+            assert.deepStrictEqual(first.sent, [{ uid: 4, days: 1 }, { uid: 3, days: 14 }, { uid: 2, days: 30 }, { uid: 1, days: 30 }]);
+            const toMembers = mail.filter(message => message.to !== 'contact@azfarmtoschool.org');
+            assert.strictEqual(toMembers.length, 4);
+            assert.ok(toMembers[0].subject.endsWith('expires tomorrow'));
+            assert.ok(toMembers.every(message => message.html.includes('https://azfarmtoschool.org/renew')));
+
+            const digest = mail.find(message => message.to === 'contact@azfarmtoschool.org');
+            assert.ok(digest.subject.startsWith('4 membership(s)'));
+            assert.ok(digest.html.includes('Member 4') && digest.html.includes('1-day reminder sent'));
+
+            mail.length = 0;
+            const again = await reminders.run();
+            assert.deepStrictEqual([again.sent.length, again.skipped], [0, 4]);
+            assert.deepStrictEqual(mail.map(message => message.to), ['contact@azfarmtoschool.org']);
+        })),
+
+        // Test 3: The next threshold sends again; failed sends are retried
+        () => test('Should send later reminders and retry failures', () => quietly(async () => {
+            let failing = true;
+            const delivered = [];
+            const { reminders, claimed, setNow } = createService({
+                members: [memberExpiringIn(1, 30), memberExpiringIn(2, 30, { email: null })],
+                sendMail: async (message) => {
+                    if (failing && message.to === 'member1@example.org') {
+                        throw new Error('SMTP down');
+                    }
+                    delivered.push(message.to);
+                }
+            });
+
+            const failed = await reminders.run();
+            assert.deepStrictEqual(failed.failed, [{ uid: 1, days: 30 }]);
+            assert.strictEqual(failed.skipped, 1, 'Members without an email are skipped');
+            assert.strictEqual(claimed.size, 0, 'A failed send is not recorded');
+
+            failing = false;
+            assert.deepStrictEqual((await reminders.run()).sent, [{ uid: 1, days: 30 }]);
+
+            setNow(dayjs(NOW).add(16, 'day').toDate());
+            assert.deepStrictEqual((await reminders.run()).sent, [{ uid: 1, days: 14 }]);
+            assert.deepStrictEqual(delivered.filter(to => to === 'member1@example.org').length, 2);
+        })),
+
+        // Test 4: Admins can see expirations and send reminders on demand
+        () => test('Reminder routes should list and send', async () => {
+            const { reminders } = createService();
+
+            await withApp(reminders, async (baseUrl) => {
+                const { members } = await (await fetch(`${baseUrl}/membership/expirations?days=14`)).json();
+                assert.deepStrictEqual(members.map(member => member.uid), [4, 3]);
+                assert.strictEqual((await fetch(`${baseUrl}/membership/expirations?days=-1`)).status, 400);
+
+                const response = await fetch(`${baseUrl}/membership/reminders`, {
+                    method: 'POST',
+                    headers: { 'X-CSRF-Token': TOKEN }
+                });
+                const { summary } = await response.json();
+                assert.strictEqual(summary.sent.length, 4);
+            });
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running membership reminder tests...');
+    validateMembershipReminders().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Membership reminder validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Membership reminders validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateMembershipReminders };
@@ -0,0 +1,379 @@
+// tests/membership_test.js
+const assert = require('assert');
+const express = require('express');
+const dayjs = require('dayjs');
+const { ObjectId } = require('mongodb');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { createFakeCollection } = require('./fakeCollection');
+const { stateOf, allowedEvents, createMembershipService } = require('../services/membership');
+const { createGroupSync } = require('../services/memberGroups');
+const { createMembershipExpiryService } = require('../services/membershipExpiry');
+const setupMembershipRoutes = require('../routes/membership_routes');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+
+const TOKEN = 'csrf-token';
+const NOW = new Date('2024-10-15T17:30:00Z');
+const MEMBER_UID = 7;
+const ORG_ID = new ObjectId();
+
+const FORM = { fullname: 'Ana Member', groups: ['School Gardens'], organizations: [{ _id: String(ORG_ID) }], city: 'Tempe' };
+
+/**
+ * Membership service over fake collections, recording group changes and emails
+ */
+const createService = (user = {}, { groups } = {}) => {
+    let clock = NOW;
+    const collections = {
+        objects: createFakeCollection([{ _key: `user:${MEMBER_UID}`, uid: MEMBER_UID, email: 'ana@example.org', ...user }]),
+        organizations: createFakeCollection([{ _id: ORG_ID, name: 'Desert Gardens', members: [] }]),
+        membership_history: createFakeCollection()
+    };
+    const calls = [];
+    const mail = [];
+    const membership = createMembershipService({
+        getCollection: async (name) => collections[name],
+        historyCollection: 'membership_history',
+        workGroups: ['School Gardens', 'Youth Leaders'],
+        groups: groups || {
+            add: async (uid, names, auth) => calls.push(['add', uid, names, auth]),
+            remove: async (uid, names, auth) => calls.push(['remove', uid, names, auth])
+        },
+        sendMail: async (message) => mail.push(message),
+        now: () => clock
+    });
+    const member = () => collections.objects.docs[0];
+    const setNow = (date) => {
+        clock = date;
+    };
+    return { membership, collections, calls, mail, member, setNow };
+};
+
+const asMember = { actor: { uid: MEMBER_UID, role: 'member' } };
+const asAdmin = { actor: { uid: 1, role: 'admin' }, auth: { cookie: 'admin-session' } };
+
+/**
+ * Start the membership routes with the given services and session user
+ */
+const withApp = (services, sessionUser, fn) => quietly(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.session = { user: { rolesCheckedAt: Date.now(), ...sessionUser }, csrfToken: TOKEN };
+        next();
+    });
+    setupMembershipRoutes(app, services);
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+        await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+const put = (url, body) => fetch(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': TOKEN },
+    body: body === undefined ? undefined : JSON.stringify(body)
+});
+
+/**
+ * Validate the membership lifecycle, its side effects and routes
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateMembership() {
+    const tests = [
+        // Test 1: Older records map onto the lifecycle
+        () => test('Should read states and the events they allow', () => {
+            assert.strictEqual(stateOf({}), 'draft');
+            assert.strictEqual(stateOf({ memberstatus: 'unverified' }), 'draft');
+            assert.strictEqual(stateOf({ memberstatus: 'expired' }), 'expired');
+            assert.deepStrictEqual(allowedEvents('verified', 'member'), ['renew', 'withdraw']);
+            assert.deepStrictEqual(allowedEvents('pending', 'admin'), ['verify', 'deny']);
+            assert.deepStrictEqual(allowedEvents('verified', 'system'), ['expire']);
+        }),
+
+        // Test 2: Submitting and verifying sync groups and organizations, email and record
+        () => test('Should submit and verify a membership', () => quietly(async () => {
+            const { membership, collections, calls, mail, member } = createService({ memberstatus: 'unverified' });
+
+            const submitted = await membership.transition(MEMBER_UID, 'submit', { ...asMember, data: FORM });
+            assert.deepStrictEqual([submitted.from, submitted.to], ['draft', 'pending']);
+            assert.strictEqual(member().appearoncontactlist, true);
+
+            const verified = await membership.transition(MEMBER_UID, 'verify', asAdmin);
+            assert.deepStrictEqual(verified.failedEffects, []);
+            assert.strictEqual(verified.user.memberstatus, 'verified');
+            assert.strictEqual(verified.user.recentlyverified, true);
+            assert.ok(dayjs(verified.user.renewdate).isSame(dayjs(NOW).add(1, 'year'), 'day'));
+            assert.deepStrictEqual(calls, [['add', MEMBER_UID, ['School Gardens', 'Network Member'], { cookie: 'admin-session' }]]);
+            assert.deepStrictEqual(collections.organizations.docs[0].members, [{ uid: MEMBER_UID, name: 'Ana Member' }]);
+            assert.strictEqual(mail.length, 1);
+            assert.strictEqual(mail[0].to, 'ana@example.org');
+
+            const history = await membership.history(MEMBER_UID);
+            assert.deepStrictEqual(history.map(entry => [entry.event, entry.from, entry.to]).sort(),
+                [['submit', 'draft', 'pending'], ['verify', 'pending', 'verified']]);
+            assert.deepStrictEqual(history.map(entry => entry.actorUid).sort(), [1, MEMBER_UID]);
+        })),
+
+        // Test 3: Only configured work groups are joined or left, whatever the form asked for
+        () => test('Should only sync work groups', () => quietly(async () => {
+            const { membership, calls } = createService({ memberstatus: 'pending', groups: ['School Gardens', 'administrators', 'Private Board'] });
+
+            await membership.transition(MEMBER_UID, 'verify', asAdmin);
+            await membership.transition(MEMBER_UID, 'deny', asAdmin);
+            assert.deepStrictEqual(calls.map(([action, , names]) => [action, names]), [
+                ['add', ['School Gardens', 'Network Member']],
+                ['remove', ['School Gardens', 'Network Member']]
+            ]);
+        })),
+
+        // Test 4: Illegal jumps, wrong actors and lost races change nothing
+        () => test('Should refuse transitions the lifecycle does not allow', () => quietly(async () => {
+            const { membership, collections, calls } = createService();
+
+            await assert.rejects(() => membership.transition(MEMBER_UID, 'verify', asAdmin),
+                (error) => error.status === 409 && error.code === 'INVALID_TRANSITION');
+            await assert.rejects(() => membership.transition(MEMBER_UID, 'submit', asAdmin), (error) => error.status === 403);
+            await assert.rejects(() => membership.transition(99, 'submit', asMember), (error) => error.status === 404);
+            assert.strictEqual(collections.membership_history.docs.length, 0);
+
+            await membership.transition(MEMBER_UID, 'submit', { ...asMember, data: FORM });
+            const outcomes = await Promise.allSettled([
+                membership.transition(MEMBER_UID, 'verify', asAdmin),
+                membership.transition(MEMBER_UID, 'verify', asAdmin)
+            ]);
+            assert.deepStrictEqual(outcomes.map(outcome => outcome.status).sort(), ['fulfilled', 'rejected']);
+            assert.strictEqual(collections.membership_history.docs.length, 2);
+            assert.strictEqual(calls.length, 1, 'Groups should be synced once');
+
+            // A malformed organization id saved before ids were checked fails that step only
+            const stale = createService({ memberstatus: 'pending', organizations: [{ _id: 'x' }] });
+            const verified = await stale.membership.transition(MEMBER_UID, 'verify', asAdmin);
+            assert.deepStrictEqual(verified.failedEffects, ['organizations']);
+            assert.strictEqual(stale.calls.length, 1, 'Groups are still synced');
+            assert.deepStrictEqual(stale.collections.membership_history.docs[0].failedEffects, ['organizations']);
+        })),
+
+        // Test 5: Leaving undoes verification, even when NodeBB fails
+        () => test('Should remove denied members from groups and organizations', () => quietly(async () => {
+            const failing = { add: async () => {}, remove: async () => { throw new Error('NodeBB down'); } };
+            const { membership, collections, mail, member } = createService({}, { groups: failing });
+            await membership.transition(MEMBER_UID, 'submit', { ...asMember, data: FORM });
+            await membership.transition(MEMBER_UID, 'verify', asAdmin);
+
+            const denied = await membership.transition(MEMBER_UID, 'deny', asAdmin);
+            assert.deepStrictEqual(denied.failedEffects, ['groups']);
+            assert.strictEqual(member().memberstatus, 'denied');
+            assert.strictEqual(member().groups, undefined);
+            assert.strictEqual(member().city, undefined);
+            assert.deepStrictEqual(collections.organizations.docs[0].members, []);
+            assert.deepStrictEqual(mail.map(message => message.subject.includes('Update')), [false, true]);
+            assert.deepStrictEqual(collections.membership_history.docs[2].failedEffects, ['groups']);
+
+            // Denied members may apply again
+            await membership.transition(MEMBER_UID, 'submit', { ...asMember, data: FORM });
+            assert.strictEqual(member().memberstatus, 'pending');
+        })),
+
+        // Test 6: Renewing early extends from the current renewal date
+        () => test('Should extend renewals from the running membership', () => quietly(async () => {
+            const renewdate = dayjs(NOW).add(20, 'day').toString();
+            const { membership, calls, member, setNow } = createService({
+                memberstatus: 'verified', membershipdate: 'Mon, 02 Oct 2023 10:00:00 GMT', renewdate, groups: ['School Gardens']
+            });
+
+            await membership.transition(MEMBER_UID, 'renew', { ...asMember, data: { city: 'Mesa' } });
+            assert.deepStrictEqual([member().memberstatus, member().renewrequested, member().city], ['pending', true, 'Mesa']);
+            await membership.transition(MEMBER_UID, 'verify', asAdmin);
+            assert.ok(dayjs(member().renewdate).isSame(dayjs(renewdate).add(1, 'year'), 'day'));
+            assert.strictEqual(member().recentlyverified, false);
+            assert.strictEqual(member().renewrequested, undefined);
+
+            // Verifying again later leaves the date alone until it is renewed
+            await membership.transition(MEMBER_UID, 'withdraw', asMember);
+            assert.strictEqual(calls[calls.length - 1][0], 'remove');
+            setNow(dayjs(NOW).add(2, 'year').toDate());
+            await membership.transition(MEMBER_UID, 'submit', { ...asMember, data: FORM });
+            await membership.transition(MEMBER_UID, 'verify', asAdmin);
+            assert.strictEqual(member().recentlyverified, true);
+        })),
+
+        // Test 7: Routes act for the session member, admins act on a userId
+        () => test('Membership routes should go through the lifecycle', async () => {
+            const { membership, member } = createService();
+            const memberSession = { uid: MEMBER_UID, username: 'ana', validEmail: true, roles: [] };
+            const adminSession = { uid: 1, username: 'admin', roles: ['admin'] };
+
+            await withApp({ membership }, memberSession, async (baseUrl) => {
+                const submitted = await put(`${baseUrl}/submit-form`, { user: FORM });
+                assert.strictEqual(submitted.status, 200);
+                assert.strictEqual((await submitted.json()).user.memberstatus, 'pending');
+
+                const again = await put(`${baseUrl}/submit-form`, { user: FORM });
+                assert.strictEqual(again.status, 409);
+                assert.strictEqual((await again.json()).code, 'INVALID_TRANSITION');
+
+                const state = await (await fetch(`${baseUrl}/membership`)).json();
+                assert.deepStrictEqual(state, { state: 'pending', events: ['withdraw'], renewdate: null });
+                assert.strictEqual((await put(`${baseUrl}/accept-membership`, { userId: MEMBER_UID })).status, 403);
+            });
+
+            await withApp({ membership }, adminSession, async (baseUrl) => {
+                const pending = await (await fetch(`${baseUrl}/pending-members`)).json();
+                assert.deepStrictEqual(pending.members.map(user => user.uid), [MEMBER_UID]);
+
+                assert.strictEqual((await put(`${baseUrl}/accept-membership`, { userId: MEMBER_UID })).status, 200);
+                assert.strictEqual((await fetch(`${baseUrl}/pending-members`)).status, 404);
+
+                const { history } = await (await fetch(`${baseUrl}/membership-history/${MEMBER_UID}`)).json();
+                assert.strictEqual(history.length, 2);
+            });
+            assert.strictEqual(member().memberstatus, 'verified');
+        }),
+
+        // Test 8: Group sync uses the caller's session, or the API token without one
+        () => test('Should sync NodeBB groups and badges', () => quietly(async () => {
+            const requests = [];
+            const api = {
+                get: async (url, { headers }) => {
+                    requests.push(['GET', url, headers.Cookie]);
+                    return { data: { csrf_token: 'nodebb-csrf' } };
+                },
+                put: async (url, body, { headers }) => {
+                    requests.push(['PUT', url, headers['X-CSRF-Token']]);
+                    if (url.includes('closed')) throw new Error('403');
+                },
+                delete: async (url, { headers }) => {
+                    requests.push(['DELETE', url, headers.Authorization]);
+                }
+            };
+            const users = createFakeCollection([{ _key: 'user:7', uid: 7, groupTitle: '["Volunteers"]' }]);
+            const groups = createGroupSync({ api, bearerToken: 'api-token', getCollection: async () => users });
+
+            await assert.rejects(() => groups.add(7, ['School Gardens', 'Closed'], { cookie: 'sid=1' }),
+                (error) => error.code === 'UPSTREAM_ERROR' && /Closed/.test(error.message));
+            assert.deepStrictEqual(JSON.parse(users.docs[0].groupTitle), ['Volunteers', 'School Gardens']);
+
+            await groups.remove(7, ['School Gardens'], undefined);
+            assert.deepStrictEqual(JSON.parse(users.docs[0].groupTitle), ['Volunteers']);
+            assert.deepStrictEqual(requests, [
+                ['GET', '/api/config', 'sid=1'],
+                ['PUT', '/api/v3/groups/school-gardens/membership/7', 'nodebb-csrf'],
+                ['PUT', '/api/v3/groups/closed/membership/7', 'nodebb-csrf'],
+                ['DELETE', '/api/v3/groups/school-gardens/membership/7', 'Bearer api-token']
+            ]);
+        })),
+
+        // Test 9: Lapsed members are expired, keep their profile and can renew
+        () => test('Should expire lapsed memberships and let them renew', () => quietly(async () => {
+            const lapsed = {
+                memberstatus: 'verified',
+                fullname: 'Ana Member',
+                city: 'Tempe',
+                groups: ['School Gardens'],
+                groupTitle: '["School Gardens","Network Member"]',
+                membershipdate: 'Sun, 15 Oct 2023 17:30:00 GMT',
+                renewdate: 'Tue, 15 Oct 2024 09:00:00 GMT'
+            };
+            const { membership, collections, calls, mail, member } = createService(lapsed);
+            collections.objects.docs.push(
+                { _key: 'user:8', uid: 8, memberstatus: 'verified', renewdate: dayjs(NOW).add(1, 'day').toString() },
+                { _key: 'user:9', uid: 9, memberstatus: 'verified' }
+            );
+            collections.organizations.docs[0].members = [{ uid: MEMBER_UID, name: 'Ana Member' }, { uid: 8, name: 'Still Active' }];
+            const reports = new Map();
+            const expiry = createMembershipExpiryService({
+                membership,
+                getCollection: async () => ({
+                    replaceOne: async (filter, doc) => reports.set(filter._id, doc),
+                    findOne: async (filter) => reports.get(filter._id) || null
+                }),
+                collectionName: 'membership_reports',
+                sendMail: async (message) => mail.push(message),
+                adminEmail: 'contact@azfarmtoschool.org',
+                now: () => NOW
+            });
+
+            const report = await expiry.run();
+            assert.deepStrictEqual(report.expired.map(entry => entry.uid), [MEMBER_UID]);
+            assert.strictEqual(report.checked, 3);
+            assert.strictEqual(member().memberstatus, 'expired');
+            assert.deepStrictEqual([member().city, member().groups], ['Tempe', ['School Gardens']], 'Profile is kept');
+            assert.deepStrictEqual(calls, [['remove', MEMBER_UID, ['School Gardens', 'Network Member'], undefined]]);
+            assert.deepStrictEqual(collections.organizations.docs[0].members, [{ uid: 8, name: 'Still Active' }]);
+            assert.deepStrictEqual(mail.map(message => message.to), ['ana@example.org', 'contact@azfarmtoschool.org']);
+            assert.strictEqual((await expiry.latest()).expired.length, 1);
+            assert.strictEqual(collections.membership_history.docs[0].actorRole, 'system');
+
+            assert.strictEqual((await expiry.run()).expired.length, 0, 'Nothing is expired twice');
+
+            await membership.transition(MEMBER_UID, 'renew', { ...asMember, data: {} });
+            const renewed = await membership.transition(MEMBER_UID, 'verify', asAdmin);
+            assert.strictEqual(renewed.user.recentlyverified, true);
+            assert.ok(dayjs(renewed.user.renewdate).isSame(dayjs(NOW).add(1, 'year'), 'day'));
+            assert.deepStrictEqual(calls[calls.length - 1], ['add', MEMBER_UID, ['School Gardens', 'Network Member'], { cookie: 'admin-session' }]);
+        })),
+
+        // Test 10: Failed and raced expiries are reported, and admins can run the job
+        () => test('Should report expiry problems and serve the report', async () => {
+            const failing = { add: async () => {}, remove: async () => { throw new Error('No NodeBB token'); } };
+            const { membership, collections } = createService({ memberstatus: 'verified', renewdate: 'Mon, 14 Oct 2024 00:00:00 GMT' }, { groups: failing });
+            const reports = new Map();
+            const expiry = createMembershipExpiryService({
+                membership: {
+                    ...membership,
+                    // Lists a member that renews before the job reaches them
+                    list: async (state) => [...await membership.list(state), { uid: 8, renewdate: 'Mon, 14 Oct 2024 00:00:00 GMT' }]
+                },
+                getCollection: async () => ({
+                    replaceOne: async (filter, doc) => reports.set(filter._id, doc),
+                    findOne: async (filter) => reports.get(filter._id) || null
+                }),
+                collectionName: 'membership_reports',
+                sendMail: async () => {},
+                now: () => NOW
+            });
+            collections.objects.docs.push({ _key: 'user:8', uid: 8, memberstatus: 'pending' });
+
+            await withApp({ membership, expiry }, { uid: 1, username: 'admin', roles: ['admin'] }, async (baseUrl) => {
+                assert.deepStrictEqual(await (await fetch(`${baseUrl}/membership/expiry-report`)).json(), { report: null });
+
+                const { report } = await (await fetch(`${baseUrl}/membership/expiry-report`, {
+                    method: 'POST',
+                    headers: { 'X-CSRF-Token': TOKEN }
+                })).json();
+                assert.deepStrictEqual(report.expired.map(entry => [entry.uid, entry.failedEffects]), [[MEMBER_UID, ['groups']]]);
+                assert.deepStrictEqual(report.skipped.map(entry => entry.uid), [8]);
+
+                const latest = await (await fetch(`${baseUrl}/membership/expiry-report`)).json();
+                assert.strictEqual(latest.report.expired.length, 1);
+            });
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running membership tests...');
+    validateMembership().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Membership validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Membership validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateMembership };
@@ -1,85 +1,262 @@
 // tests/rateLimit_test.js
 const assert = require('assert');
-const { test} = require('./testRunner.js');require('path');
+const { test, runTests } = require('./testRunner.js');require('path');
 // Load the rate limiter module
 const configureLimiters = require('../middleware/rateLimits');
+const { MongoRateLimitStore } = configureLimiters;
+const { TooManyRequestsError } = require('../lib/errors');
 
 /**
  * Validate rate limit configuration
- * @returns {boolean} True if validation passes
+ * @returns {Promise<boolean>} True if validation passes
  */
-function validateRateLimit() {
-    let allTestsPassed = true;
-
-    // Test 1: Module exports a function
-    allTestsPassed = test('Should export a function', () => {
-        assert.strictEqual(typeof configureLimiters, 'function',
-            'configureLimiters should be a function');
-    }) && allTestsPassed;
-
-    // Test 2: Returns all required limiters
-    allTestsPassed = test('Should return all required limiters', () => {
-        const limiters = configureLimiters();
-        const requiredLimiters = [
-            'accountCheckLimiter',
-            'signupLimiter',
-            'loginLimiter',
-            'apiLimiter'
-        ];
-
-        for (const limiterName of requiredLimiters) {
-            assert.ok(limiters[limiterName],
-                `Missing required limiter: ${limiterName}`);
-
-            // Basic check that it's a function or object (middleware)
-            const limiter = limiters[limiterName];
+async function validateRateLimit() {
+    const tests = [
+        // Test 1: Module exports a function
+        () => test('Should export a function', () => {
+            assert.strictEqual(typeof configureLimiters, 'function',
+                'configureLimiters should be a function');
+        }),
+
+        // Test 2: Returns all required limiters
+        () => test('Should return all required limiters', () => {
+            const limiters = configureLimiters();
+            const requiredLimiters = [
+                'accountCheckLimiter',
+                'signupLimiter',
+                'loginLimiter',
+                'apiLimiter'
+            ];
+
+            for (const limiterName of requiredLimiters) {
+                assert.ok(limiters[limiterName],
+                    `Missing required limiter: ${limiterName}`);
+
+                // Basic check that it's a function or object (middleware)
+                const limiter = limiters[limiterName];
+                assert.ok(
+                    typeof limiter === 'function' || typeof limiter === 'object',
+                    `${limiterName} is not a valid middleware`
+                );
+            }
+        }),
+
+        // Test 3: Different settings for production/development
+        () => test('Should use stricter limits in production', () => {
+            const devLimiters = configureLimiters({ isProduction: false });
+            const prodLimiters = configureLimiters({ isProduction: true });
+
+            // Login limits test
             assert.ok(
-                typeof limiter === 'function' || typeof limiter === 'object',
-                `${limiterName} is not a valid middleware`
+                devLimiters.loginLimiter.max > prodLimiters.loginLimiter.max,
+                `Production login limit (${prodLimiters.loginLimiter.max}) should be ` +
+                `stricter than development (${devLimiters.loginLimiter.max})`
             );
+        }),
+
+        // Test 4: Custom options applied correctly
+        () => test('Should apply custom options', () => {
+            // Custom message for testing
+            const customMessage = { error: 'Custom error message' };
+
+            const limiters = configureLimiters({
+                message: customMessage
+            });
+
+            // Check that message is applied
+            assert.deepStrictEqual(
+                limiters.accountCheckLimiter.message,
+                customMessage,
+                'Custom error message was not applied'
+            );
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+/**
+ * Value of an aggregation expression for a document; covers the operators
+ * MongoRateLimitStore's update pipeline uses
+ */
+const evaluate = (expression, doc) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return doc[expression.slice(1)];
+    }
+    if (!expression || typeof expression !== 'object' || expression instanceof Date) {
+        return expression;
+    }
+    if (expression.$cond) {
+        const [condition, then, otherwise] = expression.$cond;
+        return evaluate(condition, doc) ? evaluate(then, doc) : evaluate(otherwise, doc);
+    }
+    if (expression.$lt) {
+        const [left, right] = expression.$lt.map(operand => evaluate(operand, doc));
+        // A missing field sorts below every value
+        return left === undefined || left === null ? right !== undefined && right !== null : left < right;
+    }
+    if (expression.$add) {
+        return expression.$add.reduce((sum, operand) => sum + evaluate(operand, doc), 0);
+    }
+    throw new Error(`Unsupported expression ${JSON.stringify(expression)}`);
+};
+
+/**
+ * In-memory stand-in for the rate limit collection
+ */
+const createRateLimitCollection = () => {
+    const docs = new Map();
+    const indexes = [];
+    return {
+        docs,
+        indexes,
+        createIndex: async (keys, options) => {
+            indexes.push([keys, options]);
+        },
+        findOne: async ({ _id }) => (docs.has(_id) ? { ...docs.get(_id) } : null),
+        findOneAndUpdate: async ({ _id }, pipeline, options) => {
+            assert.ok(Array.isArray(pipeline), 'Should update with a pipeline');
+            assert.strictEqual(options.upsert, true);
+            assert.strictEqual(options.returnDocument, 'after');
+            const doc = docs.get(_id) || { _id };
+            for (const stage of pipeline) {
+                const computed = Object.entries(stage.$set).map(([field, expression]) => [field, evaluate(expression, doc)]);
+                Object.assign(doc, Object.fromEntries(computed));
+            }
+            docs.set(_id, doc);
+            return { value: { ...doc } };
+        },
+        updateOne: async ({ _id, totalHits }, { $inc }) => {
+            const doc = docs.get(_id);
+            if (doc && doc.totalHits > totalHits.$gt) {
+                doc.totalHits += $inc.totalHits;
+            }
+        },
+        deleteOne: async ({ _id }) => {
+            docs.delete(_id);
         }
-    }) && allTestsPassed;
-
-    // Test 3: Different settings for production/development
-    allTestsPassed = test('Should use stricter limits in production', () => {
-        const devLimiters = configureLimiters({ isProduction: false });
-        const prodLimiters = configureLimiters({ isProduction: true });
-
-        // Login limits test
-        assert.ok(
-            devLimiters.loginLimiter.max > prodLimiters.loginLimiter.max,
-            `Production login limit (${prodLimiters.loginLimiter.max}) should be ` +
-            `stricter than development (${devLimiters.loginLimiter.max})`
-        );
-    }) && allTestsPassed;
-
-    // Test 4: Custom options applied correctly
-    allTestsPassed = test('Should apply custom options', () => {
-        // Custom message for testing
-        const customMessage = { error: 'Custom error message' };
-
-        const limiters = configureLimiters({
-            message: customMessage
-        });
-
-        // Check that message is applied
-        assert.deepStrictEqual(
-            limiters.accountCheckLimiter.message,
-            customMessage,
-            'Custom error message was not applied'
-        );
-    }) && allTestsPassed;
-
-    return allTestsPassed;
+    };
+};
+
+/**
+ * Request and response just complete enough for express-rate-limit
+ */
+const limiterRequest = () => ({ ip: '203.0.113.9', method: 'POST', headers: {}, app: { get: () => false } });
+const limiterResponse = () => ({ headersSent: false, setHeader: () => {}, getHeader: () => undefined, on: () => {} });
+
+/**
+ * Run a limiter on a request and return what it passed to `next`
+ */
+const runLimiter = (limiter) => new Promise((resolve, reject) => {
+    Promise.resolve(limiter(limiterRequest(), limiterResponse(), error => resolve(error || null))).catch(reject);
+});
+
+/**
+ * Validate the MongoDB-backed rate limit store
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateMongoRateLimitStore() {
+    const WINDOW_MS = 60 * 1000;
+    const createStore = (collection) => {
+        const store = new MongoRateLimitStore({ getCollection: async () => collection, collectionName: 'rate_limits', prefix: 'login:' });
+        store.init({ windowMs: WINDOW_MS });
+        return store;
+    };
+
+    const tests = [
+        // Test 1: The first hit upserts a window, later hits count within it
+        () => test('Should count hits in one window', async () => {
+            const collection = createRateLimitCollection();
+            const store = createStore(collection);
+            const before = Date.now();
+
+            const first = await store.increment('203.0.113.9');
+            assert.strictEqual(first.totalHits, 1);
+            assert.ok(first.resetTime.getTime() >= before + WINDOW_MS, 'Should end the window a windowMs from now');
+            const second = await store.increment('203.0.113.9');
+            assert.strictEqual(second.totalHits, 2);
+            assert.strictEqual(second.resetTime.getTime(), first.resetTime.getTime());
+
+            assert.deepStrictEqual([...collection.docs.keys()], ['login:203.0.113.9']);
+            assert.deepStrictEqual(await store.get('203.0.113.9'), { totalHits: 2, resetTime: first.resetTime });
+            assert.deepStrictEqual(collection.indexes, [[{ resetTime: 1 }, { expireAfterSeconds: 0 }]]);
+        }),
+
+        // Test 2: A lapsed window starts over rather than adding to the old count
+        () => test('Should start a new window once the old one lapses', async () => {
+            const collection = createRateLimitCollection();
+            const store = createStore(collection);
+            const lapsed = new Date(Date.now() - 1000);
+            collection.docs.set('login:203.0.113.9', { _id: 'login:203.0.113.9', totalHits: 9, resetTime: lapsed });
+
+            assert.strictEqual(await store.get('203.0.113.9'), undefined);
+            const hit = await store.increment('203.0.113.9');
+            assert.strictEqual(hit.totalHits, 1);
+            assert.ok(hit.resetTime > new Date(), 'Should reset in the future');
+        }),
+
+        // Test 3: decrement never goes below zero, resetKey forgets the client
+        () => test('Should decrement and reset keys', async () => {
+            const collection = createRateLimitCollection();
+            const store = createStore(collection);
+            await store.increment('203.0.113.9');
+
+            await store.decrement('203.0.113.9');
+            await store.decrement('203.0.113.9');
+            assert.strictEqual(collection.docs.get('login:203.0.113.9').totalHits, 0);
+
+            await store.resetKey('203.0.113.9');
+            assert.strictEqual(await store.get('203.0.113.9'), undefined);
+            assert.strictEqual(collection.docs.size, 0);
+        }),
+
+        // Test 4: Limiters count in the store and refuse past the limit
+        () => test('Should limit through the store', async () => {
+            const collection = createRateLimitCollection();
+            const { signupLimiter } = configureLimiters({ isProduction: true, getCollection: async () => collection });
+
+            for (let i = 0; i < signupLimiter.max; i++) {
+                assert.strictEqual(await runLimiter(signupLimiter), null);
+            }
+            const refused = await runLimiter(signupLimiter);
+            assert.ok(refused instanceof TooManyRequestsError, 'Should pass a TooManyRequestsError to next');
+            assert.strictEqual(collection.docs.get('signup:203.0.113.9').totalHits, signupLimiter.max + 1);
+        }),
+
+        // Test 5: An unreachable store lets requests through
+        () => test('Should allow requests when the store fails', async () => {
+            const { signupLimiter } = configureLimiters({
+                getCollection: async () => { throw new Error('connection refused'); }
+            });
+            const logged = [];
+            const consoleError = console.error;
+            console.error = (...args) => logged.push(args);
+            try {
+                assert.strictEqual(await runLimiter(signupLimiter), null);
+            } finally {
+                console.error = consoleError;
+            }
+            assert.strictEqual(logged.length, 1);
+        })
+    ];
+
+    return await runTests(tests);
 }
 
-// Run validation immediately when this file is loaded
-console.log('Running rate limit validation tests...');
-if (!validateRateLimit()) {
-    console.error('❌ FATAL ERROR: Rate limit configuration is invalid!');
-    process.exit(1);
-} else {
-    console.log('✅ Rate limit configuration validated successfully');
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running rate limit validation tests...');
+    validateRateLimit().then(async passed => (await validateMongoRateLimitStore()) && passed).then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Rate limit configuration is invalid!');
+            process.exit(1);
+        } else {
+            console.log('✅ Rate limit configuration validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
 }
 
-module.exports = {};
\ No newline at end of file
+module.exports = { validateRateLimit, validateMongoRateLimitStore };
\ No newline at end of file
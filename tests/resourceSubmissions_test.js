@@ -0,0 +1,216 @@
+// tests/resourceSubmissions_test.js
+const assert = require('assert');
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { createFakeCollection } = require('./fakeCollection');
+const { createResourceSubmissionService } = require('../services/resourceSubmissions');
+const { createSheetsContentService } = require('../services/sheetsContent');
+const { toSheetRow } = require('../services/resources');
+const setupResourceRoutes = require('../routes/resources_routes');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+
+const TOKEN = 'csrf-token';
+
+const SHEET_ROWS = [
+    ['', 'Title', '', 'Author', '', 'Explanation', '', 'Work Group', '', 'Applicable Audience', '', 'Age Group', '', 'Year', '', 'Link'],
+    ['', 'Name of the resource', '', '', '', '', '', '', '', '', '', '', '', '', '', ''],
+    ['', '', '', '', '', '', '', '', '', '', '', '', '', '', '', ''],
+    ['n', 'School Garden Guide', 'n', 'AZ Health Zone', 'n', 'Planting calendars', 'n', 'Gardens', 'n', 'Teachers', 'n', 'K-5', 'n', '2021', 'n', 'https://example.org/garden']
+];
+
+const RESOURCE = {
+    title: 'Seed Saving Basics',
+    author: 'Desert Seed Library',
+    year: '2024',
+    link: 'https://example.org/seeds',
+    explanation: 'Saving seeds from the school garden',
+    workGroup: ['Gardens'],
+    audience: ['Teachers'],
+    ageGroup: ['6-8']
+};
+
+const SUBMITTER = { name: 'Ana <b>', email: 'ana@example.org', uid: 7 };
+
+/**
+ * Build the service over a fake collection, recording sent mail
+ */
+const createService = (options = {}) => {
+    const collection = createFakeCollection();
+    const sent = [];
+    const service = createResourceSubmissionService({
+        getCollection: async () => collection,
+        collectionName: 'resource_submissions',
+        sendMail: async (message) => {
+            sent.push(message);
+        },
+        ...options
+    });
+    return { service, collection, sent };
+};
+
+/**
+ * Start the resource routes on an ephemeral port, with a cached admin session
+ */
+const withApp = (resourceSubmissions, fn) => quietly(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.session = {
+            user: { uid: 1, username: 'admin', roles: ['admin'], rolesCheckedAt: Date.now() },
+            csrfToken: TOKEN
+        };
+        next();
+    });
+    const contentService = createSheetsContentService({ fetchValues: async () => SHEET_ROWS });
+    setupResourceRoutes(app, { contentService, resourceSubmissions });
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+        await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+const decide = (baseUrl, id, body) => fetch(`${baseUrl}/resource-submissions/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': TOKEN },
+    body: JSON.stringify(body)
+});
+
+/**
+ * Validate the resource submission queue and its admin routes
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateResourceSubmissions() {
+    const tests = [
+        // Test 1: New submissions wait as pending
+        () => test('Should store submissions as pending', async () => {
+            const { service, collection } = createService();
+            const submission = await service.submit(RESOURCE, SUBMITTER);
+            assert.strictEqual(submission.status, 'pending');
+            assert.strictEqual(collection.docs.length, 1);
+            assert.strictEqual(collection.docs[0].submitter.uid, 7);
+
+            const pending = await service.list({ status: 'pending' });
+            assert.deepStrictEqual(pending.map(doc => String(doc._id)), [String(submission._id)]);
+            assert.deepStrictEqual(await service.listPublished(), []);
+        }),
+
+        // Test 2: Approved resources appear in /resources and the submitter hears about it
+        () => test('Should publish approved submissions to /resources', async () => {
+            const { service, sent } = createService();
+            const { _id } = await service.submit(RESOURCE, SUBMITTER);
+
+            await withApp(service, async (baseUrl) => {
+                const listed = await (await fetch(`${baseUrl}/resource-submissions`)).json();
+                assert.strictEqual(listed.submissions.length, 1);
+
+                const response = await decide(baseUrl, _id, { decision: 'approved', note: 'Thanks!' });
+                assert.strictEqual(response.status, 200);
+                const { submission } = await response.json();
+                assert.strictEqual(submission.status, 'approved');
+                assert.strictEqual(submission.reviewedBy, 1);
+                assert.strictEqual(submission.publishedTo, 'mongo');
+
+                const resources = await (await fetch(`${baseUrl}/resources?q=seed`)).json();
+                assert.deepStrictEqual(resources.items.map(item => item.title), ['Seed Saving Basics']);
+                assert.deepStrictEqual(resources.items[0].ageGroup, ['6-8']);
+            });
+
+            assert.strictEqual(sent.length, 1);
+            assert.strictEqual(sent[0].to, 'ana@example.org');
+            assert.ok(sent[0].html.includes('Ana &lt;b&gt;'), 'Submitter name should be escaped');
+            assert.ok(sent[0].html.includes('Thanks!'));
+        }),
+
+        // Test 3: A rejection is final; deciding again conflicts
+        () => test('Should reject once and refuse a second decision', async () => {
+            const { service, collection, sent } = createService();
+            const { _id } = await service.submit(RESOURCE, SUBMITTER);
+
+            await withApp(service, async (baseUrl) => {
+                assert.strictEqual((await decide(baseUrl, _id, { decision: 'rejected' })).status, 200);
+
+                const again = await decide(baseUrl, _id, { decision: 'approved' });
+                assert.strictEqual(again.status, 409);
+                assert.strictEqual((await again.json()).code, 'CONFLICT');
+
+                const missing = await decide(baseUrl, new ObjectId(), { decision: 'approved' });
+                assert.strictEqual(missing.status, 404);
+
+                const invalid = await decide(baseUrl, 'not-an-id', { decision: 'maybe' });
+                assert.strictEqual(invalid.status, 400);
+            });
+
+            assert.strictEqual(collection.docs[0].status, 'rejected');
+            assert.ok(collection.docs[0].notifiedAt);
+            assert.ok(sent[0].subject.includes('Update'));
+            assert.deepStrictEqual(await service.listPublished(), []);
+        }),
+
+        // Test 4: Sheet publishing appends a row laid out under the sheet's headers
+        () => test('Should append approved submissions to the sheet', () => quietly(async () => {
+            const rows = [];
+            const { service } = createService({
+                publishTo: 'sheet',
+                publishToSheet: async (submission) => {
+                    rows.push(toSheetRow(SHEET_ROWS[0], submission));
+                }
+            });
+            const { _id } = await service.submit(RESOURCE, SUBMITTER);
+            const submission = await service.decide(String(_id), { decision: 'approved', reviewerUid: 1 });
+
+            assert.strictEqual(submission.publishedTo, 'sheet');
+            assert.deepStrictEqual(rows, [[
+                '', 'Seed Saving Basics', '', 'Desert Seed Library', '', 'Saving seeds from the school garden',
+                '', 'Gardens', '', 'Teachers', '', '6-8', '', '2024', '', 'https://example.org/seeds'
+            ]]);
+            assert.deepStrictEqual(await service.listPublished(), [], 'Sheet rows are not merged twice');
+        })),
+
+        // Test 5: A failed sheet write leaves the submission in the queue
+        () => test('Should return the submission to pending when publishing fails', async () => {
+            const { service, collection, sent } = createService({
+                publishTo: 'sheet',
+                publishToSheet: async () => {
+                    throw new Error('Sheets unavailable');
+                }
+            });
+            const { _id } = await service.submit(RESOURCE, SUBMITTER);
+
+            await assert.rejects(
+                () => service.decide(String(_id), { decision: 'approved', reviewerUid: 1 }),
+                /Sheets unavailable/
+            );
+            assert.strictEqual(collection.docs[0].status, 'pending');
+            assert.strictEqual(collection.docs[0].reviewedBy, undefined);
+            assert.strictEqual(sent.length, 0);
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running resource submission tests...');
+    validateResourceSubmissions().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Resource submission validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Resource submissions validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateResourceSubmissions };
@@ -0,0 +1,154 @@
+// tests/resources_test.js
+const assert = require('assert');
+const express = require('express');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { parseResources, searchResources } = require('../services/resources');
+const { TRANSFORMS, DEFAULT_REGISTRY, createSheetsContentService } = require('../services/sheetsContent');
+const setupResourceRoutes = require('../routes/resources_routes');
+const { errorHandler } = require('../middleware/errorHandler');
+
+// The sheet interleaves a note column before every data column, and has two
+// rows of instructions under the header
+const SHEET_ROWS = [
+    ['', 'Title', '', 'Author', '', 'Explanation', '', 'Work Group', '', 'Applicable Audience', '', 'Age Group', '', 'Year', '', 'Link'],
+    ['', 'Name of the resource', '', 'Who wrote it', '', 'Why it is useful', '', '', '', '', '', '', '', '', '', ''],
+    ['', '', '', '', '', '', '', '', '', '', '', '', '', '', '', ''],
+    ['n', 'School Garden Guide', 'n', 'AZ Health Zone', 'n', 'Planting calendars for desert gardens', 'n', 'Gardens', 'n', 'Teachers, Parents', 'n', 'K-5', 'n', '2021', 'n', 'https://example.org/garden'],
+    ['n', 'Local Procurement Toolkit', 'n', 'USDA', 'n', 'Buying from Arizona farms for school meals', 'n', 'Procurement', 'n', 'Food Service', 'n', 'K-12', 'n', '2019', 'n', 'https://example.org/procurement'],
+    ['n', 'Nutrición en el jardín', 'n', 'Farm to School Network', 'n', 'Bilingual garden lessons', 'n', 'Gardens, Education', 'n', 'Teachers', 'n', 'K-5, 6-8', 'n', '2023', 'n', 'https://example.org/nutricion'],
+    ['n', 'Cafeteria Taste Tests', 'n', 'Garden Education Lab', 'n', 'Running taste tests with student volunteers', 'n', 'Education', 'n', 'Food Service, Teachers', 'n', '6-8', 'n', '2022', 'n', 'https://example.org/taste']
+];
+
+const RESOURCES_ENTRY = DEFAULT_REGISTRY.find(entry => entry.name === 'resources');
+
+/**
+ * Parse the fixture sheet exactly as the content service does
+ */
+const loadResources = () => parseResources(TRANSFORMS.records(SHEET_ROWS, RESOURCES_ENTRY.options));
+
+const titles = (result) => result.items.map(resource => resource.title);
+
+/**
+ * Start the resource routes on an ephemeral port over the fixture sheet
+ */
+const withApp = (fn) => quietly(async () => {
+    const app = express();
+    const contentService = createSheetsContentService({ fetchValues: async () => SHEET_ROWS });
+    setupResourceRoutes(app, { contentService });
+    app.use(errorHandler);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+        await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+/**
+ * Validate resource parsing, search, facets and pagination
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateResources() {
+    const tests = [
+        // Test 1: Note columns and instruction rows are dropped, lists are split
+        () => test('Should parse resource rows', () => {
+            const resources = loadResources();
+            assert.strictEqual(resources.length, 4);
+
+            const [guide] = resources;
+            assert.strictEqual(guide.title, 'School Garden Guide');
+            assert.strictEqual(guide.author, 'AZ Health Zone');
+            assert.deepStrictEqual(guide.audience, ['Teachers', 'Parents']);
+            assert.strictEqual(guide.year, 2021);
+            assert.strictEqual(guide.link, 'https://example.org/garden');
+            assert.strictEqual(guide.id, loadResources()[0].id, 'Ids should be stable');
+        }),
+
+        // Test 2: Every word must match; title matches rank first; accents are ignored
+        () => test('Should search title, author and explanation', () => {
+            const resources = loadResources();
+            assert.deepStrictEqual(titles(searchResources(resources, { q: 'garden' })), [
+                'School Garden Guide',
+                'Cafeteria Taste Tests',
+                'Nutrición en el jardín'
+            ]);
+            assert.deepStrictEqual(titles(searchResources(resources, { q: 'arizona farms' })), ['Local Procurement Toolkit']);
+            assert.deepStrictEqual(titles(searchResources(resources, { q: 'NUTRICION' })), ['Nutrición en el jardín']);
+        }),
+
+        // Test 3: Filters combine across facets, counts ignore the facet's own filter
+        () => test('Should filter by facets and count facet values', () => {
+            const result = searchResources(loadResources(), { workGroup: ['Gardens'], ageGroup: ['6-8'] });
+            assert.deepStrictEqual(titles(result), ['Nutrición en el jardín']);
+
+            const workGroups = Object.fromEntries(result.facets.workGroup.map(({ value, count }) => [value, count]));
+            assert.deepStrictEqual(workGroups, { Education: 2, Gardens: 1 });
+            assert.deepStrictEqual(result.facets.year, [{ value: '2023', count: 1 }]);
+        }),
+
+        // Test 4: Cursor pages cover every result once, in order
+        () => test('Should sort and paginate with cursors', () => {
+            const resources = loadResources();
+            const seen = [];
+            let cursor;
+            do {
+                const page = searchResources(resources, { sort: '-year', limit: 3, cursor });
+                seen.push(...titles(page));
+                assert.strictEqual(page.total, 4);
+                cursor = page.nextCursor;
+            } while (cursor);
+
+            assert.deepStrictEqual(seen, [
+                'Nutrición en el jardín',
+                'Cafeteria Taste Tests',
+                'School Garden Guide',
+                'Local Procurement Toolkit'
+            ]);
+
+            const { nextCursor } = searchResources(resources, { sort: '-year', limit: 1 });
+            assert.throws(() => searchResources(resources, { sort: 'title', cursor: nextCursor }), /Invalid request/);
+            assert.throws(() => searchResources(resources, { cursor: 'not-a-cursor' }), /Invalid request/);
+        }),
+
+        // Test 5: The route applies the query string
+        () => test('GET /resources should search, filter and page', () => withApp(async (baseUrl) => {
+            const response = await fetch(`${baseUrl}/resources?q=garden&audience=Food%20Service,Parents&limit=1`);
+            assert.strictEqual(response.status, 200);
+            const body = await response.json();
+            assert.deepStrictEqual(titles(body), ['School Garden Guide']);
+            assert.strictEqual(body.total, 2);
+            assert.strictEqual(body.sort, 'relevance');
+            assert.ok(body.nextCursor);
+
+            const next = await (await fetch(`${baseUrl}/resources?q=garden&audience=Food%20Service,Parents&limit=1&cursor=${body.nextCursor}`)).json();
+            assert.deepStrictEqual(titles(next), ['Cafeteria Taste Tests']);
+            assert.strictEqual(next.nextCursor, null);
+
+            const invalid = await fetch(`${baseUrl}/resources?sort=random`);
+            assert.strictEqual(invalid.status, 400);
+        }))
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running resources tests...');
+    validateResources().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Resources validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Resources validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateResources };
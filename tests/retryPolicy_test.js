@@ -111,18 +111,20 @@ async function validateRetryPolicy() {
     return await runTests(tests);
 }
 
-// Run validation immediately when this file is loaded
-console.log('Running retry policy validation tests...');
-validateRetryPolicy().then(allPassed => {
-    if (!allPassed) {
-        console.error('❌ FATAL ERROR: Retry policy validation failed!');
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running retry policy validation tests...');
+    validateRetryPolicy().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Retry policy validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Retry policy validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
         process.exit(1);
-    } else {
-        console.log('✅ Retry policy validated successfully');
-    }
-}).catch(error => {
-    console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
-    process.exit(1);
-});
+    });
+}
 
 module.exports = { validateRetryPolicy };
\ No newline at end of file
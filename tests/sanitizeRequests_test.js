@@ -109,24 +109,76 @@ async function validateSanitizeRequests() {
 
             // Assert next was called
             assert.strictEqual(nextCalled, true, 'Should call next function');
+        }),
+
+        // Test 7: allowRawFields should restore only the listed fields
+        () => test('allowRawFields should restore only the listed fields', () => {
+            const req = {
+                body: {
+                    username: '<b>user</b>',
+                    password: 'p<a>ss&word',
+                    user: { note: '<i>keep</i>', bio: '<i>strip</i>' }
+                }
+            };
+            const next = () => {};
+
+            sanitizeRequests.sanitizeRequestBody(req, {}, next);
+            sanitizeRequests.allowRawFields('password', 'user.note')(req, {}, next);
+
+            assert.deepStrictEqual(req.body, {
+                username: 'user',
+                password: 'p<a>ss&word',
+                user: { note: '<i>keep</i>', bio: 'strip' }
+            }, 'Should restore raw values for listed fields only');
+        }),
+
+        // Test 8: Text that merely looks like markup comes back as written
+        () => test('sanitizeUserInput should not leave entities in plain text', () => {
+            assert.strictEqual(sanitizeRequests.sanitizeUserInput('a < b > c'), 'a < b > c');
+            assert.strictEqual(sanitizeRequests.sanitizeUserInput('Tom & Jerry say "hi" <b>loud</b>'), 'Tom & Jerry say "hi" loud');
+            assert.strictEqual(sanitizeRequests.sanitizeUserInput("it's 5 > 3 &amp; 2 < 4"), "it's 5 > 3 & 2 < 4");
+        }),
+
+        // Test 9: Encoded tags are stripped, not decoded into live markup
+        () => test('sanitizeUserInput should strip encoded tags', () => {
+            assert.strictEqual(sanitizeRequests.sanitizeUserInput('&lt;img src=x onerror=alert(1)&gt;'), '');
+            assert.strictEqual(sanitizeRequests.sanitizeUserInput('hi &lt;b&gt;there&lt;/b&gt;'), 'hi there');
+            assert.strictEqual(
+                sanitizeRequests.sanitizeUserInput('&amp;lt;script&amp;gt;alert(1)&amp;lt;/script&amp;gt;x'), 'x');
+        }),
+
+        // Test 10: Bodies bound for the NodeBB proxy are forwarded as written
+        () => test('sanitizeRequestBodyExcept should skip proxied bodies', () => {
+            const middleware = sanitizeRequests.sanitizeRequestBodyExcept('/forward/nodebb');
+            const next = () => {};
+            const proxied = { path: '/forward/nodebb/api/v3/topics', body: { content: 'Use <code>x<y</code> & **bold**' } };
+            const local = { path: '/forward/nodebbish', body: { content: '<b>bold</b>' } };
+
+            middleware(proxied, {}, next);
+            middleware(local, {}, next);
+
+            assert.deepStrictEqual(proxied.body, { content: 'Use <code>x<y</code> & **bold**' });
+            assert.deepStrictEqual(local.body, { content: 'bold' });
         })
     ];
 
     return await runTests(tests);
 }
 
-// Run validation immediately when this file is loaded
-console.log('Running sanitization module validation tests...');
-validateSanitizeRequests().then(allPassed => {
-    if (!allPassed) {
-        console.error('❌ FATAL ERROR: Sanitization module validation failed!');
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running sanitization module validation tests...');
+    validateSanitizeRequests().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Sanitization module validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Sanitization module validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
         process.exit(1);
-    } else {
-        console.log('✅ Sanitization module validated successfully');
-    }
-}).catch(error => {
-    console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
-    process.exit(1);
-});
-
-module.exports = {};
\ No newline at end of file
+    });
+}
+
+module.exports = { validateSanitizeRequests };
\ No newline at end of file
@@ -0,0 +1,127 @@
+// tests/scheduler_test.js
+const assert = require('assert');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { createScheduler } = require('../lib/scheduler');
+
+/**
+ * Timers that fire only when the test says so
+ */
+const createFakeTimers = () => {
+    const pending = new Map();
+    let nextId = 1;
+    return {
+        pending,
+        setTimer: (fn, delayMs) => {
+            const id = nextId++;
+            pending.set(id, { fn, delayMs });
+            return id;
+        },
+        clearTimer: (id) => pending.delete(id),
+        /** Fire every timer due now and let the runs settle */
+        fire: async () => {
+            const due = [...pending.entries()];
+            pending.clear();
+            for (const [, { fn }] of due) fn();
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    };
+};
+
+/**
+ * Validate the background job scheduler
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateScheduler() {
+    const tests = [
+        // Test 1: Jobs repeat, and a failure doesn't stop the schedule
+        () => test('Should run jobs on their interval', () => quietly(async () => {
+            const timers = createFakeTimers();
+            const scheduler = createScheduler(timers);
+            let runs = 0;
+            scheduler.every('report', { intervalMs: 60000, firstRunMs: 1000 }, async () => {
+                runs++;
+                if (runs === 1) throw new Error('upstream down');
+            });
+
+            assert.deepStrictEqual([...timers.pending.values()].map(timer => timer.delayMs), [1000]);
+            await timers.fire();
+            assert.strictEqual(runs, 1);
+            assert.deepStrictEqual([...timers.pending.values()].map(timer => timer.delayMs), [60000]);
+            await timers.fire();
+            assert.strictEqual(runs, 2);
+            assert.throws(() => scheduler.every('report', { intervalMs: 1 }, async () => {}), /already scheduled/);
+        })),
+
+        // Test 2: A run that is still going is never started twice
+        () => test('Should not overlap runs of a job', () => quietly(async () => {
+            const timers = createFakeTimers();
+            const scheduler = createScheduler(timers);
+            let release;
+            let runs = 0;
+            scheduler.every('slow', { intervalMs: 1000 }, () => {
+                runs++;
+                return new Promise(resolve => {
+                    release = resolve;
+                });
+            });
+
+            const first = scheduler.run('slow');
+            assert.strictEqual(await scheduler.run('slow'), undefined);
+            assert.strictEqual(runs, 1);
+            release('done');
+            assert.strictEqual(await first, 'done');
+            await assert.rejects(() => scheduler.run('missing'), /Unknown job/);
+        })),
+
+        // Test 3: Stopping cancels timers and waits for running jobs
+        () => test('Should stop after running jobs finish', () => quietly(async () => {
+            const timers = createFakeTimers();
+            const scheduler = createScheduler(timers);
+            let finished = false;
+            scheduler.every('job', { intervalMs: 1000 }, async () => {
+                await new Promise(resolve => setTimeout(resolve, 20));
+                finished = true;
+            });
+
+            scheduler.run('job');
+            await scheduler.stop();
+            assert.strictEqual(finished, true);
+            assert.strictEqual(timers.pending.size, 0);
+        })),
+
+        // Test 4: A disabled scheduler leaves the jobs to another replica
+        () => test('Should only run jobs on demand when disabled', () => quietly(async () => {
+            const timers = createFakeTimers();
+            const scheduler = createScheduler({ ...timers, enabled: false });
+            let runs = 0;
+            scheduler.every('report', { intervalMs: 1000 }, async () => {
+                runs++;
+            });
+
+            assert.strictEqual(timers.pending.size, 0);
+            await scheduler.run('report');
+            assert.strictEqual(runs, 1);
+            assert.strictEqual(timers.pending.size, 0);
+        }))
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running scheduler tests...');
+    validateScheduler().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Scheduler validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Scheduler validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateScheduler };
@@ -0,0 +1,226 @@
+// tests/sheetAppends_test.js
+const assert = require('assert');
+const express = require('express');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { validateTarget, createAppendService } = require('../services/sheetAppends');
+const { createFixtureSheetsBackend } = require('../third_party/fixtureSheets');
+const setupAppendRoutes = require('../routes/append_routes');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+
+const TOKEN = 'csrf-token';
+const NOW = new Date('2024-10-15T17:30:00Z');
+
+const TARGETS = [
+    {
+        name: 'event-signups',
+        spreadsheetId: 'signups',
+        range: 'Signups',
+        columns: [
+            { field: 'name', required: true, maxLength: 100 },
+            { field: 'email', type: 'email', required: true },
+            { field: 'guests', type: 'integer', min: 0, max: 10, default: 0 },
+            { field: 'eventDate', type: 'date', format: 'M/D/YYYY' },
+            { field: 'signedUpAt', type: 'date', format: 'M/D/YYYY h:mm A', default: 'now' }
+        ]
+    },
+    { name: 'address-delimiter', range: 'Address Delimiter', columns: [{ field: 'street', required: true }, { field: 'city' }] },
+    { name: 'Broken Target', range: '', columns: [] }
+];
+
+/**
+ * Append service over the fixture backend, recording audits
+ */
+const createService = (sheets = createFixtureSheetsBackend()) => {
+    const audits = [];
+    const appends = createAppendService({
+        sheets,
+        targets: TARGETS,
+        defaultSpreadsheetId: 'main',
+        getCollection: async () => ({
+            insertOne: async (entry) => {
+                audits.push(entry);
+            }
+        }),
+        auditCollection: 'append_audit',
+        now: () => NOW
+    });
+    return { appends, sheets, audits };
+};
+
+/**
+ * Start the append routes with a logged-in member
+ */
+const withApp = (appends, fn) => quietly(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.session = { user: { uid: 7, username: 'member', validEmail: true }, csrfToken: TOKEN };
+        next();
+    });
+    setupAppendRoutes(app, { appends, legacyTarget: 'address-delimiter' });
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+        await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+const post = (url, body) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': TOKEN },
+    body: JSON.stringify(body)
+});
+
+/**
+ * Validate typed append targets, their audit and routes
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateSheetAppends() {
+    const tests = [
+        // Test 1: Misconfigured targets are reported, and skipped
+        () => test('Should validate append targets', () => quietly(async () => {
+            assert.deepStrictEqual(validateTarget(TARGETS[0]), []);
+            assert.deepStrictEqual(validateTarget({
+                name: 'x',
+                range: 'Tab',
+                columns: [{ field: 'a', type: 'money' }, { field: 'a', pattern: '(' }, { field: 'b', default: 'now' }]
+            }), [
+                'columns[0].type must be one of string, email, url, date, number, integer, boolean',
+                'columns[1].field "a" is repeated',
+                'columns[1].pattern is not a valid regular expression',
+                'columns[2].default "now" needs type date'
+            ]);
+
+            const { appends } = createService();
+            assert.deepStrictEqual(appends.list().map(target => target.name), ['event-signups', 'address-delimiter']);
+            assert.strictEqual(appends.getTarget('address-delimiter').spreadsheetId, 'main');
+        })),
+
+        // Test 2: Rows are coerced, defaulted, formatted and laid out in column order
+        () => test('Should build rows in column order', () => quietly(async () => {
+            const { appends, audits } = createService();
+            const result = await appends.append('event-signups', [
+                { email: 'ana@example.org', name: 'Ana', guests: '2', eventDate: '2024-11-02' },
+                ['Luis', 'luis@example.org', 1, '2024-11-02T18:00:00Z', '']
+            ], { uid: 7, dryRun: true });
+
+            assert.deepStrictEqual(result.rows, [
+                ['Ana', 'ana@example.org', 2, '11/2/2024', '10/15/2024 10:30 AM'],
+                ['Luis', 'luis@example.org', 1, '11/2/2024', '10/15/2024 10:30 AM']
+            ]);
+            assert.strictEqual(result.dryRun, true);
+            assert.strictEqual(audits.length, 0, 'Dry runs write nothing');
+        })),
+
+        // Test 3: Every problem in every row is reported and nothing is written
+        () => test('Should reject invalid rows', () => quietly(async () => {
+            const { appends, sheets } = createService();
+            await assert.rejects(
+                () => appends.append('event-signups', [
+                    { name: 'Ana', email: 'ana@example.org' },
+                    { email: 'not-an-email', guests: 20, extra: 'x' },
+                    ['a', 'b', 'c', 'd', 'e', 'f']
+                ], { uid: 7 }),
+                (error) => {
+                    assert.strictEqual(error.status, 400);
+                    assert.ok(error.errors['rows.1.name']);
+                    assert.ok(error.errors['rows.1.email']);
+                    assert.ok(error.errors['rows.1.guests']);
+                    assert.ok(error.errors['rows.1.extra']);
+                    assert.strictEqual(error.errors['rows.2'], 'Must have at most 5 values');
+                    assert.ok(!Object.keys(error.errors).some(key => key.startsWith('rows.0')));
+                    return true;
+                }
+            );
+            await assert.rejects(() => sheets.readTab('signups', 'Signups'), /Could not load/);
+            await assert.rejects(() => appends.append('missing', [{}], { uid: 7 }), (error) => error.status === 404);
+        })),
+
+        // Test 4: Batches are written at once and audited with the acting user
+        () => test('Should append batches and audit them', () => quietly(async () => {
+            const { appends, sheets, audits } = createService();
+            const rows = [1, 2, 3].map(n => ({ name: `Guest ${n}`, email: `guest${n}@example.org` }));
+            const result = await appends.append('event-signups', rows, { uid: 7 });
+
+            assert.strictEqual(result.updates.updatedRows, 3);
+            assert.strictEqual(sheets.rows('signups', 'Signups').length, 3);
+            assert.strictEqual(audits.length, 1);
+            assert.strictEqual(audits[0].uid, 7);
+            assert.strictEqual(audits[0].outcome, 'appended');
+            assert.strictEqual(audits[0].rows.length, 3);
+
+            const failing = createService({ appendRows: async () => { throw new Error('quota exceeded'); } });
+            await assert.rejects(() => failing.appends.append('address-delimiter', [['1 Main St']], { uid: 9 }), /quota/);
+            assert.deepStrictEqual([failing.audits[0].outcome, failing.audits[0].uid], ['failed', 9]);
+        })),
+
+        // Test 5: Routes take the uid from the session
+        () => test('Append routes should validate, dry-run and write', async () => {
+            const { appends, sheets, audits } = await quietly(async () => createService());
+            await withApp(appends, async (baseUrl) => {
+                const targets = await (await fetch(`${baseUrl}/append/targets`)).json();
+                assert.strictEqual(targets.targets[0].columns.length, 5);
+
+                const dryRun = await (await post(`${baseUrl}/append/event-signups`, {
+                    rows: [{ name: 'Ana', email: 'ana@example.org' }],
+                    dryRun: true
+                })).json();
+                assert.deepStrictEqual(dryRun.rows, [['Ana', 'ana@example.org', 0, '', '10/15/2024 10:30 AM']]);
+
+                const invalid = await post(`${baseUrl}/append/event-signups`, { rows: [{ name: 'Ana' }] });
+                assert.strictEqual(invalid.status, 400);
+                assert.ok((await invalid.json()).errors['rows.0.email']);
+
+                const legacy = await (await post(`${baseUrl}/append`, { values: ['1 Main St', 'Tempe'] })).json();
+                assert.strictEqual(legacy.message, 'Data appended');
+                assert.strictEqual((await post(`${baseUrl}/append/nope`, { rows: [{}] })).status, 404);
+            });
+
+            assert.deepStrictEqual(sheets.rows('main', 'Address Delimiter'), [['1 Main St', 'Tempe']]);
+            assert.deepStrictEqual(audits.map(entry => [entry.target, entry.uid]), [['address-delimiter', 7]]);
+        }),
+
+        // Test 6: Without configuration, POST /append still writes to "Address Delimiter"
+        () => test('Should ship the legacy target built in', () => quietly(async () => {
+            const sheets = createFixtureSheetsBackend();
+            const appends = createAppendService({
+                sheets,
+                defaultSpreadsheetId: 'main',
+                getCollection: async () => ({ insertOne: async () => {} }),
+                auditCollection: 'append_audit'
+            });
+            assert.deepStrictEqual(appends.list().map(target => target.name), ['address-delimiter']);
+
+            await appends.append('address-delimiter', [['1 Main St', 85281, '', 'AZ']], { uid: 7 });
+            assert.deepStrictEqual(sheets.rows('main', 'Address Delimiter'), [['1 Main St', '85281', '', 'AZ']]);
+            await assert.rejects(() => appends.append('address-delimiter', [Array(101).fill('x')], { uid: 7 }),
+                (error) => error.code === 'VALIDATION_ERROR');
+        }))
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running sheet append tests...');
+    validateSheetAppends().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Sheet append validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Sheet appends validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateSheetAppends };
@@ -0,0 +1,173 @@
+// tests/sheetsBackend_test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { parseCsv, loadSheetFixtures, createFixtureSheetsBackend } = require('../third_party/fixtureSheets');
+const { DEFAULT_REGISTRY, createSheetsContentService } = require('../services/sheetsContent');
+const { parseEvents } = require('../services/calendar');
+const setupLegacyRoutes = require('../routes/legacy_routes');
+const setupAppendRoutes = require('../routes/append_routes');
+const { createAppendService } = require('../services/sheetAppends');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+const { loadConfig } = require('../lib/config');
+
+const TOKEN = 'csrf-token';
+const FIXTURES_PATH = path.join(__dirname, '..', 'fixtures', 'sheets.json');
+const TEST_CONFIG = loadConfig({
+    SESSION_COOKIE_SECRET: 'test-secret',
+    NODEBB_SERVICE_URL: 'http://nodebb.test',
+    MONGO_NODEBB_COLLECTION: 'objects',
+    MONGO_LOCAL: 'true',
+    SHEETS_BACKEND: 'fixtures',
+    SHEETS_FIXTURES_PATH: FIXTURES_PATH,
+    SHEETS_APPEND_TARGETS: JSON.stringify([{
+        name: 'address-delimiter',
+        spreadsheetId: 'members',
+        range: 'Address Delimiter',
+        columns: [{ field: 'street' }, { field: 'city' }, { field: 'state' }]
+    }])
+});
+
+/**
+ * Start the legacy routes over the fixture backend, with a logged-in member
+ */
+const withApp = (sheets, fn) => quietly(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.session = { user: { uid: 7, username: 'member', validEmail: true }, csrfToken: TOKEN };
+        next();
+    });
+    setupLegacyRoutes(app, {
+        config: TEST_CONFIG,
+        getCollection: async () => null,
+        contentService: createSheetsContentService({ fetchValues: sheets.readTab })
+    });
+    const appends = createAppendService({
+        sheets,
+        targets: TEST_CONFIG.append.targets,
+        getCollection: async () => ({ insertOne: async () => {} }),
+        auditCollection: 'append_audit'
+    });
+    setupAppendRoutes(app, { appends, legacyTarget: TEST_CONFIG.append.legacyTarget });
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+        await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+/**
+ * Validate the fixture Sheets backend and the routes running on it
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateSheetsBackend() {
+    const tests = [
+        // Test 1: Quoted fields may hold commas, quotes and line breaks
+        () => test('Should parse CSV fixtures', () => {
+            const rows = parseCsv('Title,Notes\r\n"Seed swap, spring","Bring ""heirloom""\nseeds"\nEmpty,\n');
+            assert.deepStrictEqual(rows, [
+                ['Title', 'Notes'],
+                ['Seed swap, spring', 'Bring "heirloom"\nseeds'],
+                ['Empty', '']
+            ]);
+        }),
+
+        // Test 2: A fixture directory holds one folder per spreadsheet, one file per tab
+        () => test('Should load fixtures from a directory', () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheets-fixtures-'));
+            try {
+                fs.mkdirSync(path.join(dir, 'sheet-1'));
+                fs.writeFileSync(path.join(dir, 'sheet-1', 'Events.csv'), 'Title,Date\nSeed swap,11/2/2024\n');
+                fs.writeFileSync(path.join(dir, 'sheet-1', 'COP.json'), JSON.stringify([['Gardens', 'Meals']]));
+                fs.writeFileSync(path.join(dir, 'README.txt'), 'ignored');
+
+                assert.deepStrictEqual(loadSheetFixtures(dir), {
+                    'sheet-1': {
+                        Events: [['Title', 'Date'], ['Seed swap', '11/2/2024']],
+                        COP: [['Gardens', 'Meals']]
+                    }
+                });
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        }),
+
+        // Test 3: Reads, header reads and appends behave like the Google backend
+        () => test('Should read and append rows in memory', async () => {
+            const fixtures = { 'sheet-1': { 'My Tab': [['Name', 'Email'], ['Ana', 'ana@example.org']] } };
+            const sheets = createFixtureSheetsBackend({ spreadsheets: fixtures });
+
+            assert.deepStrictEqual(await sheets.readHeaders('sheet-1', 'My Tab'), ['Name', 'Email']);
+            const result = await sheets.appendRows('sheet-1', "'My Tab'!A1:B", [['Luis', null]]);
+            assert.strictEqual(result.updates.updatedRange, 'My Tab!A3:B3');
+            assert.strictEqual(result.updates.updatedRows, 1);
+            assert.deepStrictEqual((await sheets.readTab('sheet-1', 'My Tab'))[2], ['Luis', '']);
+            assert.strictEqual(fixtures['sheet-1']['My Tab'].length, 2, 'Fixtures should not be modified');
+
+            await assert.rejects(() => sheets.readTab('sheet-1', 'Missing'), (error) => error.code === 'UPSTREAM_ERROR');
+        }),
+
+        // Test 4: The shipped fixtures cover every built-in content
+        () => test('Should serve every built-in content from the shipped fixtures', async () => {
+            const sheets = createFixtureSheetsBackend({ spreadsheets: loadSheetFixtures(FIXTURES_PATH) });
+            const contentService = createSheetsContentService({ fetchValues: sheets.readTab });
+
+            for (const { name } of DEFAULT_REGISTRY) {
+                assert.ok(await contentService.get(name), `No fixture data for "${name}"`);
+            }
+            assert.ok(parseEvents(await contentService.get('calendar')).length > 0);
+        }),
+
+        // Test 5: /about and /append run without Google credentials
+        () => test('Legacy routes should run on the fixture backend', async () => {
+            const sheets = createFixtureSheetsBackend({ spreadsheets: loadSheetFixtures(TEST_CONFIG.sheets.fixturesPath) });
+
+            await withApp(sheets, async (baseUrl) => {
+                const about = await fetch(`${baseUrl}/about`);
+                assert.strictEqual(about.status, 200);
+                assert.ok(Array.isArray(await about.json()));
+
+                const append = await fetch(`${baseUrl}/append`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': TOKEN },
+                    body: JSON.stringify({ values: ['123 Main St', 'Phoenix', 'AZ'] })
+                });
+                assert.strictEqual(append.status, 200);
+                const body = await append.json();
+                assert.strictEqual(body.data.updates.updatedRows, 1);
+            });
+
+            assert.deepStrictEqual(sheets.rows('members', 'Address Delimiter'), [['123 Main St', 'Phoenix', 'AZ']]);
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running Sheets backend tests...');
+    validateSheetsBackend().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Sheets backend validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Sheets backend validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateSheetsBackend };
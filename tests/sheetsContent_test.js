@@ -0,0 +1,230 @@
+// tests/sheetsContent_test.js
+const assert = require('assert');
+const express = require('express');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { createSheetsContentService, TRANSFORMS } = require('../services/sheetsContent');
+const { setupContentRoutes } = require('../routes/content_routes');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+const { signWebhook } = require('../middleware/verifyWebhookSignature');
+
+const WEBHOOK_SECRET = 'webhook-secret-of-at-least-32-characters';
+const TOKEN = 'csrf-token';
+
+// Sheet rows keyed by `${spreadsheetId}/${tab}`
+const SHEETS = {
+    'people-sheet/People': [
+        ['Name', 'Role'],
+        ['Ana', 'Director']
+    ],
+    'news-sheet/News': [
+        ['Title', 'Date'],
+        ['Harvest week', '2024-09-01'],
+        ['Seed swap', '2024-10-12']
+    ]
+};
+
+const fakeFetchValues = (calls = []) => async (spreadsheetId, tab) => {
+    calls.push(`${spreadsheetId}/${tab}`);
+    return SHEETS[`${spreadsheetId}/${tab}`];
+};
+
+const NEWS_ENTRY = { name: 'news', spreadsheetId: 'news-sheet', tab: 'News', transform: 'records' };
+
+/**
+ * Start the content routes on an ephemeral port, with a cached admin session
+ */
+const withApp = (contentService, fn) => quietly(async () => {
+    const app = express();
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use((req, res, next) => {
+        req.session = {
+            user: { uid: 1, username: 'admin', roles: ['admin'], rolesCheckedAt: Date.now() },
+            csrfToken: TOKEN
+        };
+        next();
+    });
+    setupContentRoutes(app, { contentService, webhookSecret: WEBHOOK_SECRET });
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+        await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+/**
+ * Validate the Sheets content registry and `/content/:name`
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateSheetsContent() {
+    const tests = [
+        // Test 1: Transformers reproduce the shapes the legacy routes returned
+        () => test('Transforms should shape rows like the legacy routes', () => {
+            const rows = [['Name', 'Role'], ['Ana', 'Director']];
+            assert.deepStrictEqual(TRANSFORMS.records(rows), [{ Name: 'Ana', Role: 'Director' }]);
+            assert.deepStrictEqual(TRANSFORMS.records(rows, { dataStart: 0 })[0], { Name: 'Name', Role: 'Role' });
+            assert.deepStrictEqual(
+                TRANSFORMS.records([['note', 'Title', 'note', 'Link'], ['x', 'Guide', 'y', 'https://a.org']], { oddColumnsOnly: true }),
+                [{ Title: 'Guide', Link: 'https://a.org' }]
+            );
+            assert.deepStrictEqual(TRANSFORMS.list([['a', 'b'], ['c']]), ['a', 'b', 'c']);
+            assert.deepStrictEqual(
+                TRANSFORMS.tagGroups([['Site tag', 'Description'], ['Garden', 'Has a garden', '', ''], ['', '', 'Chef', 'Cooks']]),
+                {
+                    siteTags: [{ tagName: 'Garden', description: 'Has a garden' }],
+                    userTags: [{ tagName: 'Chef', description: 'Cooks' }]
+                }
+            );
+        }),
+
+        // Test 2: A config entry is enough to serve a new sheet
+        () => test('Should serve content registered in config', async () => {
+            const calls = [];
+            const service = createSheetsContentService({ fetchValues: fakeFetchValues(calls), registry: [NEWS_ENTRY] });
+
+            assert.ok(service.names().includes('about'), 'Should keep the built-in pages');
+            assert.deepStrictEqual(await service.get('news'), [
+                { Title: 'Harvest week', Date: '2024-09-01' },
+                { Title: 'Seed swap', Date: '2024-10-12' }
+            ]);
+            assert.deepStrictEqual(calls, ['news-sheet/News']);
+        }),
+
+        // Test 3: MongoDB entries override config, invalid ones are skipped
+        () => test('Should layer MongoDB entries over config and skip invalid ones', () => quietly(async () => {
+            const stored = [
+                { ...NEWS_ENTRY, spreadsheetId: 'people-sheet', tab: 'People' },
+                { name: 'broken', spreadsheetId: 'x', tab: 'y', transform: 'eval' }
+            ];
+            const service = createSheetsContentService({
+                fetchValues: fakeFetchValues(),
+                registry: [NEWS_ENTRY],
+                getCollection: async () => ({ find: () => ({ toArray: async () => stored }) }),
+                registryCollection: 'content_registry'
+            });
+
+            const names = await service.loadRegistry();
+            assert.ok(!names.includes('broken'), 'Should skip entries with an unknown transform');
+            assert.deepStrictEqual(await service.get('news'), [{ Name: 'Ana', Role: 'Director' }]);
+        })),
+
+        // Test 4: The generic route serves registered content and 404s the rest
+        () => test('GET /content/:name should serve registered content', () => {
+            const service = createSheetsContentService({ fetchValues: fakeFetchValues(), registry: [NEWS_ENTRY] });
+            return withApp(service, async (baseUrl) => {
+                const found = await fetch(`${baseUrl}/content/news`);
+                assert.strictEqual(found.status, 200);
+                assert.strictEqual((await found.json()).length, 2);
+
+                const missing = await fetch(`${baseUrl}/content/unknown`);
+                assert.strictEqual(missing.status, 404);
+                assert.strictEqual((await missing.json()).code, 'NOT_FOUND');
+
+                const invalid = await fetch(`${baseUrl}/content/..%2Fsecrets`);
+                assert.strictEqual(invalid.status, 400);
+            });
+        }),
+
+        // Test 5: Clients revalidate cached content with its ETag
+        () => test('GET /content/:name should answer 304 for an unchanged copy', () => {
+            const calls = [];
+            const service = createSheetsContentService({ fetchValues: fakeFetchValues(calls), registry: [NEWS_ENTRY] });
+            return withApp(service, async (baseUrl) => {
+                const first = await fetch(`${baseUrl}/content/news`);
+                const etag = first.headers.get('etag');
+                assert.ok(etag, 'Should send an ETag');
+
+                // fetch() adds `Cache-Control: no-cache` to conditional requests unless one is set
+                const revalidated = await fetch(`${baseUrl}/content/news`, {
+                    headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' }
+                });
+                assert.strictEqual(revalidated.status, 304);
+                assert.deepStrictEqual(calls, ['news-sheet/News'], 'Should fetch the sheet once');
+            });
+        }),
+
+        // Test 6: Admins can pull edits in before the TTL runs out
+        () => test('POST /content/refresh should re-read the sheet', () => {
+            const calls = [];
+            const service = createSheetsContentService({ fetchValues: fakeFetchValues(calls), registry: [NEWS_ENTRY] });
+            return withApp(service, async (baseUrl) => {
+                await fetch(`${baseUrl}/content/news`);
+
+                const response = await fetch(`${baseUrl}/content/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': TOKEN },
+                    body: JSON.stringify({ names: ['news'] })
+                });
+                const body = await response.json();
+                assert.strictEqual(response.status, 200);
+                assert.strictEqual(body.success, true);
+                assert.deepStrictEqual(body.results.map(result => result.name), ['news']);
+                assert.deepStrictEqual(calls, ['news-sheet/News', 'news-sheet/News']);
+
+                const unknown = await fetch(`${baseUrl}/content/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': TOKEN },
+                    body: JSON.stringify({ names: ['unknown'] })
+                });
+                assert.strictEqual(unknown.status, 404);
+            });
+        }),
+
+        // Test 7: The Apps Script webhook must be signed and recent
+        () => test('POST /content/webhook should only accept signed requests', () => {
+            const calls = [];
+            const service = createSheetsContentService({ fetchValues: fakeFetchValues(calls), registry: [NEWS_ENTRY] });
+            const sendWebhook = (baseUrl, { timestamp = Math.floor(Date.now() / 1000), secret = WEBHOOK_SECRET } = {}) => {
+                const body = JSON.stringify({ spreadsheetId: 'news-sheet' });
+                return fetch(`${baseUrl}/content/webhook`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Webhook-Timestamp': String(timestamp),
+                        'X-Webhook-Signature': signWebhook(secret, timestamp, body)
+                    },
+                    body
+                });
+            };
+
+            return withApp(service, async (baseUrl) => {
+                assert.strictEqual((await sendWebhook(baseUrl, { secret: 'wrong-secret' })).status, 401);
+                assert.strictEqual((await sendWebhook(baseUrl, { timestamp: Math.floor(Date.now() / 1000) - 3600 })).status, 401);
+                assert.deepStrictEqual(calls, [], 'Rejected requests should not refresh anything');
+
+                assert.strictEqual((await sendWebhook(baseUrl)).status, 202);
+                await new Promise(resolve => setImmediate(resolve));
+                assert.deepStrictEqual(calls, ['news-sheet/News'], 'Should refresh the edited spreadsheet only');
+            });
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running Sheets content tests...');
+    validateSheetsContent().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Sheets content validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Sheets content validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateSheetsContent };
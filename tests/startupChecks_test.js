@@ -0,0 +1,50 @@
+// tests/startupChecks_test.js
+const assert = require('assert');
+const { test, runTests, quietly } = require('./testRunner.js');
+const { runStartupChecks } = require('../lib/startupChecks');
+
+const VALID_ENV = {
+    SESSION_COOKIE_SECRET: 'session-secret',
+    NODEBB_SERVICE_URL: 'http://nodebb:4567',
+    MONGO_NODEBB_COLLECTION: 'objects',
+    MONGO_LOCAL: 'true'
+};
+
+/**
+ * Validate the checks server.js runs before accepting traffic
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateStartupChecks() {
+    const tests = [
+        // Test 1: A loadable environment passes
+        () => test('Should pass with a valid environment', async () => {
+            assert.strictEqual(await runStartupChecks({ env: VALID_ENV }), true);
+        }),
+
+        // Test 2: A broken environment fails instead of throwing
+        () => test('Should fail with an invalid environment', () => quietly(async () => {
+            const { SESSION_COOKIE_SECRET, ...incomplete } = VALID_ENV;
+            assert.strictEqual(await runStartupChecks({ env: incomplete }), false);
+        }))
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running startup check tests...');
+    validateStartupChecks().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Startup check validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Startup checks validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateStartupChecks };
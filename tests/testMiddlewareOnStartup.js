@@ -1,5 +1,87 @@
-require('./testRunner')
-require('./rateLimit_test');
-require('./retryPolicy_test');
-require('./sanitizeRequests_test')
-//require('./validateSession_test')
\ No newline at end of file
+const { validateRateLimit, validateMongoRateLimitStore } = require('./rateLimit_test');
+const { validateRetryPolicy } = require('./retryPolicy_test');
+const { validateSanitizeRequests } = require('./sanitizeRequests_test');
+const { validateSessionMiddleware } = require('./validateSession_test');
+const { validateRequestMiddleware } = require('./validateRequest_test');
+const { validateUserValidation } = require('./userValidation_test');
+const { validateErrorHandler } = require('./errorHandler_test');
+const { validateLogger } = require('./logger_test');
+const { validateConfigLoader } = require('./config_test');
+const { validateStartupChecks } = require('./startupChecks_test');
+const { validateCache } = require('./cache_test');
+const { validateScheduler } = require('./scheduler_test');
+const { validateMemberRoutes } = require('./memberRoutes_test');
+const { validateHealth } = require('./health_test');
+const { validateLifecycle } = require('./lifecycle_test');
+const { validateSheetsContent } = require('./sheetsContent_test');
+const { validateCalendar } = require('./calendar_test');
+const { validateResources } = require('./resources_test');
+const { validateResourceSubmissions } = require('./resourceSubmissions_test');
+const { validateSheetsBackend } = require('./sheetsBackend_test');
+const { validateLinkHealth } = require('./linkHealth_test');
+const { validateSheetAppends } = require('./sheetAppends_test');
+const { validateMembership } = require('./membership_test');
+const { validateMembershipReminders } = require('./membershipReminders_test');
+
+const MIDDLEWARE_SUITES = [
+    ['Rate limit', validateRateLimit],
+    ['Rate limit store', validateMongoRateLimitStore],
+    ['Retry policy', validateRetryPolicy],
+    ['Sanitization', validateSanitizeRequests],
+    ['Session', validateSessionMiddleware],
+    ['Request schema', validateRequestMiddleware],
+    ['Profile field', validateUserValidation],
+    ['Error handler', validateErrorHandler],
+    ['Logger', validateLogger],
+    ['Config loader', validateConfigLoader],
+    ['Cache', validateCache],
+    ['Scheduler', validateScheduler],
+    ['Startup check', validateStartupChecks]
+];
+
+// Route suites start an HTTP server
+const ROUTE_SUITES = [
+    ['Member route', validateMemberRoutes],
+    ['Health route', validateHealth],
+    ['Lifecycle', validateLifecycle],
+    ['Sheets content', validateSheetsContent],
+    ['Calendar', validateCalendar],
+    ['Resources', validateResources],
+    ['Resource submissions', validateResourceSubmissions],
+    ['Sheets backend', validateSheetsBackend],
+    ['Link health', validateLinkHealth],
+    ['Sheet appends', validateSheetAppends],
+    ['Membership', validateMembership],
+    ['Membership reminders', validateMembershipReminders]
+];
+
+/**
+ * Run every validation suite
+ * @returns {Promise<boolean>} True if every suite passes
+ */
+async function runTestSuites() {
+    let allPassed = true;
+    for (const [name, validate] of [...MIDDLEWARE_SUITES, ...ROUTE_SUITES]) {
+        console.log(`Running ${name.toLowerCase()} validation tests...`);
+        const passed = await validate();
+        if (passed) {
+            console.log(`✅ ${name} validated successfully`);
+        } else {
+            console.error(`❌ ${name} validation failed!`);
+        }
+        allPassed = allPassed && passed;
+    }
+    return allPassed;
+}
+
+// `npm test`; the server runs its own checks from lib/startupChecks.js at boot
+if (require.main === module) {
+    runTestSuites().then(allPassed => {
+        process.exit(allPassed ? 0 : 1);
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { runTestSuites };
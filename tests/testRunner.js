@@ -1,3 +1,5 @@
+const { configureLogger } = require('../lib/logger');
+
 /**
  * Simple test runner
  * @param {string} description - Test description
@@ -42,8 +44,23 @@ async function runTests(tests) {
     return allPassed;
 }
 
+/**
+ * Run `fn` with logs kept out of the test output
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} What `fn` resolved to
+ */
+async function quietly(fn) {
+    const previous = configureLogger({ level: 'silent' });
+    try {
+        return await fn();
+    } finally {
+        configureLogger(previous);
+    }
+}
+
 // Export the functions so they can be used in other test files
 module.exports = {
     test,
-    runTests
+    runTests,
+    quietly
 };
\ No newline at end of file
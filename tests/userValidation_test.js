@@ -0,0 +1,95 @@
+// tests/userValidation_test.js
+const assert = require('assert');
+const { test, runTests } = require('./testRunner.js');
+const validation = require('../routes/user/user_validation');
+
+/**
+ * Validate profile field allowlists
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateUserValidation() {
+    const tests = [
+        // Test 1: Privileged NodeBB and membership fields are refused
+        () => test('validateProfileUpdate should reject privileged fields', () => {
+            const { isValid, errors } = validation.validateProfileUpdate({
+                fullname: 'Member',
+                memberstatus: 'verified',
+                uid: 1,
+                groupTitle: '["administrators"]',
+                renewdate: '2099-01-01',
+                password: 'hash'
+            });
+
+            assert.strictEqual(isValid, false, 'Should be invalid');
+            for (const key of ['memberstatus', 'uid', 'groupTitle', 'renewdate', 'password']) {
+                assert.ok(errors[key], `Should report ${key}`);
+            }
+        }),
+
+        // Test 2: Unknown fields are refused
+        () => test('validateProfileUpdate should reject unknown fields', () => {
+            const { isValid, errors } = validation.validateProfileUpdate({ favouriteColour: 'green' });
+            assert.strictEqual(isValid, false, 'Should be invalid');
+            assert.strictEqual(errors.favouriteColour, 'Unknown field');
+        }),
+
+        // Test 3: Values are coerced to their declared types
+        () => test('validateProfileUpdate should coerce field types', () => {
+            const { isValid, value } = validation.validateProfileUpdate({
+                fullname: '  Jane Farmer ',
+                appearonmap: 'false',
+                showlocation: 1,
+                tags: ['Gardens', 42],
+                organizations: [{ _id: '65f0c0ffee0000000000abcd', name: 'School', members: [] }]
+            });
+
+            assert.strictEqual(isValid, true, 'Should be valid');
+            assert.deepStrictEqual(value, {
+                fullname: 'Jane Farmer',
+                appearonmap: false,
+                showlocation: true,
+                tags: ['Gardens', '42'],
+                organizations: [{ _id: '65f0c0ffee0000000000abcd', name: 'School' }]
+            });
+
+            const invalid = validation.validateProfileUpdate({ organizations: [{ _id: 'x' }] });
+            assert.strictEqual(invalid.isValid, false, 'Organization ids must be ObjectIds');
+        }),
+
+        // Test 4: Membership forms read from body.user and allow groups
+        () => test('validateMembershipForm should accept groups under user', () => {
+            const { isValid, value } = validation.validateMembershipForm({
+                user: { groups: ['Procurement'], county: 'Pima' }
+            });
+            assert.strictEqual(isValid, true, 'Should be valid');
+            assert.deepStrictEqual(value, { groups: ['Procurement'], county: 'Pima' });
+        }),
+
+        // Test 5: Membership forms require a user object
+        () => test('validateMembershipForm should require a user object', () => {
+            const { isValid, errors } = validation.validateMembershipForm({ groups: [] });
+            assert.strictEqual(isValid, false, 'Should be invalid');
+            assert.ok(errors.user, 'Should report missing user');
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running user validation tests...');
+    validateUserValidation().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: User validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ User validation validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateUserValidation };
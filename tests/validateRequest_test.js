@@ -0,0 +1,134 @@
+// tests/validateRequest_test.js
+const assert = require('assert');
+const { test, runTests } = require('./testRunner.js');
+const { validateRequest, validateSchema } = require('../middleware/validateRequest');
+const schemas = require('../routes/legacy_validation');
+const { ValidationError } = require('../lib/errors');
+
+/**
+ * Run the middleware against a mock request
+ */
+const run = (schema, req) => {
+    const res = { statusCode: 200 };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+
+    req.params = req.params || {};
+    req.query = req.query || {};
+
+    let nextCalled = false;
+    let error = null;
+    validateRequest(schema)(req, res, (err) => {
+        if (err) {
+            error = err;
+        } else {
+            nextCalled = true;
+        }
+    });
+    return { res, nextCalled, error };
+};
+
+/**
+ * Validate the request validation middleware
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateRequestMiddleware() {
+    const tests = [
+        // Test 1: Module exports the middleware factory
+        () => test('Should export validateRequest and validateSchema', () => {
+            assert.strictEqual(typeof validateRequest, 'function');
+            assert.strictEqual(typeof validateSchema, 'function');
+        }),
+
+        // Test 2: Missing required fields raise a ValidationError
+        () => test('Should reject missing required fields with 400', () => {
+            const { error, nextCalled } = run(schemas.organizationIdSchema, { body: {} });
+            assert.strictEqual(nextCalled, false, 'Should not pass the request on');
+            assert.ok(error instanceof ValidationError, 'Should raise a ValidationError');
+            assert.strictEqual(error.status, 400, 'Should map to 400');
+            assert.deepStrictEqual(error.errors, { orgId: 'Is required' });
+        }),
+
+        // Test 3: Malformed ObjectIds never reach the handler
+        () => test('Should reject malformed ObjectIds', () => {
+            const { error } = run(schemas.organizationIdSchema, { body: { orgId: 'not-an-id' } });
+            assert.strictEqual(error.status, 400, 'Should map to 400');
+            assert.ok(error.errors.orgId, 'Should report orgId');
+        }),
+
+        // Test 4: Defaults fill optional arrays
+        () => test('Should apply defaults for missing arrays', () => {
+            const req = { body: { title: 'Guide', link: 'https://example.org/guide' } };
+            const { nextCalled } = run(schemas.submitResourceSchema, req);
+            assert.strictEqual(nextCalled, true, 'Should call next');
+            assert.deepStrictEqual(req.body.workGroup, []);
+            assert.deepStrictEqual(req.body.ageGroup, []);
+        }),
+
+        // Test 5: Query strings are coerced and undeclared keys are kept
+        () => test('Should coerce query values', () => {
+            const req = { query: { limit: '25', extra: 'x' } };
+            const { nextCalled } = run({ query: { limit: { type: 'integer', min: 1, max: 100 } } }, req);
+            assert.strictEqual(nextCalled, true, 'Should call next');
+            assert.deepStrictEqual(req.query, { limit: 25, extra: 'x' });
+        }),
+
+        // Test 6: Undeclared body keys are stripped by default
+        () => test('Should strip undeclared body fields', () => {
+            const req = { body: { step: 'profile', $set: { memberstatus: 'verified' } } };
+            const { nextCalled } = run(schemas.checklistStepSchema, req);
+            assert.strictEqual(nextCalled, true, 'Should call next');
+            assert.deepStrictEqual(req.body, { step: 'profile' });
+        }),
+
+        // Test 7: Forbidden keys are reported even when others are allowed
+        () => test('Should reject forbidden fields', () => {
+            const body = { name: 'Farm', address: '1 Main St', city: 'Tucson', zip: '85701', organizationstatus: 'verified' };
+            const { error } = run(schemas.addOrganizationSchema, { body });
+            assert.strictEqual(error.status, 400, 'Should map to 400');
+            assert.strictEqual(error.errors.organizationstatus, 'Field cannot be modified');
+        }),
+
+        // Test 8: Organizations only take their declared fields
+        () => test('Should reject undeclared organization fields', () => {
+            const body = { name: 'Farm', address: '1 Main St', city: 'Tucson', zip: '85701', website: 'https://farm.org', 'members.0.uid': 1 };
+            const added = run(schemas.addOrganizationSchema, { body });
+            assert.strictEqual(added.error.errors['members.0.uid'], 'Unknown field');
+
+            const edit = { organizationId: '65f0c0ffee0000000000abcd', data: { $where: 'true' } };
+            const edited = run(schemas.editOrganizationSchema, { body: edit });
+            assert.strictEqual(edited.error.errors['data.$where'], 'Unknown field');
+
+            const { nextCalled } = run(schemas.editOrganizationSchema, {
+                body: { organizationId: '65f0c0ffee0000000000abcd', data: { phone: '520-555-0100' } }
+            });
+            assert.strictEqual(nextCalled, true, 'Should accept declared fields');
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running request validation tests...');
+    validateRequestMiddleware().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Request validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Request validation validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateRequestMiddleware };
@@ -0,0 +1,167 @@
+// tests/validateSession_test.js
+const assert = require('assert');
+const { test, runTests } = require('./testRunner.js');
+const { validateSession, validateAdminSession, requireCsrfToken } = require('../middleware/validateSession');
+const { AuthenticationError } = require('../lib/errors');
+
+const TOKEN = 'nodebb-csrf-token';
+
+/**
+ * Minimal Express request/response doubles
+ */
+const mockRequest = ({ method = 'GET', session = {}, headers = {} } = {}) => ({
+    method,
+    session,
+    headers,
+    get: (name) => headers[name.toLowerCase()]
+});
+
+const mockResponse = () => {
+    const res = { statusCode: 200, body: undefined };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+const loggedInSession = () => ({
+    user: { uid: 7, username: 'member', validEmail: true },
+    csrfToken: TOKEN
+});
+
+/**
+ * Run a middleware and report whether it passed the request on or raised an error
+ */
+const run = async (middleware, req) => {
+    const res = mockResponse();
+    let nextCalled = false;
+    let error = null;
+    await middleware(req, res, (err) => {
+        if (err) {
+            error = err;
+        } else {
+            nextCalled = true;
+        }
+    });
+    return { res, nextCalled, error };
+};
+
+/**
+ * Validate session middleware
+ * @returns {Promise<boolean>} True if validation passes
+ */
+async function validateSessionMiddleware() {
+    const tests = [
+        // Test 1: Rejects requests without a session
+        () => test('validateSession should reject requests without a session', async () => {
+            const { error, nextCalled } = await run(validateSession, mockRequest());
+            assert.strictEqual(nextCalled, false, 'Should not pass the request on');
+            assert.ok(error instanceof AuthenticationError, 'Should raise an AuthenticationError');
+            assert.strictEqual(error.status, 401, 'Should map to 401');
+        }),
+
+        // Test 2: Safe methods don't need the CSRF header
+        () => test('validateSession should allow GET without a CSRF header', async () => {
+            const req = mockRequest({ session: loggedInSession() });
+            const { nextCalled } = await run(validateSession, req);
+            assert.strictEqual(nextCalled, true, 'Should call next');
+        }),
+
+        // Test 3: State-changing requests without the header are refused
+        () => test('validateSession should reject PUT without a CSRF header', async () => {
+            const req = mockRequest({ method: 'PUT', session: loggedInSession() });
+            const { error, nextCalled } = await run(validateSession, req);
+            assert.strictEqual(nextCalled, false, 'Should not pass the request on');
+            assert.strictEqual(error.status, 403, 'Should map to 403');
+            assert.strictEqual(error.code, 'CSRF_INVALID');
+        }),
+
+        // Test 4: A mismatched token is refused
+        () => test('validateSession should reject a mismatched CSRF token', async () => {
+            const req = mockRequest({
+                method: 'POST',
+                session: loggedInSession(),
+                headers: { 'x-csrf-token': 'forged-token' }
+            });
+            const { error, nextCalled } = await run(validateSession, req);
+            assert.strictEqual(nextCalled, false, 'Should not pass the request on');
+            assert.strictEqual(error.status, 403, 'Should map to 403');
+            assert.strictEqual(error.code, 'CSRF_INVALID');
+        }),
+
+        // Test 5: The session's own token is accepted
+        () => test('validateSession should accept the session CSRF token', async () => {
+            const req = mockRequest({
+                method: 'PUT',
+                session: loggedInSession(),
+                headers: { 'x-csrf-token': TOKEN }
+            });
+            const { nextCalled } = await run(validateSession, req);
+            assert.strictEqual(nextCalled, true, 'Should call next');
+        }),
+
+        // Test 6: requireCsrfToken ignores anonymous requests
+        () => test('requireCsrfToken should pass requests without a session token', async () => {
+            const { nextCalled } = await run(requireCsrfToken, mockRequest({ method: 'POST' }));
+            assert.strictEqual(nextCalled, true, 'Should call next');
+        }),
+
+        // Test 7: requireCsrfToken guards logged-in requests
+        () => test('requireCsrfToken should reject logged-in POST without the token', async () => {
+            const req = mockRequest({ method: 'POST', session: loggedInSession() });
+            const { error, nextCalled } = await run(requireCsrfToken, req);
+            assert.strictEqual(nextCalled, false, 'Should not pass the request on');
+            assert.strictEqual(error.status, 403, 'Should map to 403');
+            assert.strictEqual(error.code, 'CSRF_INVALID');
+        }),
+
+        // Test 8: The logged-in member is exposed as req.currentUser
+        () => test('validateSession should attach the current user', async () => {
+            const req = mockRequest({ session: loggedInSession() });
+            await run(validateSession, req);
+            assert.deepStrictEqual(req.currentUser, {
+                uid: 7,
+                username: 'member',
+                validEmail: true,
+                roles: []
+            });
+        }),
+
+        // Test 9: Fresh cached roles answer the admin check without NodeBB
+        () => test('validateAdminSession should use cached admin roles', async () => {
+            const session = loggedInSession();
+            session.user.roles = ['admin'];
+            session.user.rolesCheckedAt = Date.now();
+
+            const req = mockRequest({ session });
+            const { nextCalled } = await run(validateAdminSession, req);
+            assert.strictEqual(nextCalled, true, 'Should call next');
+            assert.deepStrictEqual(req.currentUser.roles, ['admin']);
+        })
+    ];
+
+    return await runTests(tests);
+}
+
+// Run validation immediately when this file is executed directly
+if (require.main === module) {
+    console.log('Running session validation tests...');
+    validateSessionMiddleware().then(allPassed => {
+        if (!allPassed) {
+            console.error('❌ FATAL ERROR: Session validation failed!');
+            process.exit(1);
+        } else {
+            console.log('✅ Session middleware validated successfully');
+        }
+    }).catch(error => {
+        console.error('❌ FATAL ERROR: Unexpected error during validation:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { validateSessionMiddleware };
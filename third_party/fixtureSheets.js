@@ -0,0 +1,175 @@
+// third_party/fixtureSheets.js
+// An offline stand-in for Google Sheets, for local development and CI. Tabs
+// are loaded from fixture files and kept in memory; appended rows are kept
+// in memory too and are lost on restart.
+const fs = require('fs');
+const path = require('path');
+const { UpstreamError } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger({ module: 'fixture-sheets' });
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks in quotes)
+ * @param {string} text
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Load fixture spreadsheets from disk
+ * Either one JSON file shaped `{ [spreadsheetId]: { [tab]: rows } }`, or a
+ * directory holding one folder per spreadsheet ID with a `<tab>.json` or
+ * `<tab>.csv` file per tab.
+ * @param {string} fixturesPath - File or directory
+ * @returns {Object} Spreadsheets keyed by ID, then by tab
+ */
+function loadSheetFixtures(fixturesPath) {
+    if (fs.statSync(fixturesPath).isFile()) {
+        return JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    }
+
+    const spreadsheets = {};
+    for (const spreadsheetId of fs.readdirSync(fixturesPath)) {
+        const folder = path.join(fixturesPath, spreadsheetId);
+        if (!fs.statSync(folder).isDirectory()) continue;
+
+        spreadsheets[spreadsheetId] = {};
+        for (const file of fs.readdirSync(folder)) {
+            const extension = path.extname(file).toLowerCase();
+            const text = fs.readFileSync(path.join(folder, file), 'utf8');
+            if (extension === '.json') {
+                spreadsheets[spreadsheetId][path.basename(file, extension)] = JSON.parse(text);
+            } else if (extension === '.csv') {
+                spreadsheets[spreadsheetId][path.basename(file, extension)] = parseCsv(text);
+            }
+        }
+    }
+    return spreadsheets;
+}
+
+/**
+ * Tab name from a tab name or an A1 range ("'My Tab'!A1:C" -> "My Tab")
+ */
+const tabOf = (range) => {
+    const tab = range.split('!')[0];
+    return /^'.*'$/.test(tab) ? tab.slice(1, -1).replace(/''/g, "'") : tab;
+};
+
+// Sheets hands every cell back as a string
+const toCells = (row) => row.map(value => (value === null || value === undefined ? '' : String(value)));
+
+/**
+ * Spreadsheet column letters for a 1-based index (1 -> A, 27 -> AA)
+ */
+const columnName = (index) => {
+    let name = '';
+    for (let n = Math.max(index, 1); n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+/**
+ * Sheets backend over in-memory spreadsheets
+ * @param {Object} [options]
+ * @param {Object} [options.spreadsheets={}] - Spreadsheets keyed by ID, then by tab, as loadSheetFixtures returns them
+ * @returns {import('./googleSheets').SheetsBackend & {rows: Function}}
+ */
+function createFixtureSheetsBackend({ spreadsheets = {} } = {}) {
+    // Copied so appends never write into the caller's fixtures
+    const tabs = new Map();
+    for (const [spreadsheetId, sheet] of Object.entries(spreadsheets)) {
+        for (const [tab, rows] of Object.entries(sheet)) {
+            tabs.set(`${spreadsheetId}/${tab}`, rows.map(toCells));
+        }
+    }
+
+    /**
+     * Current rows of a tab, appended rows included
+     * @throws {UpstreamError} When there is no fixture for the tab
+     */
+    const rows = (spreadsheetId, tab) => {
+        const found = tabs.get(`${spreadsheetId}/${tab}`);
+        if (!found) {
+            throw new UpstreamError('Google Sheets', 'Could not load spreadsheet data.', {
+                cause: new Error(`No fixture for tab "${tab}" of spreadsheet ${spreadsheetId}`)
+            });
+        }
+        return found;
+    };
+
+    return {
+        name: 'fixtures',
+        rows,
+        readTab: async (spreadsheetId, tab) => rows(spreadsheetId, tab).map(row => [...row]),
+        readHeaders: async (spreadsheetId, tab) => [...(rows(spreadsheetId, tab)[0] || [])],
+        appendRows: async (spreadsheetId, range, newRows) => {
+            const tab = tabOf(range);
+            const key = `${spreadsheetId}/${tab}`;
+            if (!tabs.has(key)) {
+                tabs.set(key, []);
+            }
+            const existing = tabs.get(key);
+            const firstRow = existing.length + 1;
+            existing.push(...newRows.map(toCells));
+            log.debug('rows appended to fixture', { spreadsheetId, tab, rows: newRows.length });
+
+            const columns = Math.max(0, ...newRows.map(row => row.length));
+            return {
+                spreadsheetId,
+                updates: {
+                    spreadsheetId,
+                    updatedRange: `${tab}!A${firstRow}:${columnName(columns)}${existing.length}`,
+                    updatedRows: newRows.length,
+                    updatedColumns: columns,
+                    updatedCells: newRows.reduce((total, row) => total + row.length, 0)
+                }
+            };
+        },
+        check: async () => {}
+    };
+}
+
+module.exports = {
+    parseCsv,
+    loadSheetFixtures,
+    createFixtureSheetsBackend
+};
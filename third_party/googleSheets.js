@@ -0,0 +1,108 @@
+// third_party/googleSheets.js
+// Public spreadsheets are read with the Sheets API key; writes go through the
+// service account's JWT client. createGoogleSheetsBackend() wraps both behind
+// the Sheets backend interface that third_party/fixtureSheets.js also provides.
+const { google } = require('googleapis');
+const { withNetworkRetry } = require('../middleware/retryPolicy');
+const { UpstreamError } = require('../lib/errors');
+
+const SHEETS_API_URL = 'https://sheets.googleapis.com/v4/spreadsheets/';
+
+/**
+ * Fetch a JSON document, retrying transient failures (timeouts, 502/503)
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} Parsed response body
+ */
+const fetchJson = withNetworkRetry(async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        const error = new Error(`Request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response.json();
+});
+
+/**
+ * Read every row of a public spreadsheet tab
+ * @param {string} spreadsheetId - Google spreadsheet ID
+ * @param {string} tabName - Tab (sheet) name
+ * @param {string} apiKey - Google Sheets API key
+ * @returns {Promise<Array<Array<string>>>} Row values
+ */
+async function fetchSheetValues(spreadsheetId, tabName, apiKey) {
+    const url = SHEETS_API_URL +
+        encodeURIComponent(spreadsheetId) +
+        '/values/' +
+        encodeURIComponent(tabName) +
+        '?alt=json&key=' +
+        encodeURIComponent(apiKey || '');
+
+    try {
+        const data = await fetchJson(url);
+        return data.values || [];
+    } catch (error) {
+        throw new UpstreamError('Google Sheets', 'Could not load spreadsheet data.', { cause: error });
+    }
+}
+
+/**
+ * Append rows below the last row of a range
+ * @param {Object} jwtClient - Authorized service account client
+ * @param {string} spreadsheetId - Google spreadsheet ID
+ * @param {string} range - Tab name or A1 range
+ * @param {Array<Array<*>>} rows - Row values
+ * @returns {Promise<Object>} The API's append response
+ */
+async function appendSheetRows(jwtClient, spreadsheetId, range, rows) {
+    try {
+        await jwtClient.authorize();
+        const sheets = google.sheets({ version: 'v4', auth: jwtClient });
+        const response = await sheets.spreadsheets.values.append({
+            spreadsheetId,
+            range,
+            valueInputOption: 'RAW',
+            insertDataOption: 'INSERT_ROWS',
+            resource: { values: rows }
+        });
+        return response.data;
+    } catch (error) {
+        throw new UpstreamError('Google Sheets', 'Could not append data.', { cause: error });
+    }
+}
+
+/**
+ * A1 range covering the first row of a tab
+ */
+const headerRange = (tabName) => `'${tabName.replace(/'/g, "''")}'!1:1`;
+
+/**
+ * @typedef {Object} SheetsBackend
+ * @property {string} name - 'google' or 'fixtures'
+ * @property {Function} readTab - (spreadsheetId, tab) => Promise<Array<Array<string>>>
+ * @property {Function} readHeaders - (spreadsheetId, tab) => Promise<Array<string>>, the first row
+ * @property {Function} appendRows - (spreadsheetId, range, rows) => Promise<Object>, the append response
+ * @property {Function} check - () => Promise, rejects when the backend can't be reached
+ */
+
+/**
+ * Sheets backend talking to the Google Sheets API
+ * @param {Object} options
+ * @param {string} options.apiKey - Sheets API key, for reads
+ * @param {Object} options.jwtClient - Service account client, for writes
+ * @returns {SheetsBackend}
+ */
+function createGoogleSheetsBackend({ apiKey, jwtClient }) {
+    return {
+        name: 'google',
+        readTab: (spreadsheetId, tab) => fetchSheetValues(spreadsheetId, tab, apiKey),
+        readHeaders: async (spreadsheetId, tab) => {
+            const [headers = []] = await fetchSheetValues(spreadsheetId, headerRange(tab), apiKey);
+            return headers;
+        },
+        appendRows: (spreadsheetId, range, rows) => appendSheetRows(jwtClient, spreadsheetId, range, rows),
+        check: () => jwtClient.authorize()
+    };
+}
+
+module.exports = { fetchSheetValues, appendSheetRows, createGoogleSheetsBackend };
@@ -1,64 +1,63 @@
 // third_party/mongodb.js
 const { MongoClient } = require('mongodb');
-require('dotenv').config();
+const { withDatabaseRetry } = require('../middleware/retryPolicy');
+const { createLogger } = require('../lib/logger');
 
-// Build the connection string based on environment variables
-let uri;
+const log = createLogger({ module: 'mongodb' });
 
-if (process.env.MONGO_URI) {
-    // Use direct URI if provided
-    uri = process.env.MONGO_URI;
-} else if (process.env.MONGO_LOCAL === 'true') {
-    // Local MongoDB (handles auth if credentials exist)
-    const host = process.env.MONGO_HOST || 'localhost';
-    const port = process.env.MONGO_PORT || '27017';
-    const user = process.env.MONGO_USERNAME || process.env.EXPRESS_MONGO_USER || process.env.MONGO_USER;
-    const password = process.env.MONGO_PASSWORD || process.env.EXPRESS_MONGO_PASSWORD;
+// Created by init() from the validated config
+let client = null;
+let databaseName;
+let connected = false;
+// Set by disconnect(); the client is not reopened once the process is shutting down
+let closed = false;
+let db;
 
-    if (user && password) {
-        uri = `mongodb://${user}:${password}@${host}:${port}`;
-    } else {
-        uri = `mongodb://${host}:${port}`;
-    }
-} else {
-    // MongoDB Atlas URI construction
-    const user = process.env.MONGO_USERNAME || process.env.EXPRESS_MONGO_USER || process.env.MONGO_USER;
-    const password = process.env.MONGO_PASSWORD || process.env.EXPRESS_MONGO_PASSWORD;
-    const host = process.env.MONGO_HOST || 'cluster0.example.mongodb.net';
+const connectWithRetry = withDatabaseRetry(() => client.connect());
 
-    if (user && password) {
-        uri = `mongodb+srv://${user}:${password}@${host}`;
-    } else {
-        throw new Error('MongoDB Atlas connection requires username and password');
+/**
+ * Create the client from the validated config; must run before connect()
+ * @param {Object} mongoConfig - `config.mongo` from lib/config.js
+ * @param {string} mongoConfig.uri - Connection string
+ * @param {string} mongoConfig.database - NodeBB database name
+ * @returns {MongoClient}
+ */
+function init({ uri, database }) {
+    if (!client) {
+        log.info('MongoDB URI configured', { uri: uri.replace(/\/\/([^:]+):([^@]+)@/, '//***:***@') });
+        client = new MongoClient(uri);
+        databaseName = database;
     }
+    return client;
 }
 
-console.log(`MongoDB URI: ${uri.replace(/\/\/([^:]+):([^@]+)@/, '//***:***@')}`);
-
-const client = new MongoClient(uri, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-
-});
-
-let connected = false;
-let db;
+function getClient() {
+    if (!client) {
+        throw new Error('MongoDB client used before init()');
+    }
+    return client;
+}
 
 async function connect() {
+    if (closed) {
+        throw new Error('MongoDB client has been closed');
+    }
     if (!connected) {
-        await client.connect();
+        getClient();
+        await connectWithRetry();
         connected = true;
-        db = client.db(process.env.MONGO_NODEBB_DATABASE || 'nodebb');
-        console.log(`Connected to MongoDB database '${db.databaseName}'`);
+        db = client.db(databaseName);
+        log.info('connected to MongoDB', { database: db.databaseName });
     }
     return client;
 }
 
 async function disconnect() {
+    closed = true;
     if (connected) {
         await client.close();
         connected = false;
-        console.log('Disconnected from MongoDB');
+        log.info('disconnected from MongoDB');
     }
 }
 
@@ -70,16 +69,17 @@ async function getCollection(name) {
 async function ping() {
     try {
         await connect();
-        await db.command({ ping: 1 });
+        await withDatabaseRetry(() => db.command({ ping: 1 }))();
         return true;
     } catch (error) {
-        console.error('MongoDB ping failed:', error);
+        log.error('MongoDB ping failed', { err: error });
         return false;
     }
 }
 
 module.exports = {
-    client,
+    init,
+    getClient,
     connect,
     disconnect,
     getCollection,
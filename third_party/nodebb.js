@@ -1,24 +1,53 @@
 const axios = require('axios');
 const express = require('express');
+const { withNetworkRetry } = require('../middleware/retryPolicy');
+const { createLogger, getRequestId } = require('../lib/logger');
+
+const log = createLogger({ module: 'nodebb' });
+
+// Only idempotent requests are retried; replaying a login or a POST could
+// apply it twice on the NodeBB side.
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'delete']);
 
 const nodeBB = (() => {
+    // Set by configure() from the validated config
     let nodeBBServiceUrl;
-    const getUrl = () => {
-        if (!nodeBBServiceUrl) {
-            nodeBBServiceUrl = process.env.NODEBB_SERVICE_URL;
+    const getUrl = () => nodeBBServiceUrl;
+
+    // Retry at the adapter level so interceptors (and their logging) run once per call
+    const httpAdapter = axios.getAdapter(axios.defaults.adapter);
+    const retryingAdapter = withNetworkRetry(httpAdapter);
+    const adapter = (config) => IDEMPOTENT_METHODS.has(config.method)
+        ? retryingAdapter(config)
+        : httpAdapter(config);
+
+    const api = axios.create({ adapter });
+
+    // Pass our request id on so NodeBB's logs can be matched with ours
+    api.interceptors.request.use(config => {
+        const requestId = getRequestId();
+        if (requestId) {
+            config.headers['X-Request-Id'] = requestId;
         }
-        return nodeBBServiceUrl;
-    };
+        return config;
+    });
 
-    const api = axios.create({ baseURL: getUrl()});
     api.interceptors.response.use(
         response => {
-            console.log(`NodeBB API: ${response.config.method.toUpperCase()} ${response.config.url} - ${response.status}`);
+            log.debug('NodeBB API call', {
+                method: response.config.method.toUpperCase(),
+                url: response.config.url,
+                status: response.status
+            });
             return response;
         },
         error => {
             if (error.response) {
-                console.error("NodeBB API error:", error.response.status, error.response.data);
+                log.warn('NodeBB API error', {
+                    method: error.config?.method?.toUpperCase(),
+                    url: error.config?.url,
+                    status: error.response.status
+                });
             }
             return Promise.reject(error);
         }
@@ -27,6 +56,17 @@ const nodeBB = (() => {
     // Return the public interface
     return {
         api,
+
+        /**
+         * Point the client at NodeBB; must run before the first request
+         * @param {Object} nodebbConfig - `config.nodebb` from lib/config.js
+         * @param {string} nodebbConfig.url - NodeBB service URL
+         */
+        configure({ url }) {
+            nodeBBServiceUrl = url;
+            api.defaults.baseURL = url;
+        },
+
         async initializeNodeBBSession(username, password) {
             try {
                 // 1. Get initial session and CSRF token
@@ -74,7 +114,7 @@ const nodeBB = (() => {
                     sessionCookie: authCookies.join('; ')
                 };
             } catch (error) {
-                console.error('NodeBB authentication failed:', error);
+                log.warn('NodeBB authentication failed', { err: error });
                 throw error;
             }
         },
@@ -85,7 +125,7 @@ const nodeBB = (() => {
             router.all('*', async (req, res, next) => {
                 try {
                     const nodeBBPath = req.path.replace(/^\/+/, '');
-                    console.log(`Proxying to NodeBB: ${req.method} ${nodeBBPath}`);
+                    log.debug('proxying to NodeBB', { method: req.method, path: nodeBBPath });
 
                     // Setup headers
                     const headers = {};
@@ -114,11 +154,9 @@ const nodeBB = (() => {
                     }
                     res.status(response.status).json(response.data);
                 } catch (error) {
-                    console.error('NodeBB proxy error:', error);
-
                     if (error.response) {
                         if ([401, 403].includes(error.response.status)) {
-                            console.log('Session likely expired - user needs to re-login');
+                            log.info('proxied request refused, session likely expired', { status: error.response.status });
                         }
                         return res.status(error.response.status).json(error.response.data);
                     }